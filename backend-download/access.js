@@ -0,0 +1,160 @@
+const { CASE_SCOPED, caseRole, casePermissions, hasPermission } = require('./permissions');
+
+/**
+ * Creates the lookups and middleware that restrict users to the cases they own or were added to.
+ *
+ * Collections and files have no access settings of their own: they inherit them from their case,
+ * found through `collection.caseId` and `file.collectionId`. Users whose role has `case:all`
+ * (admins) can reach every case. Records in the trash count as missing unless `includeTrashed` is
+ * set.
+ *
+ * @param {Object} options
+ * @param {string} options.jsonServerUrl - Base URL of the json-server holding the metadata
+ */
+function createCaseAccess({ jsonServerUrl }) {
+  const fetchJson = async resourcePath => {
+    const response = await fetch(`${jsonServerUrl}${resourcePath}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Lookup of ${resourcePath} failed with ${response.status}`);
+    return await response.json();
+  };
+
+  const getRecord = async (resource, id, includeTrashed) => {
+    if (!id) return null;
+    const record = await fetchJson(`/${resource}/${encodeURIComponent(id)}`);
+    return record && (includeTrashed || !record.deletedAt) ? record : null;
+  };
+
+  const caseOfCollection = async (collectionId, includeTrashed) => {
+    const collection = await getRecord('collections', collectionId, includeTrashed);
+    return collection && (await getRecord('cases', collection.caseId, includeTrashed));
+  };
+
+  const caseOfFile = async (fileId, includeTrashed) => {
+    const file = await getRecord('files', fileId, includeTrashed);
+    return file && (await caseOfCollection(file.collectionId, includeTrashed));
+  };
+
+  /**
+   * Finds the case a metadata record belongs to.
+   * @param {('cases'|'collections'|'files')} resource - The kind of record
+   * @param {string} id - Its ID
+   * @param {Object} [options]
+   * @param {boolean} [options.includeTrashed=false] - Also follow records that are in the trash
+   * @returns {Promise<Object|null>} The case, or null if the record does not exist
+   */
+  const caseOf = (resource, id, { includeTrashed = false } = {}) => {
+    if (resource === 'cases') return getRecord('cases', id, includeTrashed);
+    if (resource === 'collections') return caseOfCollection(id, includeTrashed);
+    return caseOfFile(id, includeTrashed);
+  };
+
+  const hasCaseAccess = user => hasPermission(user.role, 'case:all');
+
+  /**
+   * Lists the IDs of the cases a user can access.
+   * @param {{id: string}} user
+   * @returns {Promise<string[]>}
+   */
+  const accessibleCaseIds = async user => {
+    const cases = (await fetchJson('/cases')) || [];
+    return cases.filter(record => caseRole(user, record)).map(record => record.id);
+  };
+
+  /**
+   * Builds the json-server `_where` condition limiting a list request to accessible records.
+   * @param {{id: string, role: string}} user
+   * @param {('cases'|'collections'|'files')} resource
+   * @returns {Promise<Object|null>} The condition, or null when the user can see everything
+   */
+  const listScope = async (user, resource) => {
+    if (hasCaseAccess(user)) return null;
+    const caseIds = await accessibleCaseIds(user);
+    if (resource === 'cases') return { id: { in: caseIds } };
+    if (resource === 'collections') return { caseId: { in: caseIds } };
+
+    const where = JSON.stringify({ caseId: { in: caseIds } });
+    const collections = caseIds.length
+      ? await fetchJson(`/collections?${new URLSearchParams({ _where: where })}`)
+      : [];
+    return { collectionId: { in: collections.map(collection => collection.id) } };
+  };
+
+  /**
+   * Tells whether a user may do something with a file, e.g. download it.
+   * @param {{id: string, role: string}} user
+   * @param {string} fileId - The file record ID
+   * @param {string} permission - The permission needed
+   * @returns {Promise<boolean>}
+   */
+  const canAccessFile = async (user, fileId, permission) => {
+    const caseRecord = await caseOfFile(fileId);
+    return Boolean(caseRecord) && casePermissions(user, caseRecord).includes(permission);
+  };
+
+  // Builds the middleware guarding requests about one kind of record (see `requireFilePermission`)
+  const requireRecordPermission =
+    (resource, label) =>
+    (permission, getId, { includeTrashed = false } = {}) =>
+    async (req, res, next) => {
+      const id = getId(req);
+      if (!id) {
+        if (hasPermission(req.user.role, permission)) return next();
+        return res.status(403).json({ message: 'You do not have permission to do this' });
+      }
+
+      let caseRecord;
+      try {
+        caseRecord = await caseOf(resource, id, { includeTrashed });
+      } catch (err) {
+        console.error(`[access] Case lookup failed: ${err.message}`);
+        return res.status(502).json({ message: 'Metadata service unavailable' });
+      }
+
+      const granted = caseRecord ? casePermissions(req.user, caseRecord) : [];
+      if (!granted.length) return res.status(404).json({ message: `${label} not found` });
+      if (!granted.includes(permission)) {
+        console.warn(
+          `[access] ${req.user.email} denied ${permission} on ${label.toLowerCase()} ${id}`
+        );
+        return res.status(403).json({ message: 'You do not have permission to do this' });
+      }
+      next();
+    };
+
+  /**
+   * Creates a middleware letting through only users who have a permission within the case of the
+   * file a request is about. Requests that name no file (e.g. TUS `OPTIONS`) fall back to the
+   * user's role. Users without any access get a 404, as if the file did not exist.
+   * @param {string} permission - The permission needed, e.g. `file:download`
+   * @param {function(import('express').Request): (string|undefined)} getFileId - Reads the file
+   *   record ID from the request
+   * @param {Object} [options]
+   * @param {boolean} [options.includeTrashed=false] - Also allow files that are in the trash
+   * @returns {import('express').RequestHandler}
+   */
+  const requireFilePermission = requireRecordPermission('files', 'File');
+
+  /**
+   * Like `requireFilePermission`, for requests about a collection as a whole (e.g. downloading
+   * all of its files).
+   * @param {string} permission - The permission needed, e.g. `file:download`
+   * @param {function(import('express').Request): (string|undefined)} getCollectionId - Reads the
+   *   collection ID from the request
+   * @param {Object} [options]
+   * @param {boolean} [options.includeTrashed=false] - Also allow collections that are in the trash
+   * @returns {import('express').RequestHandler}
+   */
+  const requireCollectionPermission = requireRecordPermission('collections', 'Collection');
+
+  return {
+    caseOf,
+    listScope,
+    canAccessFile,
+    requireFilePermission,
+    requireCollectionPermission,
+    isCaseScoped: permission => CASE_SCOPED.has(permission),
+  };
+}
+
+module.exports = { createCaseAccess };
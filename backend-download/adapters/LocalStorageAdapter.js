@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { CONTROL_CHARS } = require('../disposition');
+
+/**
+ * Stores blobs as plain files in a directory on the local disk. Keys map directly to file names.
+ */
+class LocalStorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Directory holding the blobs
+   */
+  constructor({ root }) {
+    this.root = path.resolve(root);
+    fs.mkdirSync(this.root, { recursive: true });
+  }
+
+  /**
+   * Maps a key to its path, refusing keys that would escape the root directory: separators, `.`
+   * and `..`, control characters (a NUL would cut the path short) and anything that does not
+   * resolve to a file directly inside the root.
+   * @param {string} key - The blob key
+   * @returns {string} Absolute path of the blob
+   * @private
+   */
+  _path(key) {
+    if (
+      typeof key !== 'string' ||
+      key === '.' ||
+      key === '..' ||
+      /[\\/]/.test(key) ||
+      key.search(CONTROL_CHARS) !== -1
+    ) {
+      throw new Error(`Invalid storage key: ${JSON.stringify(key)}`);
+    }
+    const filePath = path.resolve(this.root, key);
+    if (path.dirname(filePath) !== this.root || path.basename(filePath) !== key) {
+      throw new Error(`Invalid storage key: ${JSON.stringify(key)}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Path of a blob on the local disk, for tools that need a seekable file rather than a stream.
+   * @param {string} key - The blob key
+   * @returns {string}
+   */
+  localPath(key) {
+    return this._path(key);
+  }
+
+  async stat(key) {
+    try {
+      const stat = await fsp.stat(this._path(key));
+      return stat.isFile() ? { size: stat.size, modified: stat.mtime } : null;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async read(key, { start, end } = {}) {
+    // Opening first surfaces a missing file as a rejected promise instead of a stream error
+    const handle = await fsp.open(this._path(key), 'r');
+    return handle.createReadStream({ start, end });
+  }
+
+  async write(key, source) {
+    // Write next to the target and rename, so readers never see a half-written blob
+    const target = this._path(key);
+    const temp = `${target}.${crypto.randomUUID()}.tmp`;
+    try {
+      const input = source instanceof Readable ? source : Readable.from([source]);
+      await pipeline(input, fs.createWriteStream(temp));
+      await fsp.rename(temp, target);
+    } catch (err) {
+      await fsp.rm(temp, { force: true });
+      throw err;
+    }
+  }
+
+  async delete(key) {
+    await fsp.rm(this._path(key), { force: true });
+  }
+
+  async list() {
+    const entries = await fsp.readdir(this.root, { withFileTypes: true });
+    const blobs = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.endsWith('.tmp')) continue;
+      const stat = await fsp.stat(path.join(this.root, entry.name));
+      blobs.push({ key: entry.name, size: stat.size, modified: stat.mtime });
+    }
+    return blobs;
+  }
+}
+
+module.exports = LocalStorageAdapter;
@@ -0,0 +1,82 @@
+const {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  S3Client,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+/**
+ * Stores blobs as objects in an S3-compatible bucket (AWS S3, MinIO, ...). Keys map directly to
+ * object keys.
+ */
+class S3StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket holding the blobs
+   * @param {string} options.region - Bucket region
+   * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+   * @param {boolean} [options.forcePathStyle] - Use `endpoint/bucket/key` URLs (needed by MinIO)
+   * @param {string} [options.accessKeyId] - Falls back to the default AWS credential chain
+   * @param {string} [options.secretAccessKey]
+   */
+  constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    if (!bucket) throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { size: head.ContentLength, modified: head.LastModified };
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async read(key, { start, end } = {}) {
+    const range =
+      start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+    const object = await this.client.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: key, Range: range })
+    );
+    return object.Body;
+  }
+
+  async write(key, source) {
+    // Multipart upload, so streams of any size (and unknown length) can be written
+    await new Upload({
+      client: this.client,
+      params: { Bucket: this.bucket, Key: key, Body: source },
+    }).done();
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async list() {
+    const blobs = [];
+    let token;
+    do {
+      const page = await this.client.send(
+        new ListObjectsV2Command({ Bucket: this.bucket, ContinuationToken: token })
+      );
+      for (const object of page.Contents || []) {
+        blobs.push({ key: object.Key, size: object.Size, modified: object.LastModified });
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+    return blobs;
+  }
+}
+
+module.exports = S3StorageAdapter;
@@ -0,0 +1,68 @@
+const LocalStorageAdapter = require('./LocalStorageAdapter');
+const S3StorageAdapter = require('./S3StorageAdapter');
+
+/**
+ * @typedef {Object} BlobStat
+ * @property {number} size - Size in bytes
+ * @property {Date} modified - Last modification time
+ */
+
+/**
+ * Interface every storage backend implements. Keys are flat names (no directories).
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): Promise<BlobStat|null>} stat - Size and mtime, or null if missing
+ * @property {function(string, {start?: number, end?: number}=): Promise<import('stream').Readable>} read
+ *   - Streams the blob, or the inclusive byte range `start`-`end` of it
+ * @property {function(string, import('stream').Readable|Buffer|string): Promise<void>} write
+ *   - Creates or replaces a blob
+ * @property {function(string): Promise<void>} delete - Removes a blob (no error if missing)
+ * @property {function(): Promise<Array<BlobStat & {key: string}>>} list - Every stored blob
+ * @property {function(string): string} [localPath] - Path of the blob on the local disk, only
+ *   offered by backends that keep blobs there
+ */
+
+const drivers = {
+  local: LocalStorageAdapter,
+  s3: S3StorageAdapter,
+};
+
+/**
+ * Instantiates the storage backend selected in the configuration.
+ * @param {Object} config - The `storage` section of the server configuration
+ * @returns {StorageAdapter}
+ */
+function createStorageAdapter(config) {
+  const Adapter = drivers[config.driver];
+  if (!Adapter) {
+    throw new Error(`Unknown storage driver "${config.driver}" (expected one of: local, s3)`);
+  }
+  console.log(`[storage] Using ${config.driver} storage`);
+  return new Adapter(config[config.driver]);
+}
+
+/**
+ * Reads a small JSON blob, such as the info stored next to each uploaded file.
+ * @param {StorageAdapter} storage - The storage backend
+ * @param {string} key - The blob key
+ * @returns {Promise<Object|null>} The parsed value, or null if the blob does not exist
+ */
+async function readJson(storage, key) {
+  if (!(await storage.stat(key))) return null;
+  const chunks = [];
+  for await (const chunk of await storage.read(key)) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Writes a value as a JSON blob.
+ * @param {StorageAdapter} storage - The storage backend
+ * @param {string} key - The blob key
+ * @param {Object} value - The value to store
+ * @returns {Promise<void>}
+ */
+function writeJson(storage, key, value) {
+  return storage.write(key, Buffer.from(JSON.stringify(value, null, 2)));
+}
+
+module.exports = { createStorageAdapter, readJson, writeJson };
@@ -0,0 +1,443 @@
+const express = require('express');
+const { publicUser } = require('./auth');
+const {
+  CASE_MEMBER_ROLES,
+  apiPermission,
+  casePermissions,
+  hasPermission,
+} = require('./permissions');
+
+// Response headers worth passing through from json-server
+const FORWARDED_HEADERS = ['content-type', 'x-total-count', 'link'];
+
+// json-server query parameters that are not field filters
+const RESERVED_QUERY_KEYS = new Set(['_sort', '_page', '_per_page', '_embed', '_where']);
+const WHERE_OPERATORS = ['lt', 'lte', 'gt', 'gte', 'eq', 'ne', 'in'];
+
+// Case-insensitive text filters (`name:startsWith=rep`), which json-server cannot evaluate and
+// this server applies instead
+const TEXT_OPERATORS = ['startsWith', 'contains'];
+
+// Fields maintained by the trash, which clients cannot set directly
+const TRASH_FIELDS = ['deletedAt', 'deletedBy', 'trashedWith'];
+
+// Fields of file records maintained by uploads and version restores (see `createVersions`), and
+// by thumbnail generation
+const VERSION_FIELDS = ['version', 'versions', 'uploadedBy', 'restoredFrom', 'thumbnail'];
+
+// The audit entity of each resource changed through the API
+const AUDITED = { cases: 'case', collections: 'collection', files: 'file' };
+
+// Fields that change on every save and say nothing about what was changed
+const IGNORED_CHANGES = new Set(['updated', 'permissions']);
+
+// The field linking each kind of record to its parent, and the parent's resource
+const PARENTS = {
+  collections: { field: 'caseId', resource: 'cases' },
+  files: { field: 'collectionId', resource: 'collections' },
+};
+
+/**
+ * Turns the field filters of a list request (`name=x`, `size:gt=10`, `id:in=a,b`) into a
+ * json-server `_where` condition, so access restrictions can be added to it.
+ * @param {URLSearchParams} params - The query of the request
+ * @returns {Object} The condition
+ */
+function parseWhere(params) {
+  if (params.has('_where')) {
+    try {
+      return JSON.parse(params.get('_where'));
+    } catch {
+      return {};
+    }
+  }
+
+  const where = {};
+  for (const [key, value] of params) {
+    if (RESERVED_QUERY_KEYS.has(key)) continue;
+    const colon = key.lastIndexOf(':');
+    const op = colon === -1 ? 'eq' : key.slice(colon + 1);
+    if (!WHERE_OPERATORS.includes(op)) continue;
+    const field = colon === -1 ? key : key.slice(0, colon);
+
+    let parsed = value;
+    if (op === 'in') parsed = value.split(',').map(part => part.trim());
+    else if (['lt', 'lte', 'gt', 'gte'].includes(op) && Number.isFinite(Number(value))) {
+      parsed = Number(value);
+    }
+    where[field] = { ...where[field], [op]: parsed };
+  }
+  return where;
+}
+
+/**
+ * Collects the text filters of a list request (`name:startsWith=x`, `name:contains=y`).
+ * @param {URLSearchParams} params - The query of the request
+ * @returns {Array<{field: string, op: string, value: string}>}
+ */
+function parseTextFilters(params) {
+  const filters = [];
+  for (const [key, value] of params) {
+    const colon = key.lastIndexOf(':');
+    const op = key.slice(colon + 1);
+    if (colon !== -1 && TEXT_OPERATORS.includes(op) && value) {
+      filters.push({ field: key.slice(0, colon), op, value: value.toLowerCase() });
+    }
+  }
+  return filters;
+}
+
+/**
+ * Tells whether a record passes every text filter.
+ * @param {Object} record
+ * @param {Array<{field: string, op: string, value: string}>} filters - From `parseTextFilters`
+ * @returns {boolean}
+ */
+function matchesTextFilters(record, filters) {
+  return filters.every(({ field, op, value }) => {
+    const text = typeof record[field] === 'string' ? record[field].toLowerCase() : '';
+    return op === 'startsWith' ? text.startsWith(value) : text.includes(value);
+  });
+}
+
+/**
+ * Pages a list the way json-server does, for lists this server filtered itself.
+ * @param {Object[]} records - The whole, sorted list
+ * @param {number} page - The page asked for, starting at 1
+ * @param {number} perPage - Records per page
+ * @returns {{first: number, prev: number|null, next: number|null, last: number, pages: number,
+ *   items: number, data: Object[]}}
+ */
+function paginate(records, page, perPage) {
+  const size = Number.isFinite(perPage) && perPage > 0 ? perPage : 10;
+  const pages = Math.max(1, Math.ceil(records.length / size));
+  const current = Math.min(Math.max(Number.isFinite(page) ? page : 1, 1), pages);
+  return {
+    first: 1,
+    prev: current > 1 ? current - 1 : null,
+    next: current < pages ? current + 1 : null,
+    last: pages,
+    pages,
+    items: records.length,
+    data: records.slice((current - 1) * size, current * size),
+  };
+}
+
+/**
+ * Applies a function to every record of a json-server response body (single record, array or
+ * paginated object).
+ * @param {*} body - The parsed response body
+ * @param {function(Object): Object} fn - Maps one record
+ * @returns {*} The mapped body
+ */
+function mapRecords(body, fn) {
+  if (Array.isArray(body)) return body.map(fn);
+  if (body && Array.isArray(body.data)) return { ...body, data: body.data.map(fn) };
+  if (body && typeof body === 'object' && body.id !== undefined) return fn(body);
+  return body;
+}
+
+/**
+ * Validates the member list of a case sent when sharing it.
+ * @param {*} members - The `members` value of the request body
+ * @returns {boolean}
+ */
+function isValidMemberList(members) {
+  if (!Array.isArray(members)) return false;
+  const userIds = members.map(member => member && member.userId);
+  return (
+    members.every(
+      member =>
+        member && typeof member.userId === 'string' && CASE_MEMBER_ROLES.includes(member.role)
+    ) && new Set(userIds).size === userIds.length
+  );
+}
+
+/**
+ * Describes a change made through the API as an audit event, comparing the record before and
+ * after it. Sharing and renaming get their own actions; anything else is an update listing the
+ * changed fields.
+ * @param {string} entity - The audit entity of the record
+ * @param {Object|null} before - The record before a PUT or PATCH, or null when it was created
+ * @param {Object} after - The record as stored
+ * @returns {import('./audit').AuditEvent|null} The event, or null when nothing changed
+ */
+function describeChange(entity, before, after) {
+  const event = { entity, entityId: String(after.id), entityName: after.name ?? null };
+  if (!before) {
+    const details = entity === 'file' ? { size: after.size, type: after.type } : {};
+    return { ...event, action: 'create', details };
+  }
+
+  const fields = Object.keys(after).filter(
+    field =>
+      !IGNORED_CHANGES.has(field) && JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+  if (!fields.length) return null;
+  if (fields.includes('members') || fields.includes('ownerId')) {
+    const details = { ownerId: after.ownerId, members: after.members };
+    return { ...event, action: 'share', details };
+  }
+  if (fields.length === 1 && fields[0] === 'name') {
+    return { ...event, action: 'rename', details: { from: before.name, to: after.name } };
+  }
+  return { ...event, action: 'update', details: { fields } };
+}
+
+/**
+ * Creates a router that forwards metadata requests (cases, collections, files, users, audit) to
+ * json-server, so the browser only ever talks to this server and every request is authenticated.
+ *
+ * Each request needs the permission matching its method and resource (see `apiPermission`);
+ * anything outside the known resources is refused. Requests about a case, or a collection or file
+ * inside one, are checked against the user's role in that case; lists only return the records of
+ * accessible cases, and cases come back with the `permissions` the user has in them.
+ *
+ * Lists take json-server's paging (`_page`, `_per_page`), sorting (`_sort`) and field filters
+ * (`size:gte=10`), plus the text filters json-server lacks (`name:startsWith=x`, `name:contains=y`).
+ *
+ * Deleting a case, collection or file moves it to the trash (see `createTrash`); records in the
+ * trash are left out of lists and answer 404 until they are restored.
+ *
+ * Every change to a case, collection or file is written to the audit log, which is read-only here.
+ *
+ * @param {Object} options
+ * @param {string} options.jsonServerUrl - Base URL of json-server
+ * @param {express.RequestHandler} options.requireAuth - Authentication middleware
+ * @param {ReturnType<import('./access').createCaseAccess>} options.access - Case access lookups
+ * @param {ReturnType<import('./trash').createTrash>} options.trash - Soft deletes
+ * @param {ReturnType<import('./audit').createAudit>} options.audit - The audit log
+ * @returns {express.Router}
+ */
+function createApiRouter({ jsonServerUrl, requireAuth, access, trash, audit }) {
+  const router = express.Router();
+  router.use(requireAuth);
+  router.use(express.json());
+
+  const deny = (req, res, permission) => {
+    console.warn(
+      `[auth] ${req.user.email} denied ${req.method} ${req.originalUrl} (${permission})`
+    );
+    res.status(403).json({ message: 'You do not have permission to do this' });
+  };
+
+  // Cases can only be handed to existing accounts
+  const userExists = async id => {
+    if (typeof id !== 'string' || !id) return false;
+    const response = await fetch(`${jsonServerUrl}/users/${encodeURIComponent(id)}`);
+    if (response.status === 404) return false;
+    if (!response.ok) throw new Error(`User lookup failed with status ${response.status}`);
+    return true;
+  };
+
+  // Users are read-only through the API; accounts are managed in db.json
+  router.use('/users', (req, res, next) => {
+    if (req.method !== 'GET') return res.status(405).json({ message: 'Users are read-only' });
+    next();
+  });
+
+  // The audit log is only written by this server
+  router.use('/audit', (req, res, next) => {
+    if (req.method !== 'GET')
+      return res.status(405).json({ message: 'The audit log is read-only' });
+    next();
+  });
+
+  // Checks the permission of the request, within the case it concerns where there is one
+  router.use(async (req, res, next) => {
+    const permission = apiPermission(req.method, req.path);
+    const [, resource, id] = req.path.split('/');
+
+    if (!permission) return deny(req, res, 'no permission defined');
+    if (!access.isCaseScoped(permission)) {
+      if (!hasPermission(req.user.role, permission)) return deny(req, res, permission);
+      if (permission === 'case:create') {
+        // Whoever creates a case owns it; members are added by sharing it afterwards
+        req.body = { ...req.body, ownerId: req.user.id, members: [] };
+        delete req.body.permissions;
+      }
+      // Run list filters through the same parsing as case lists, so IDs stay strings
+      if (!id && req.method === 'GET') req.scope = {};
+      return next();
+    }
+
+    try {
+      if (!id && req.method === 'GET') {
+        req.scope = { ...(await access.listScope(req.user, resource)), deletedAt: { eq: null } };
+        return next();
+      }
+
+      // The case of the record itself, or of the parent a new record is created in
+      const parent = PARENTS[resource];
+      const caseRecord = id
+        ? await access.caseOf(resource, id)
+        : parent && (await access.caseOf(parent.resource, req.body && req.body[parent.field]));
+      if (!caseRecord) return res.status(404).json({ message: 'Not found' });
+
+      const granted = casePermissions(req.user, caseRecord);
+      if (!granted.length) return res.status(404).json({ message: 'Not found' });
+      if (!granted.includes(permission)) return deny(req, res, permission);
+
+      if (id && req.body && resource === 'cases') {
+        // Computed for each user on the way out, never stored
+        delete req.body.permissions;
+        // Replacing a case keeps whom it is shared with, unless the body says otherwise
+        const sharing = { ownerId: caseRecord.ownerId, members: caseRecord.members || [] };
+        if (req.method === 'PUT') req.body = { ...sharing, ...req.body };
+        const changed = Object.keys(sharing).filter(
+          field =>
+            field in req.body && JSON.stringify(req.body[field]) !== JSON.stringify(sharing[field])
+        );
+        if (changed.length && !granted.includes('case:share')) return deny(req, res, 'case:share');
+        if (changed.includes('members') && !isValidMemberList(req.body.members)) {
+          return res.status(400).json({ message: 'Invalid member list' });
+        }
+        if (changed.includes('ownerId') && !(await userExists(req.body.ownerId))) {
+          return res.status(400).json({ message: 'Unknown owner' });
+        }
+      }
+
+      // Moving a record needs the same permission in the case it moves to
+      if (id && req.body && parent && parent.field in req.body) {
+        const target = await access.caseOf(parent.resource, req.body[parent.field]);
+        if (!target || !casePermissions(req.user, target).includes(permission)) {
+          return deny(req, res, permission);
+        }
+      }
+    } catch (err) {
+      console.error(`[access] Case lookup failed: ${err.message}`);
+      return res.status(502).json({ message: 'Metadata service unavailable' });
+    }
+    next();
+  });
+
+  // Records only enter and leave the trash through DELETE and the trash routes. New and replaced
+  // records carry the fields anyway, since json-server filters never match a missing field.
+  // Likewise, the version of a file only changes when its content does, and a replaced file keeps
+  // its versions and the digest of its content.
+  router.use(async (req, res, next) => {
+    if (!req.body || !['POST', 'PUT', 'PATCH'].includes(req.method)) return next();
+    const [, resource, id] = req.path.split('/');
+    const isFile = resource === 'files';
+    for (const field of TRASH_FIELDS) delete req.body[field];
+    if (isFile) for (const field of VERSION_FIELDS) delete req.body[field];
+    if (req.method !== 'PATCH') req.body = { ...req.body, deletedAt: null, trashedWith: null };
+    if (isFile && req.method === 'POST') req.body = { ...req.body, version: 1, versions: [] };
+
+    if (isFile && req.method === 'PUT' && id) {
+      try {
+        const current = await fetch(`${jsonServerUrl}/files/${encodeURIComponent(id)}`);
+        if (current.ok) {
+          const stored = await current.json();
+          for (const field of VERSION_FIELDS) {
+            if (field in stored) req.body[field] = stored[field];
+          }
+          if (stored.sha256 && !('sha256' in req.body)) req.body.sha256 = stored.sha256;
+        }
+      } catch (err) {
+        console.error(`[api] json-server unreachable: ${err.message}`);
+        return res.status(502).json({ message: 'Metadata service unavailable' });
+      }
+    }
+    next();
+  });
+
+  // Deleting moves the record and everything inside it to the trash
+  router.delete('/:resource/:id', async (req, res) => {
+    try {
+      const record = await trash.moveToTrash(req.params.resource, req.params.id, req.user);
+      if (!record) return res.status(404).json({ message: 'Not found' });
+      audit.record(req.user, {
+        action: 'delete',
+        entity: AUDITED[req.params.resource],
+        entityId: String(record.id),
+        entityName: record.name ?? null,
+      });
+      res.json(record);
+    } catch (err) {
+      console.error(`[trash] Moving ${req.path} to the trash failed: ${err.message}`);
+      res.status(502).json({ message: 'Metadata service unavailable' });
+    }
+  });
+
+  router.use(async (req, res) => {
+    const hasBody = !['GET', 'HEAD', 'DELETE'].includes(req.method);
+    const [, resource, id] = req.path.split('/');
+    const audited = hasBody && AUDITED[resource];
+    let url = req.url;
+    let textFilters = [];
+    let paging = null;
+    if (req.scope) {
+      // Keep the caller's paging and sorting, and only match their filters within the scope
+      const params = new URLSearchParams(url.split('?')[1] || '');
+      const where = { ...req.scope, or: [parseWhere(params)] };
+      textFilters = parseTextFilters(params);
+      for (const key of [...params.keys()]) {
+        if (!RESERVED_QUERY_KEYS.has(key) || key === '_where') params.delete(key);
+      }
+      params.set('_where', JSON.stringify(where));
+
+      // Text filters are applied to the whole sorted list here, so the paging has to wait too
+      if (textFilters.length && params.has('_page')) {
+        paging = {
+          page: Number.parseInt(params.get('_page'), 10),
+          perPage: Number.parseInt(params.get('_per_page'), 10),
+        };
+        params.delete('_page');
+        params.delete('_per_page');
+      }
+      url = `${req.path}?${params}`;
+    }
+
+    let upstream;
+    let before = null;
+    try {
+      if (audited && id) {
+        // The record as it was, to tell what the change did
+        const current = await fetch(`${jsonServerUrl}/${resource}/${encodeURIComponent(id)}`);
+        if (current.ok) before = await current.json();
+      }
+      upstream = await fetch(`${jsonServerUrl}${url}`, {
+        method: req.method,
+        headers: { 'Content-Type': 'application/json' },
+        body: hasBody ? JSON.stringify(req.body || {}) : undefined,
+      });
+    } catch (err) {
+      console.error(`[api] json-server unreachable: ${err.message}`);
+      return res.status(502).json({ message: 'Metadata service unavailable' });
+    }
+
+    for (const name of FORWARDED_HEADERS) {
+      if (upstream.headers.has(name)) res.set(name, upstream.headers.get(name));
+    }
+    res.status(upstream.status);
+
+    if (!(upstream.headers.get('content-type') || '').includes('application/json')) {
+      return res.send(Buffer.from(await upstream.arrayBuffer()));
+    }
+
+    let body = await upstream.json();
+    if (audited && upstream.ok) {
+      const event = describeChange(audited, before, body);
+      if (event) audit.record(req.user, event);
+    }
+    if (textFilters.length && Array.isArray(body)) {
+      body = body.filter(record => matchesTextFilters(record, textFilters));
+      if (paging) body = paginate(body, paging.page, paging.perPage);
+    }
+    if (req.path.startsWith('/users')) {
+      // Never hand out password hashes
+      body = Array.isArray(body) ? body.map(publicUser) : body && publicUser(body);
+    } else if (req.path.startsWith('/cases') && upstream.ok) {
+      body = mapRecords(body, record => ({
+        ...record,
+        permissions: casePermissions(req.user, record),
+      }));
+    }
+    res.json(body);
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,196 @@
+const express = require('express');
+const crypto = require('crypto');
+const { CONTROL_CHARS, contentDisposition } = require('./disposition');
+const { sendRepresentation } = require('./ranges');
+const { VALID_ID } = require('./tus');
+const { createArchiver, planArchive } = require('./zip');
+
+/**
+ * Turns a file's folder and name into a safe path inside an archive: forward slashes only, no
+ * absolute paths, no control characters and no `.` or `..` segments that could write outside the
+ * extraction folder.
+ * @param {{name: string, path?: string}} file - The file record
+ * @returns {string}
+ */
+const archivePath = file =>
+  [file.path, file.name]
+    .filter(Boolean)
+    .join('/')
+    .normalize('NFC')
+    .replace(CONTROL_CHARS, '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .join('/') || 'file';
+
+/**
+ * Gives every entry a unique path, numbering later ones like `report (2).pdf`.
+ * @param {string[]} paths
+ * @returns {string[]}
+ */
+const uniquePaths = paths => {
+  const taken = new Set();
+  return paths.map(original => {
+    let candidate = original;
+    const dot = original.lastIndexOf('.');
+    const slash = original.lastIndexOf('/');
+    const [stem, ext] =
+      dot > slash + 1 ? [original.slice(0, dot), original.slice(dot)] : [original, ''];
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${stem} (${n})${ext}`;
+    taken.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+/**
+ * Creates the route downloading the files of a collection as one ZIP archive.
+ *
+ * Files are stored, not compressed, so the layout of the archive follows from the files' names
+ * and sizes alone. That makes range requests work exactly as for single files: a client can fetch
+ * the archive in pieces and resume an interrupted download. The `ETag` identifies the layout;
+ * it changes when a file of the collection changes, after which earlier pieces no longer fit and
+ * an `If-Range` request gets the whole new archive.
+ *
+ * @param {Object} options
+ * @param {string} options.jsonServerUrl - Base URL of json-server
+ * @param {import('./adapters').StorageAdapter} options.storage - Where file contents are kept
+ * @param {function(string): Promise<Object|null>} options.findStoredFile - Resolves a file record
+ *   ID to its finished blob
+ * @param {express.RequestHandler} options.requireAuth - Authentication middleware
+ * @param {ReturnType<import('./access').createCaseAccess>} options.access - Case access lookups
+ * @param {ReturnType<import('./audit').createAudit>} options.audit - The audit log
+ * @param {ReturnType<import('./limits').createDownloadLimits>} options.downloadLimits - Bandwidth
+ *   and stream limits, shared with single file downloads
+ */
+function createArchives({
+  jsonServerUrl,
+  storage,
+  findStoredFile,
+  requireAuth,
+  access,
+  audit,
+  downloadLimits,
+}) {
+  const router = express.Router();
+  const archiver = createArchiver(storage);
+
+  const fetchJson = async resourcePath => {
+    const response = await fetch(`${jsonServerUrl}${resourcePath}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`${resourcePath} failed with ${response.status}`);
+    return await response.json();
+  };
+
+  /**
+   * Lists what goes into the archive of a collection: its files that are not in the trash and
+   * have finished uploading, optionally only some of them.
+   * @param {string} collectionId
+   * @param {string[]|null} fileIds - The files to include, or null for all
+   * @returns {Promise<import('./zip').ArchiveEntry[]>}
+   */
+  const archiveEntries = async (collectionId, fileIds) => {
+    const params = new URLSearchParams({ collectionId, _sort: 'id' });
+    const records = ((await fetchJson(`/files?${params}`)) || []).filter(
+      record => !record.deletedAt && (!fileIds || fileIds.includes(record.id))
+    );
+    const stored = await Promise.all(records.map(record => findStoredFile(record.id)));
+    const files = records
+      .map((record, index) => ({ record, blob: stored[index] }))
+      .filter(({ blob }) => blob);
+    const names = uniquePaths(files.map(({ record }) => archivePath(record)));
+    return files.map(({ blob }, index) => ({
+      key: blob.key,
+      name: names[index],
+      size: blob.stat.size,
+      modified: blob.stat.modified,
+    }));
+  };
+
+  // Identifies the archive's layout, which any change to its files changes
+  const etagOf = entries => {
+    const hash = crypto.createHash('sha256');
+    for (const entry of entries) {
+      hash.update(`${entry.key}\0${entry.name}\0${entry.size}\0${entry.modified.getTime()}\n`);
+    }
+    return `"${hash.digest('base64url').slice(0, 27)}"`;
+  };
+
+  // The archive of a collection, with range support; `?files=<id>,<id>` limits it to some files
+  router.get(
+    '/:id/archive',
+    (req, res, next) =>
+      VALID_ID.test(req.params.id)
+        ? next()
+        : res.status(400).json({ message: 'Invalid collection ID' }),
+    requireAuth,
+    access.requireCollectionPermission('file:download', req => req.params.id),
+    downloadLimits.limitStreams,
+    async (req, res) => {
+      const fileIds = req.query.files ? String(req.query.files).split(',') : null;
+
+      let collection;
+      let entries;
+      try {
+        collection = await fetchJson(`/collections/${encodeURIComponent(req.params.id)}`);
+        entries = collection && (await archiveEntries(collection.id, fileIds));
+      } catch (err) {
+        console.error(`[archives] Failed to list collection ${req.params.id}: ${err.message}`);
+        return res.status(502).json({ message: 'Metadata service unavailable' });
+      }
+      if (!collection) return res.status(404).json({ message: 'Collection not found' });
+      if (!entries.length) return res.status(404).json({ message: 'No files to download' });
+
+      const plan = planArchive(entries);
+
+      const sent = await sendRepresentation(req, res, {
+        size: plan.size,
+        contentType: 'application/zip',
+        etag: etagOf(entries),
+        // The newest file decides when the archive last changed
+        lastModified: new Date(Math.max(...entries.map(entry => entry.modified.getTime()))),
+        headers: {
+          'Content-Disposition': contentDisposition(
+            'attachment',
+            `${collection.name || collection.id}.zip`
+          ),
+          'X-Content-Type-Options': 'nosniff',
+        },
+        read: (start, end) => archiver.read(plan, start, end),
+        throttle: downloadLimits.throttle(req),
+      });
+      if (!sent) return;
+
+      const startedAt = new Date().toISOString();
+      let bytesSent = 0;
+      sent.body.on('data', chunk => {
+        bytesSent += chunk.length;
+      });
+      sent.body.on('error', err => {
+        console.error(`[archives] Archive of ${collection.id} failed: ${err.message}`);
+      });
+      res.on('close', () => {
+        audit.record(req.user, {
+          action: 'download',
+          entity: 'collection',
+          entityId: collection.id,
+          entityName: collection.name || null,
+          details: {
+            archive: true,
+            files: entries.length,
+            startedAt,
+            start: sent.ranges[0].start,
+            end: sent.ranges[sent.ranges.length - 1].end,
+            ranges: sent.ranges.length > 1 ? sent.ranges.length : undefined,
+            size: plan.size,
+            bytesSent,
+            outcome: res.writableFinished ? 'finished' : 'aborted',
+          },
+        });
+      });
+    }
+  );
+
+  return { router };
+}
+
+module.exports = { createArchives };
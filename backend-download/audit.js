@@ -0,0 +1,54 @@
+/**
+ * @typedef {Object} AuditEvent
+ * @property {('create'|'update'|'rename'|'share'|'delete'|'restore'|'purge'|'upload'|'download')} action
+ * @property {('case'|'collection'|'file')} entity - The kind of record acted on
+ * @property {string} entityId - Its ID
+ * @property {string} [entityName] - Its name at the time, so entries stay readable after it changes
+ * @property {Object} [details] - Anything else worth keeping, e.g. the byte range of a download
+ */
+
+/**
+ * Creates the audit log, kept as the `audit` resource of json-server. Admins read it through the
+ * API (`audit:read`); only this server writes to it.
+ *
+ * Recording never delays or fails the request being audited: entries are written in the
+ * background and a failed write is only logged.
+ *
+ * @param {Object} options
+ * @param {string} options.jsonServerUrl - Base URL of json-server
+ * @returns {{ record: function({id: string, email: string}, AuditEvent): void }}
+ */
+function createAudit({ jsonServerUrl }) {
+  /**
+   * Adds an entry to the audit log.
+   * @param {{id: string, email: string}} user - Who did it (`req.user`)
+   * @param {AuditEvent} event - What they did
+   */
+  const record = (user, event) => {
+    const entry = {
+      at: new Date().toISOString(),
+      userId: user.id,
+      userEmail: user.email,
+      entityName: null,
+      details: {},
+      ...event,
+    };
+    fetch(`${jsonServerUrl}/audit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry),
+    })
+      .then(response => {
+        if (!response.ok) throw new Error(`status ${response.status}`);
+      })
+      .catch(err => {
+        console.error(
+          `[audit] Failed to record ${event.action} of ${event.entity}: ${err.message}`
+        );
+      });
+  };
+
+  return { record };
+}
+
+module.exports = { createAudit };
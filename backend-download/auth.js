@@ -0,0 +1,234 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { permissionsFor } = require('./permissions');
+
+// The refresh token travels in an httpOnly cookie scoped to the auth routes, out of reach of scripts
+const REFRESH_COOKIE = 'refresh_token';
+
+// A rotated refresh token stays usable this long, so tabs refreshing at the same moment with the
+// same cookie do not log each other out
+const ROTATION_GRACE_MS = 10 * 1000;
+
+// Audience of preview tokens, which are only accepted for the file they were issued for
+const PREVIEW_AUDIENCE = 'preview';
+
+// Compared against when the email is unknown, so response times do not reveal which emails exist
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+/**
+ * Strips credentials from a user record before it leaves the server.
+ * @param {Object} user - The user record from json-server
+ * @returns {Object} The user without its password hash
+ */
+function publicUser(user) {
+  const rest = { ...user };
+  delete rest.passwordHash;
+  return rest;
+}
+
+/**
+ * Creates the authentication routes and the middleware that protects everything else.
+ *
+ * Access tokens are short-lived JWTs carrying the user's ID and role and are sent as
+ * `Authorization: Bearer <token>`; the browser keeps them in memory only. Refresh tokens are
+ * longer-lived JWTs set as an httpOnly cookie that is only sent to these routes, which lets a
+ * reloaded page restore its session through `/refresh`. Each use rotates the refresh token, and
+ * logging out revokes it.
+ *
+ * Media elements cannot send an `Authorization` header, so previews use a preview token instead:
+ * a JWT for a single file, passed as `?token=` and accepted by `requirePreviewAuth` only.
+ *
+ * @param {Object} options
+ * @param {string} options.jsonServerUrl - Base URL of the json-server holding the users
+ * @param {Object} options.auth - Token secrets, lifetimes and cookie settings from the configuration
+ * @returns {{ router: express.Router, requireAuth: express.RequestHandler,
+ *   issuePreviewToken: Function, requirePreviewAuth: Function }}
+ */
+function createAuth({ jsonServerUrl, auth }) {
+  const router = express.Router();
+  router.use(express.json());
+  router.use(cookieParser());
+
+  // Refresh tokens that were rotated or logged out, by token ID. Kept in memory, so a restart
+  // lets tokens issued before it be used once more until they expire.
+  /** @type {Map<string, {reason: ('rotated'|'logout'), at: number, exp: number}>} */
+  const revoked = new Map();
+
+  const revoke = (payload, reason) => {
+    revoked.set(payload.jti, { reason, at: Date.now(), exp: payload.exp * 1000 });
+  };
+
+  // Forget revocations of tokens that have expired anyway
+  setInterval(
+    () => {
+      for (const [jti, entry] of revoked) {
+        if (entry.exp < Date.now()) revoked.delete(jti);
+      }
+    },
+    60 * 60 * 1000
+  ).unref();
+
+  const findUserByEmail = async email => {
+    const response = await fetch(`${jsonServerUrl}/users?${new URLSearchParams({ email })}`);
+    if (!response.ok) throw new Error(`User lookup failed with status ${response.status}`);
+    const users = await response.json();
+    return users[0] || null;
+  };
+
+  const findUserById = async id => {
+    const response = await fetch(`${jsonServerUrl}/users/${encodeURIComponent(id)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`User lookup failed with status ${response.status}`);
+    return await response.json();
+  };
+
+  /**
+   * Sets a fresh refresh cookie and answers with the user, their permissions and a new access token.
+   * `sessionExpiresAt` tells the client when the session ends unless it is refreshed again.
+   */
+  const startSession = (res, user) => {
+    const refreshToken = jwt.sign({ sub: user.id }, auth.refreshTokenSecret, {
+      expiresIn: auth.refreshTokenTtl,
+      jwtid: crypto.randomUUID(),
+    });
+    const sessionExpiresAt = jwt.decode(refreshToken).exp * 1000;
+
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      httpOnly: true,
+      secure: auth.secureCookies,
+      sameSite: 'strict',
+      path: '/api/auth',
+      expires: new Date(sessionExpiresAt),
+    });
+    res.json({
+      user: { ...publicUser(user), permissions: permissionsFor(user.role) },
+      accessToken: jwt.sign(
+        { sub: user.id, role: user.role, email: user.email, username: user.username },
+        auth.accessTokenSecret,
+        { expiresIn: auth.accessTokenTtl }
+      ),
+      sessionExpiresAt: new Date(sessionExpiresAt).toISOString(),
+    });
+  };
+
+  // Verifies a refresh token, returning its payload or null if it is invalid or revoked
+  const verifyRefreshToken = token => {
+    try {
+      const payload = jwt.verify(token, auth.refreshTokenSecret);
+      const entry = revoked.get(payload.jti);
+      if (!entry) return payload;
+      const withinGrace = entry.reason === 'rotated' && Date.now() - entry.at < ROTATION_GRACE_MS;
+      return withinGrace ? payload : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const clearCookie = res => res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+
+  router.post('/login', async (req, res) => {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const user = await findUserByEmail(email);
+    const valid = await bcrypt.compare(password, user?.passwordHash || DUMMY_HASH);
+    if (!user || !valid) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    console.log(`[auth] ${user.email} logged in`);
+    startSession(res, user);
+  });
+
+  router.post('/refresh', async (req, res) => {
+    const payload = verifyRefreshToken(req.cookies[REFRESH_COOKIE]);
+    if (!payload) {
+      clearCookie(res);
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await findUserById(payload.sub);
+    if (!user) {
+      clearCookie(res);
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+
+    if (!revoked.has(payload.jti)) revoke(payload, 'rotated');
+    startSession(res, user);
+  });
+
+  router.post('/logout', (req, res) => {
+    const payload = verifyRefreshToken(req.cookies[REFRESH_COOKIE]);
+    if (payload) revoke(payload, 'logout');
+    clearCookie(res);
+    res.status(204).end();
+  });
+
+  /**
+   * Rejects requests without a valid access token and exposes its claims as `req.user`.
+   * @type {express.RequestHandler}
+   */
+  const requireAuth = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    try {
+      const payload = jwt.verify(token, auth.accessTokenSecret);
+      // Preview tokens share the secret but are only good for reading their one file
+      if (payload.aud === PREVIEW_AUDIENCE) throw new Error('Preview tokens are not access tokens');
+      req.user = { id: payload.sub, role: payload.role, email: payload.email };
+      next();
+    } catch {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      res.status(401).json({ message: 'Invalid or expired access token' });
+    }
+  };
+
+  /**
+   * Issues a token that lets the holder read one file on behalf of a user, for URLs opened by
+   * media elements.
+   * @param {{id: string, role: string, email: string}} user - The user previewing (`req.user`)
+   * @param {string} fileId - The file record ID
+   * @returns {{token: string, expiresAt: string}}
+   */
+  const issuePreviewToken = (user, fileId) => {
+    const token = jwt.sign(
+      { sub: user.id, role: user.role, email: user.email, fileId },
+      auth.accessTokenSecret,
+      { expiresIn: auth.previewTokenTtl, audience: PREVIEW_AUDIENCE }
+    );
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+  };
+
+  /**
+   * Like `requireAuth`, but also accepts a preview token in the `token` query parameter when it
+   * was issued for the requested file.
+   * @param {function(express.Request): string} getFileId - Reads the file ID from the request
+   * @returns {express.RequestHandler}
+   */
+  const requirePreviewAuth = getFileId => (req, res, next) => {
+    if (!req.query.token) return requireAuth(req, res, next);
+    try {
+      const payload = jwt.verify(String(req.query.token), auth.accessTokenSecret, {
+        audience: PREVIEW_AUDIENCE,
+      });
+      if (payload.fileId !== getFileId(req)) throw new Error('Token is for another file');
+      req.user = { id: payload.sub, role: payload.role, email: payload.email };
+      next();
+    } catch {
+      res.status(401).json({ message: 'Invalid or expired preview link' });
+    }
+  };
+
+  return { router, requireAuth, issuePreviewToken, requirePreviewAuth };
+}
+
+module.exports = { createAuth, publicUser };
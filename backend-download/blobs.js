@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { readJson, writeJson } = require('./adapters');
+
+// Hex SHA-256 digests, as sent by clients asking for stored content
+const VALID_SHA256 = /^[0-9a-f]{64}$/;
+
+// Storage keys of blobs, which name their content's digest
+const BLOB_KEY = /^sha256\.([0-9a-f]{64})$/;
+
+/**
+ * Reads the digest of a blob's content from its storage key.
+ * @param {string} key - A storage key
+ * @returns {string|null} The SHA-256 as lowercase hex, or null if the key is not a blob's
+ */
+const digestOfKey = key => {
+  const match = BLOB_KEY.exec(key);
+  return match ? match[1] : null;
+};
+
+/**
+ * Hashes a file on the local disk by streaming it.
+ * @param {string} filePath
+ * @returns {Promise<string>} The SHA-256 as lowercase hex
+ */
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Creates the store of file contents, kept once per distinct content however many files and
+ * versions have it.
+ *
+ * Content is stored under its SHA-256 as `sha256.<hex>` (the dot keeps it apart from file IDs).
+ * The upload info of a file (`<id>.json`) or of an earlier version (`<id>.v<n>.json`) names its
+ * content in `blob`, and each such info key is a reference to the blob, listed in
+ * `sha256.<hex>.refs.json`. A blob is deleted together with its last reference. References are
+ * added before an info points at a blob and released once it no longer does, so a failure in
+ * between keeps a blob too long rather than deleting one still in use.
+ *
+ * Content stored before blobs existed stays under the key of its info, without `blob`.
+ *
+ * @param {Object} options
+ * @param {import('./adapters').StorageAdapter} options.storage - Where blobs are kept
+ */
+function createBlobStore({ storage }) {
+  const blobKey = sha256 => `sha256.${sha256}`;
+  const refsKey = key => `${key}.refs.json`;
+
+  // Reference changes per blob, run one after the other so concurrent ones do not undo each other
+  const queues = new Map();
+
+  const exclusive = (key, task) => {
+    const run = (queues.get(key) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    queues.set(key, settled);
+    settled.then(() => {
+      if (queues.get(key) === settled) queues.delete(key);
+    });
+    return run;
+  };
+
+  const readRefs = async key => ((await readJson(storage, refsKey(key))) || { refs: [] }).refs;
+
+  const link = async (key, ref) => {
+    const refs = await readRefs(key);
+    if (!refs.includes(ref)) await writeJson(storage, refsKey(key), { refs: [...refs, ref] });
+  };
+
+  /**
+   * Looks up stored content by its digest.
+   * @param {string} sha256 - Hex SHA-256 of the content
+   * @returns {Promise<{key: string, stat: import('./adapters').BlobStat, refs: string[]}|null>}
+   *   The blob and the info keys referencing it, or null if no such content is stored
+   */
+  const find = async sha256 => {
+    if (!VALID_SHA256.test(sha256)) return null;
+    const key = blobKey(sha256);
+    const stat = await storage.stat(key);
+    return stat ? { key, stat, refs: await readRefs(key) } : null;
+  };
+
+  /**
+   * Stores content under its digest unless it is there already, and references it.
+   * @param {string} sha256 - Hex SHA-256 of the content, computed by the caller
+   * @param {function(): import('stream').Readable} open - Opens the content; only called when it
+   *   is not stored yet
+   * @param {string} ref - The info key that will point at the blob
+   * @returns {Promise<string>} The blob key
+   */
+  const put = (sha256, open, ref) => {
+    const key = blobKey(sha256);
+    return exclusive(key, async () => {
+      if (!(await storage.stat(key))) await storage.write(key, open());
+      await link(key, ref);
+      return key;
+    });
+  };
+
+  /**
+   * References a stored blob.
+   * @param {string} key - The blob key
+   * @param {string} ref - The info key that will point at the blob
+   * @returns {Promise<boolean>} false if the blob is gone
+   */
+  const addRef = (key, ref) =>
+    exclusive(key, async () => {
+      if (!(await storage.stat(key))) return false;
+      await link(key, ref);
+      return true;
+    });
+
+  /**
+   * Drops a reference to a blob, deleting the blob once nothing references it.
+   * @param {string} key - The blob key
+   * @param {string} ref - The info key that no longer points at the blob
+   * @returns {Promise<void>}
+   */
+  const release = (key, ref) =>
+    exclusive(key, async () => {
+      const refs = (await readRefs(key)).filter(item => item !== ref);
+      if (refs.length) return writeJson(storage, refsKey(key), { refs });
+      await storage.delete(key);
+      await storage.delete(refsKey(key));
+      console.log(`[blobs] Deleted ${key}, no longer used`);
+    });
+
+  /**
+   * Lets go of the content an info key pointed at before it was given other content: its
+   * reference to the previous blob, or content stored under the key itself before blobs existed.
+   * @param {string} ref - The info key
+   * @param {Object|null} previous - The info it had before
+   * @param {Object} current - The info it has now
+   * @returns {Promise<void>}
+   */
+  const releaseReplaced = async (ref, previous, current) => {
+    if (!previous || previous.blob === current.blob) return;
+    if (previous.blob) await release(previous.blob, ref);
+    else await storage.delete(ref);
+  };
+
+  return { find, put, addRef, release, releaseReplaced };
+}
+
+module.exports = { createBlobStore, digestOfKey, sha256File, VALID_SHA256 };
@@ -0,0 +1,64 @@
+const path = require('path');
+
+/**
+ * Server configuration, read from environment variables so the same code can run against local
+ * disk during development and an S3-compatible bucket elsewhere.
+ */
+module.exports = {
+  port: Number(process.env.PORT) || 4000,
+  corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:5173',
+
+  // The json-server instance holding users, cases, collections and file records
+  jsonServerUrl: process.env.JSON_SERVER_URL || 'http://localhost:3000',
+
+  auth: {
+    // Override both secrets outside of local development
+    accessTokenSecret: process.env.ACCESS_TOKEN_SECRET || 'dev-access-secret',
+    refreshTokenSecret: process.env.REFRESH_TOKEN_SECRET || 'dev-refresh-secret',
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtl: process.env.REFRESH_TOKEN_TTL || '7d',
+    // Previews put their token in the URL, where it is limited to one file and this long
+    previewTokenTtl: process.env.PREVIEW_TOKEN_TTL || '1h',
+    // Only send the refresh cookie over HTTPS; enable whenever the server is not plain localhost
+    secureCookies: process.env.SECURE_COOKIES === 'true',
+  },
+
+  // Limits on each user's downloads; 0 turns a limit off
+  downloads: {
+    // Bandwidth shared by all downloads of one user, in bytes per second
+    userBytesPerSecond: Number(process.env.DOWNLOAD_USER_RATE) || 0,
+    // Bandwidth of each download connection, in bytes per second
+    connectionBytesPerSecond: Number(process.env.DOWNLOAD_CONNECTION_RATE) || 0,
+    // Downloads one user may have open at once; every parallel range request counts
+    maxStreamsPerUser: Number(process.env.DOWNLOAD_MAX_STREAMS ?? 16),
+  },
+
+  // Where unfinished TUS uploads are assembled before being handed to the storage backend
+  stagingDir: process.env.STAGING_DIR || path.join(__dirname, '.uploads'),
+
+  thumbnails: {
+    // ffmpeg renders image thumbnails and video poster frames; without it files get none
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    // Longest side of a thumbnail, in pixels
+    size: Number(process.env.THUMBNAIL_SIZE) || 320,
+  },
+
+  storage: {
+    // 'local' or 's3'
+    driver: process.env.STORAGE_DRIVER || 'local',
+
+    local: {
+      root: process.env.STORAGE_DIR || path.join(__dirname, 'storage'),
+    },
+
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      // Set for MinIO and other S3-compatible services, e.g. http://localhost:9000
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    },
+  },
+};
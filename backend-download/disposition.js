@@ -0,0 +1,47 @@
+// Characters that must never reach a header or a file name: C0 and C1 controls and DEL
+const CONTROL_CHARS = /\p{Cc}/gu;
+
+/**
+ * Percent-encodes a value for an RFC 8187 extended parameter, leaving only `attr-char`s as they
+ * are (`encodeURIComponent` also leaves `'()*`, which are not allowed there).
+ * @param {string} value
+ * @returns {string}
+ */
+const encodeExtValue = value =>
+  encodeURIComponent(value).replace(
+    /['()*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+/**
+ * Turns a stored file name into one that is safe to hand to a browser: no control characters, no
+ * folders, and composed Unicode (`é` as one code point, as names from macOS are not).
+ * @param {string} name
+ * @returns {string}
+ */
+const safeFilename = name =>
+  String(name || '')
+    .normalize('NFC')
+    .replace(CONTROL_CHARS, '')
+    .replace(/[\\/]/g, '_')
+    .trim();
+
+/**
+ * Builds a `Content-Disposition` header (RFC 6266) for any file name.
+ *
+ * `filename` gets a plain ASCII version of the name, with quotes, backslashes, percent signs and
+ * non-ASCII characters replaced by `_`. When that lost anything, `filename*=UTF-8''...` carries the
+ * exact name, which browsers prefer. Writing a non-ASCII name into the header as it is would make
+ * Node refuse the response.
+ * @param {('attachment'|'inline')} type - The disposition type
+ * @param {string} filename - The name to save the file as
+ * @returns {string}
+ */
+function contentDisposition(type, filename) {
+  const name = safeFilename(filename) || 'download';
+  const fallback = name.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  if (fallback === name) return `${type}; filename="${name}"`;
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeExtValue(name)}`;
+}
+
+module.exports = { CONTROL_CHARS, contentDisposition, safeFilename };
@@ -0,0 +1,117 @@
+const { Transform } = require('stream');
+
+/**
+ * Token bucket metering bytes at a fixed rate, with a burst of up to one second's worth.
+ */
+class TokenBucket {
+  /**
+   * @param {number} bytesPerSecond - The rate
+   */
+  constructor(bytesPerSecond) {
+    this.rate = bytesPerSecond;
+    this.tokens = bytesPerSecond;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Takes bytes out of the bucket, going into debt if there are not enough.
+   * @param {number} bytes
+   * @returns {number} How long to wait before sending them, in milliseconds
+   */
+  take(bytes) {
+    const now = Date.now();
+    this.tokens = Math.min(this.rate, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+    this.tokens -= bytes;
+    return this.tokens >= 0 ? 0 : (-this.tokens / this.rate) * 1000;
+  }
+
+  /** @returns {number} Milliseconds until the bucket has refilled completely */
+  untilFull() {
+    const elapsed = (Date.now() - this.updatedAt) / 1000;
+    return Math.max(0, ((this.rate - this.tokens) / this.rate - elapsed) * 1000);
+  }
+}
+
+/**
+ * Creates the limits on how much of the server's bandwidth one user's downloads can take: a cap
+ * on the bytes per second of all of their downloads together, a cap per connection, and a maximum
+ * number of downloads running at the same time. Parallel range requests of one download count as
+ * separate streams. A limit of 0 is no limit.
+ *
+ * @param {Object} options
+ * @param {number} options.userBytesPerSecond - Bandwidth shared by all downloads of a user
+ * @param {number} options.connectionBytesPerSecond - Bandwidth of each download response
+ * @param {number} options.maxStreamsPerUser - Downloads a user may have open at once
+ * @returns {{ limitStreams: import('express').RequestHandler,
+ *   throttle: function(import('express').Request): (Transform|null) }}
+ */
+function createDownloadLimits({ userBytesPerSecond, connectionBytesPerSecond, maxStreamsPerUser }) {
+  /** @type {Map<string, {streams: number, bucket: TokenBucket|null}>} Users with open downloads */
+  const users = new Map();
+
+  /**
+   * Middleware turning away a download with 429 while the user already has the maximum number
+   * open; clients retry after `Retry-After`.
+   * @type {import('express').RequestHandler}
+   */
+  const limitStreams = (req, res, next) => {
+    let entry = users.get(req.user.id);
+    if (!entry) {
+      entry = {
+        streams: 0,
+        bucket: userBytesPerSecond ? new TokenBucket(userBytesPerSecond) : null,
+      };
+      users.set(req.user.id, entry);
+    }
+
+    if (maxStreamsPerUser && entry.streams >= maxStreamsPerUser) {
+      console.warn(`[limits] ${req.user.email} has ${entry.streams} downloads open, refusing more`);
+      res.set('Retry-After', '1');
+      return res.status(429).json({ message: 'Too many downloads at once' });
+    }
+
+    entry.streams++;
+    res.on('close', () => {
+      entry.streams--;
+      if (entry.streams > 0) return;
+      // Keep a user's bucket until it has refilled, so that requests one after the other (as
+      // resumable clients make them) cannot start each with a fresh burst. Downloads may have
+      // used the bucket since the timer was set, so it is checked again when the timer fires.
+      const forget = () => {
+        if (entry.streams > 0 || users.get(req.user.id) !== entry) return;
+        const wait = entry.bucket ? entry.bucket.untilFull() : 0;
+        if (wait > 0) setTimeout(forget, wait).unref();
+        else users.delete(req.user.id);
+      };
+      forget();
+    });
+    next();
+  };
+
+  /**
+   * Creates a stream pacing a download body to the user's and the connection's bandwidth caps.
+   * @param {import('express').Request} req - The download request, after `limitStreams`
+   * @returns {Transform|null} The pacing stream, or null when no cap applies
+   */
+  const throttle = req => {
+    const entry = users.get(req.user.id);
+    const buckets = [
+      entry && entry.bucket,
+      connectionBytesPerSecond ? new TokenBucket(connectionBytesPerSecond) : null,
+    ].filter(Boolean);
+    if (!buckets.length) return null;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        const delay = Math.max(...buckets.map(bucket => bucket.take(chunk.length)));
+        if (delay > 0) setTimeout(() => callback(null, chunk), delay);
+        else callback(null, chunk);
+      },
+    });
+  };
+
+  return { limitStreams, throttle };
+}
+
+module.exports = { createDownloadLimits };
@@ -0,0 +1,176 @@
+/**
+ * Permissions granted to each role. Every route of the server requires one of these, and the
+ * client receives the list of the logged-in user to decide what to show.
+ *
+ * Permissions on a case and its collections and files (see `CASE_SCOPED`) come from the user's
+ * role in that case instead, unless their global role has `case:all`.
+ * @type {Object.<string, string[]>}
+ */
+const ROLE_PERMISSIONS = {
+  admin: [
+    'case:all',
+    'case:read',
+    'case:create',
+    'case:update',
+    'case:delete',
+    'case:share',
+    'collection:read',
+    'collection:create',
+    'collection:update',
+    'collection:delete',
+    'file:read',
+    'file:upload',
+    'file:update',
+    'file:download',
+    'file:delete',
+    'user:read',
+    'audit:read',
+  ],
+  employee: ['case:read', 'collection:read', 'file:read', 'file:download'],
+};
+
+/**
+ * Permissions granted by a user's role within a single case. The owner is the user who created
+ * the case; everyone else gets access by being added to its `members`.
+ * @type {Object.<string, string[]>}
+ */
+const CASE_ROLE_PERMISSIONS = {
+  viewer: ['case:read', 'collection:read', 'file:read', 'file:download'],
+  editor: [
+    'case:read',
+    'collection:read',
+    'collection:create',
+    'collection:update',
+    'collection:delete',
+    'file:read',
+    'file:upload',
+    'file:update',
+    'file:download',
+    'file:delete',
+  ],
+};
+CASE_ROLE_PERMISSIONS.owner = [
+  ...CASE_ROLE_PERMISSIONS.editor,
+  'case:update',
+  'case:delete',
+  'case:share',
+];
+
+/** Roles that can be given to case members */
+const CASE_MEMBER_ROLES = ['viewer', 'editor'];
+
+/** Permissions that apply to a particular case, and to the collections and files inside it */
+const CASE_SCOPED = new Set(Object.values(CASE_ROLE_PERMISSIONS).flat());
+
+// Metadata resources served through the API and the permission prefix guarding each
+const API_RESOURCES = {
+  cases: 'case',
+  collections: 'collection',
+  files: 'file',
+  users: 'user',
+  audit: 'audit',
+};
+
+// The action each HTTP method performs on an API resource
+const API_ACTIONS = {
+  GET: 'read',
+  HEAD: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete',
+};
+
+// File records are created as the first step of an upload
+const API_ACTION_OVERRIDES = { 'file:create': 'file:upload' };
+
+/**
+ * Lists the permissions of a role.
+ * @param {string} role - The user's role
+ * @returns {string[]} Its permissions, empty for unknown roles
+ */
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Tells whether a role has a permission.
+ * @param {string} role - The user's role
+ * @param {string} permission - e.g. `file:delete`
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+/**
+ * Works out a user's role in a case.
+ * @param {{id: string}} user - The authenticated user (`req.user`)
+ * @param {Object} caseRecord - The case, with its `ownerId` and `members`
+ * @returns {('owner'|'editor'|'viewer'|null)} The role, or null if the user has no access
+ */
+function caseRole(user, caseRecord) {
+  if (caseRecord.ownerId === user.id) return 'owner';
+  const member = (caseRecord.members || []).find(entry => entry.userId === user.id);
+  return member ? member.role : null;
+}
+
+/**
+ * Lists what a user may do within a case.
+ * @param {{id: string, role: string}} user - The authenticated user (`req.user`)
+ * @param {Object} caseRecord - The case
+ * @returns {string[]} The permissions, empty if the user cannot access the case at all
+ */
+function casePermissions(user, caseRecord) {
+  const global = permissionsFor(user.role);
+  if (global.includes('case:all')) return global.filter(permission => CASE_SCOPED.has(permission));
+  return CASE_ROLE_PERMISSIONS[caseRole(user, caseRecord)] || [];
+}
+
+/**
+ * Works out the permission an API request needs from its method and the resource in its path,
+ * e.g. `PATCH /cases/3` needs `case:update`.
+ * @param {string} method - The HTTP method
+ * @param {string} requestPath - The path relative to the API root
+ * @returns {string|null} The permission, or null for resources the API does not expose
+ */
+function apiPermission(method, requestPath) {
+  const resource = API_RESOURCES[requestPath.split('/')[1]];
+  const action = API_ACTIONS[method];
+  if (!resource || !action) return null;
+  const permission = `${resource}:${action}`;
+  return API_ACTION_OVERRIDES[permission] || permission;
+}
+
+/**
+ * Creates a middleware letting through only users whose role grants the permission.
+ * Must run after `requireAuth`.
+ * @param {string|function(import('express').Request): (string|null)} permission - The
+ *   permission, or a function deriving it from the request (null denies the request)
+ * @returns {import('express').RequestHandler}
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const required = typeof permission === 'function' ? permission(req) : permission;
+    if (!required || !hasPermission(req.user.role, required)) {
+      console.warn(
+        `[auth] ${req.user.email} denied ${req.method} ${req.originalUrl} (${required || 'no permission defined'})`
+      );
+      return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  CASE_ROLE_PERMISSIONS,
+  CASE_MEMBER_ROLES,
+  CASE_SCOPED,
+  permissionsFor,
+  caseRole,
+  casePermissions,
+  hasPermission,
+  apiPermission,
+  requirePermission,
+};
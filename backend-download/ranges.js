@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { pipeline, Readable } = require('stream');
+
+// More ranges than this in one request are not worth serving piecewise (RFC 9110 §14.2 lets a
+// server ignore such requests); the whole representation is sent instead
+const MAX_RANGES = 64;
+
+/**
+ * Parses a `Range` header (RFC 9110 §14.1.2) against a representation of `size` bytes. Handles
+ * `first-last`, open `first-` and suffix `-length` ranges; overlapping or adjacent ranges are
+ * merged and the rest keep the requested order.
+ * @param {string|undefined} header - The `Range` header
+ * @param {number} size - Length of the representation in bytes
+ * @returns {Array<{start: number, end: number}>|'unsatisfiable'|null} The inclusive ranges to
+ *   send, 'unsatisfiable' if none of them overlaps the representation, or null if the header is
+ *   absent, malformed or not about bytes, in which case it is ignored
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim());
+  if (!specs.length || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    if (!spec) continue; // Empty list elements are allowed
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (!parts[1] && !parts[2])) return null;
+
+    if (!parts[1]) {
+      // Suffix range: the last N bytes
+      const length = Number(parts[2]);
+      if (length > 0 && size > 0) ranges.push({ start: Math.max(size - length, 0), end: size - 1 });
+      continue;
+    }
+
+    const start = Number(parts[1]);
+    const end = parts[2] ? Number(parts[2]) : size - 1;
+    if (parts[2] && end < start) return null;
+    if (start < size) ranges.push({ start, end: Math.min(end, size - 1) });
+  }
+  if (!ranges.length) return 'unsatisfiable';
+
+  // Merge ranges that overlap or touch, so no byte is sent twice
+  const merged = [];
+  for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+    else merged.push({ ...range });
+  }
+  if (merged.length === ranges.length) return ranges;
+  return merged;
+}
+
+// Splits an `If-None-Match` or `If-Match` header into its entity tags
+const entityTags = header => header.match(/(?:W\/)?"[^"]*"|\*/g) || [];
+
+const stripWeak = tag => tag.replace(/^W\//, '');
+
+/**
+ * Tells whether a conditional GET can be answered with 304 Not Modified (RFC 9110 §13.1.2 and
+ * §13.1.3): `If-None-Match` matches the ETag (weak comparison), or, when it is absent,
+ * `If-Modified-Since` is not older than the last modification.
+ * @param {import('express').Request} req
+ * @param {{etag: string, lastModified: Date}} validators
+ * @returns {boolean}
+ */
+function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return entityTags(ifNoneMatch).some(tag => tag === '*' || stripWeak(tag) === stripWeak(etag));
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  return (
+    !Number.isNaN(ifModifiedSince) && Math.floor(lastModified / 1000) * 1000 <= ifModifiedSince
+  );
+}
+
+/**
+ * Tells whether the `Range` header may be honoured according to `If-Range` (RFC 9110 §13.1.5):
+ * always without one, otherwise only if its entity tag matches strongly or its date equals the
+ * last modification. A client holding pieces of an older representation thus gets the whole new
+ * one instead of a range that does not fit what it has.
+ * @param {import('express').Request} req
+ * @param {{etag: string, lastModified: Date}} validators
+ * @returns {boolean}
+ */
+function ifRangeMatches(req, { etag, lastModified }) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('W/')) return false;
+  if (ifRange.startsWith('"')) return ifRange === etag;
+  return Date.parse(ifRange) === Math.floor(lastModified / 1000) * 1000;
+}
+
+/**
+ * Builds a `multipart/byteranges` body (RFC 9110 §14.6) for several ranges.
+ * @param {Array<{start: number, end: number}>} ranges - The ranges, in the order to send them
+ * @param {number} size - Length of the representation
+ * @param {string} contentType - Type of the representation, repeated in every part
+ * @param {function(number, number): (Promise<import('stream').Readable>|import('stream').Readable)} read
+ *   - Streams the inclusive byte range `start`-`end`
+ * @returns {{contentType: string, length: number, body: import('stream').Readable}}
+ */
+function multipartBody(ranges, size, contentType, read) {
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const partHeader = ({ start, end }) =>
+    Buffer.from(
+      `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\n` +
+        `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+    );
+  const closing = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  const length =
+    ranges.reduce(
+      (total, range) => total + partHeader(range).length + range.end - range.start + 1,
+      0
+    ) + closing.length;
+
+  async function* generate() {
+    for (const range of ranges) {
+      yield partHeader(range);
+      yield* await read(range.start, range.end);
+    }
+    yield closing;
+  }
+
+  return {
+    contentType: `multipart/byteranges; boundary=${boundary}`,
+    length,
+    body: Readable.from(generate()),
+  };
+}
+
+/**
+ * Sends a representation with full range and conditional request support: `ETag` and
+ * `Last-Modified` validators, 304 for `If-None-Match`/`If-Modified-Since`, single ranges as 206
+ * with `Content-Range`, several as `multipart/byteranges`, 416 with the size in `Content-Range`
+ * for ranges beyond the end, and `If-Range` falling back to the whole representation.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object} representation
+ * @param {number} representation.size - Length in bytes
+ * @param {string} representation.contentType - Its `Content-Type`
+ * @param {string} representation.etag - Strong entity tag, quoted
+ * @param {Date} representation.lastModified - Last modification
+ * @param {Object} [representation.headers] - Further headers for 200 and 206 responses
+ * @param {import('stream').Transform|null} [representation.throttle] - Paces the body on its way
+ *   to the client, e.g. to a bandwidth limit
+ * @param {function(number, number): (Promise<import('stream').Readable>|import('stream').Readable)} representation.read
+ *   - Streams the inclusive byte range `start`-`end`
+ * @returns {Promise<{body: import('stream').Readable, ranges: Array<{start: number, end: number}>}|null>}
+ *   The body being sent and the ranges in it, or null when the response has no body (HEAD, 304,
+ *   416)
+ */
+async function sendRepresentation(
+  req,
+  res,
+  { size, contentType, etag, lastModified, headers, read, throttle }
+) {
+  const validators = {
+    ETag: etag,
+    'Last-Modified': lastModified.toUTCString(),
+  };
+
+  if (isNotModified(req, { etag, lastModified })) {
+    res.writeHead(304, validators);
+    res.end();
+    return null;
+  }
+
+  let ranges = ifRangeMatches(req, { etag, lastModified })
+    ? parseRange(req.headers.range, size)
+    : null;
+  if (ranges === 'unsatisfiable') {
+    res.writeHead(416, {
+      ...validators,
+      'Content-Range': `bytes */${size}`,
+      'Accept-Ranges': 'bytes',
+    });
+    res.end();
+    return null;
+  }
+
+  const responseHeaders = {
+    ...headers,
+    ...validators,
+    'Accept-Ranges': 'bytes',
+    'Content-Type': contentType,
+  };
+  let status = 200;
+  let body;
+
+  if (!ranges) {
+    ranges = [{ start: 0, end: size - 1 }];
+    responseHeaders['Content-Length'] = size;
+  } else if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    status = 206;
+    responseHeaders['Content-Range'] = `bytes ${start}-${end}/${size}`;
+    responseHeaders['Content-Length'] = end - start + 1;
+  } else {
+    const multipart = multipartBody(ranges, size, contentType, read);
+    status = 206;
+    responseHeaders['Content-Type'] = multipart.contentType;
+    responseHeaders['Content-Length'] = multipart.length;
+    body = multipart.body;
+  }
+
+  res.writeHead(status, responseHeaders);
+  if (req.method === 'HEAD') {
+    res.end();
+    return null;
+  }
+
+  if (!body) {
+    // An empty representation has no range to read
+    body = size > 0 ? await read(ranges[0].start, ranges[0].end) : Readable.from([]);
+  }
+  // pipeline() also closes the source when the client goes away mid-transfer
+  if (throttle) pipeline(body, throttle, res, () => {});
+  else pipeline(body, res, () => {});
+  return { body, ranges };
+}
+
+module.exports = { parseRange, isNotModified, ifRangeMatches, sendRepresentation };
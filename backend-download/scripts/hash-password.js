@@ -0,0 +1,13 @@
+/**
+ * Prints the bcrypt hash of a password, for adding or resetting users in db.json.
+ * Usage: npm run hash-password -- <password>
+ */
+const bcrypt = require('bcryptjs');
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+console.log(bcrypt.hashSync(password, 10));
@@ -1,99 +1,462 @@
 const express = require('express');
-const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const cors = require('cors');
+const config = require('./config');
+const { createStorageAdapter, readJson } = require('./adapters');
+const { createCaseAccess } = require('./access');
+const { createApiRouter } = require('./api');
+const { createArchives } = require('./archives');
+const { createAudit } = require('./audit');
+const { createAuth } = require('./auth');
+const { createBlobStore, digestOfKey, VALID_SHA256 } = require('./blobs');
+const { contentDisposition } = require('./disposition');
+const { createDownloadLimits } = require('./limits');
+const { requirePermission } = require('./permissions');
+const { sendRepresentation } = require('./ranges');
+const { createThumbnails } = require('./thumbnails');
+const { createTrash } = require('./trash');
+const { createTusRouter, parseMetadata, VALID_ID } = require('./tus');
+const { createVersions, versionKey, VALID_VERSION } = require('./versions');
 
 const app = express();
-const PORT = 4000;
+const PORT = config.port;
+
+// Where uploaded files are stored: the upload info of each file record as `<id>.json` (earlier
+// versions as `<id>.v<n>.json`), its content by digest as `sha256.<hex>` (see blobs.js) and
+// thumbnails as `<id>.thumb.jpg`
+const storage = createStorageAdapter(config.storage);
+const blobs = createBlobStore({ storage });
 
 // Allow your Vite frontend
 app.use(
   cors({
-    origin: 'http://localhost:5173',
-    exposedHeaders: ['Content-Length', 'Content-Range', 'Accept-Ranges', 'Content-Disposition'],
+    origin: config.corsOrigin,
+    credentials: true, // The refresh token cookie is sent to /api/auth
+    exposedHeaders: [
+      'Content-Length',
+      'Content-Range',
+      'Accept-Ranges',
+      'Content-Disposition',
+      'Repr-Digest',
+      'ETag',
+      'Last-Modified',
+      // TUS protocol headers read by tus-js-client
+      'Location',
+      'Upload-Offset',
+      'Upload-Length',
+      'Upload-Metadata',
+      'Upload-Expires',
+      'Tus-Resumable',
+      'Tus-Version',
+      'Tus-Extension',
+    ],
   })
 );
 
-// Folder where files exist
-const FILES_DIR = path.join(__dirname, 'files');
+// SHA-256 digests by storage key, recomputed when the blob's size or modification time changes
+const digestCache = new Map();
+
+/**
+ * Returns the SHA-256 of a blob. Content-addressed blobs carry it in their key; content stored
+ * before blobs existed is hashed by streaming on first use. The pending promise is cached so
+ * concurrent requests for the same blob share a single pass over it.
+ * @param {string} key - The storage key of the blob
+ * @param {import('./adapters').BlobStat} stat - Current stats of the blob
+ * @returns {Promise<Buffer>} The raw digest
+ */
+function sha256Of(key, stat) {
+  const addressed = digestOfKey(key);
+  if (addressed) return Promise.resolve(Buffer.from(addressed, 'hex'));
 
-// List available files
-app.get('/files', (req, res) => {
-  if (!fs.existsSync(FILES_DIR)) {
-    return res.json([]);
+  const modified = stat.modified.getTime();
+  const cached = digestCache.get(key);
+  if (cached && cached.size === stat.size && cached.modified === modified) {
+    return cached.digest;
   }
-  fs.readdir(FILES_DIR, (err, files) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to read files directory' });
-    }
-    const fileList = files.map(file => {
-      const stat = fs.statSync(path.join(FILES_DIR, file));
-      return {
-        name: file,
-        size: stat.size,
-      };
+
+  const digest = (async () => {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of await storage.read(key)) hash.update(chunk);
+    return hash.digest();
+  })();
+  digestCache.set(key, { size: stat.size, modified, digest });
+  digest.catch(() => digestCache.delete(key));
+  return digest;
+}
+
+/**
+ * Resolves a file record ID to its fully uploaded blob, or to the blob of an earlier version.
+ * @param {string} id - The file record ID
+ * @param {string} [version] - The number of an earlier version, from the `version` query parameter
+ * @returns {Promise<{ key: string, stat: import('./adapters').BlobStat, name: string, type: string|undefined }|null>}
+ *   The blob, or null if the ID or version is invalid, unknown or its upload has not finished
+ */
+async function findStoredFile(id, version) {
+  if (!VALID_ID.test(id)) return null;
+  if (version !== undefined && !VALID_VERSION.test(version)) return null;
+
+  const infoKey = version === undefined ? id : versionKey(id, version);
+  const info = await readJson(storage, `${infoKey}.json`);
+  if (!info || !info.completedAt) return null;
+  // Content stored before blobs existed is kept under the info's own key
+  const key = info.blob || infoKey;
+  const stat = await storage.stat(key);
+  if (!stat) return null;
+
+  return {
+    key,
+    stat,
+    name: info.metadata.filename || id,
+    type: info.metadata.filetype,
+  };
+}
+
+const {
+  router: authRouter,
+  requireAuth,
+  issuePreviewToken,
+  requirePreviewAuth,
+} = createAuth(config);
+const access = createCaseAccess(config);
+const audit = createAudit(config);
+const downloadLimits = createDownloadLimits(config.downloads);
+
+/**
+ * Records a download in the audit log once its response is over: the ranges served, the bytes
+ * actually sent and whether the client stayed until the end.
+ * @param {express.Request} req - The download request
+ * @param {express.Response} res - Its response
+ * @param {Object} file - The file, as returned by `findStoredFile`
+ * @param {{body: import('stream').Readable, ranges: Array<{start: number, end: number}>}} sent -
+ *   What `sendRepresentation` is sending
+ */
+function auditDownload(req, res, file, { body, ranges }) {
+  const startedAt = new Date().toISOString();
+  let bytesSent = 0;
+  body.on('data', chunk => {
+    bytesSent += chunk.length;
+  });
+  res.on('close', () => {
+    audit.record(req.user, {
+      action: 'download',
+      entity: 'file',
+      entityId: req.params.id,
+      entityName: file.name,
+      details: {
+        version: req.query.version ? Number(req.query.version) : undefined,
+        preview: req.query.disposition === 'inline' || undefined,
+        startedAt,
+        start: ranges[0].start,
+        end: ranges[ranges.length - 1].end,
+        ranges: ranges.length > 1 ? ranges.length : undefined,
+        size: file.stat.size,
+        bytesSent,
+        outcome: res.writableFinished ? 'finished' : 'aborted',
+      },
     });
-    res.json(fileList);
   });
+}
+
+// Types the browser may show in place (`?disposition=inline`). Anything else, notably HTML and
+// SVG which could run scripts on this origin, is always sent as an attachment.
+const INLINE_TYPE =
+  /^(image\/(png|jpeg|gif|webp|avif|bmp)|video\/.+|audio\/.+|application\/pdf|text\/plain)$/;
+
+// Rejects file IDs and version numbers that cannot name a stored blob, e.g. `../config.js` or IDs
+// with control characters, before they reach the metadata lookups or the storage backend
+const requireValidFileId = (req, res, next) => {
+  if (!VALID_ID.test(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid file ID' });
+  }
+  if (req.query.version !== undefined && !VALID_VERSION.test(req.query.version)) {
+    return res.status(400).json({ message: 'Invalid version' });
+  }
+  next();
+};
+
+// Files inherit access from their case; the upload ID is the file record ID, sent in the
+// metadata when the upload is created
+const fileIdParam = req => req.params.id;
+const uploadFileId = req =>
+  req.method === 'POST'
+    ? parseMetadata(req.get('Upload-Metadata')).fileId
+    : req.path.split('/')[1] || undefined;
+
+const thumbnails = createThumbnails({
+  jsonServerUrl: config.jsonServerUrl,
+  storage,
+  findStoredFile,
+  thumbnails: config.thumbnails,
+  requireAuth,
+  access,
+});
+const versions = createVersions({
+  jsonServerUrl: config.jsonServerUrl,
+  storage,
+  blobs,
+  requireAuth,
+  access,
+  audit,
+  onRestore: thumbnails.generate,
+});
+const {
+  router: tusRouter,
+  removeUpload,
+  linkUpload,
+} = createTusRouter({
+  stagingDir: config.stagingDir,
+  storage,
+  blobs,
+  beforeCommit: versions.beforeUploadCommit,
+  onComplete: async (info, req) => {
+    await versions.recordUpload(info, req.user);
+    audit.record(req.user, {
+      action: 'upload',
+      entity: 'file',
+      entityId: info.id,
+      entityName: info.metadata.filename || null,
+      details: { size: info.length, version: info.version, deduplicated: info.deduplicated },
+    });
+    thumbnails.generate(info.id);
+  },
+});
+const archives = createArchives({
+  jsonServerUrl: config.jsonServerUrl,
+  storage,
+  findStoredFile,
+  requireAuth,
+  access,
+  audit,
+  downloadLimits,
+});
+const trash = createTrash({
+  jsonServerUrl: config.jsonServerUrl,
+  requireAuth,
+  access,
+  removeFileData: async id => {
+    await removeUpload(id);
+    await versions.removeVersions(id);
+    await thumbnails.removeThumbnail(id);
+  },
+  audit,
 });
 
-// Download endpoint with range support
-app.get('/download/:filename', (req, res) => {
-  const filePath = path.join(FILES_DIR, req.params.filename);
+// Login, token refresh and logout
+app.use('/api/auth', authRouter);
 
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).send('File not found');
+// Listing, restoring and purging deleted cases, collections and files
+app.use('/api/trash', trash.router);
+
+// Restoring earlier versions of a file
+app.use('/api/files/:id/versions', versions.router);
+
+// A link for previewing a file in the browser, usable as the `src` of media elements
+app.post(
+  '/api/files/:id/preview',
+  requireAuth,
+  access.requireFilePermission('file:download', fileIdParam),
+  (req, res) => {
+    const { token, expiresAt } = issuePreviewToken(req.user, req.params.id);
+    const params = new URLSearchParams({ disposition: 'inline', token });
+    const url = `${req.protocol}://${req.get('host')}/download/${req.params.id}?${params}`;
+    res.json({ url, expiresAt });
   }
+);
 
-  const stat = fs.statSync(filePath);
-  const fileSize = stat.size;
-  const range = req.headers.range;
-
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeMap = {
-    '.mp4': 'video/mp4',
-    '.webm': 'video/webm',
-    '.ogg': 'video/ogg',
-    '.mp3': 'audio/mpeg',
-    '.wav': 'audio/wav',
-    '.pdf': 'application/pdf',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.gif': 'image/gif',
-    '.zip': 'application/zip',
-  };
+// Metadata API, forwarded to json-server for users with the matching permission
+app.use(
+  '/api',
+  createApiRouter({ jsonServerUrl: config.jsonServerUrl, requireAuth, access, trash, audit })
+);
 
-  const contentType = mimeMap[ext] || 'application/octet-stream';
+// Resumable uploads (TUS), stored under the file record ID. Uploads keep going when their file
+// is moved to the trash, so restoring it brings back the complete file. An upload for a file that
+// already has content becomes its next version.
+app.use(
+  '/uploads',
+  requireAuth,
+  access.requireFilePermission('file:upload', uploadFileId, { includeTrashed: true }),
+  tusRouter
+);
 
-  const headers = {
-    'Content-Length': fileSize,
-    'Content-Type': contentType,
-    'Accept-Ranges': 'bytes',
-    'Content-Disposition': `attachment; filename="${req.params.filename}"`,
-  };
+// Finishes an upload without transferring it when its content is stored already, e.g. the same
+// video put into several collections. The client sends the SHA-256 of the file and its size, and
+// gets 404 when it has to upload the bytes after all. A client that has started sending the bytes
+// sets `staged`, so an upload that finished meanwhile is not stored a second time. Knowing a
+// digest is not enough to get the content: it must belong to a file the user can download.
+app.post(
+  '/files/:id/deduplicate',
+  requireValidFileId,
+  requireAuth,
+  access.requireFilePermission('file:upload', fileIdParam, { includeTrashed: true }),
+  express.json(),
+  async (req, res) => {
+    const { sha256, size, filename, filetype, staged } = req.body || {};
+    if (!VALID_SHA256.test(sha256) || !Number.isSafeInteger(size) || size < 0) {
+      return res.status(400).json({ message: 'A SHA-256 digest and size are required' });
+    }
 
-  if (range) {
-    const parts = range.replace(/bytes=/, '').split('-');
-    const start = parseInt(parts[0], 10);
-    const end = Math.min(parts[1] ? parseInt(parts[1], 10) : fileSize - 1, fileSize - 1);
-    const chunkSize = end - start + 1;
+    try {
+      const blob = await blobs.find(sha256);
+      let readable = false;
+      for (const ref of blob && blob.stat.size === size ? blob.refs : []) {
+        // References are info keys: `<file id>` or `<file id>.v<n>`
+        const fileId = ref.split('.')[0];
+        readable = await access.canAccessFile(req.user, fileId, 'file:download').catch(() => false);
+        if (readable) break;
+      }
 
-    headers['Content-Range'] = `bytes ${start}-${end}/${fileSize}`;
-    headers['Content-Length'] = chunkSize;
-    res.writeHead(206, headers);
+      const info =
+        readable &&
+        (await linkUpload(
+          {
+            id: req.params.id,
+            length: size,
+            metadata: {
+              fileId: req.params.id,
+              filename: String(filename || req.params.id),
+              filetype: String(filetype || 'application/octet-stream'),
+            },
+            blob: blob.key,
+            sha256,
+            staged: staged === true,
+          },
+          req
+        ));
+      if (!info) return res.status(404).json({ message: 'No stored file has this content' });
 
-    if (req.method === 'HEAD') return res.end();
+      console.log(`[blobs] ${req.user.email} stored ${req.params.id} by reusing ${blob.key}`);
+      res.json({ id: info.id, version: info.version, sha256, deduplicated: true });
+    } catch (err) {
+      console.error(`[blobs] Deduplicating ${req.params.id} failed: ${err.message}`);
+      res.status(502).json({ message: 'Could not reuse the stored content' });
+    }
+  }
+);
 
-    const fileStream = fs.createReadStream(filePath, { start, end });
-    fileStream.pipe(res);
-  } else {
-    res.writeHead(200, headers);
-    if (req.method === 'HEAD') return res.end();
-    fs.createReadStream(filePath).pipe(res);
+// List available files, limited to the cases the user can access
+app.get('/files', requireAuth, requirePermission('file:read'), async (req, res) => {
+  let entries;
+  try {
+    entries = await storage.list();
+  } catch (err) {
+    console.error('[storage] Failed to list files:', err);
+    return res.status(500).json({ error: 'Failed to list stored files' });
   }
-});
 
-app.listen(PORT, () => {
-  console.log(`Download server running at http://localhost:${PORT}`);
+  // Every finished upload has its info stored as `<id>.json`, whether or not its content is shared
+  const ids = entries
+    .filter(entry => entry.key.endsWith('.json'))
+    .map(entry => entry.key.slice(0, -'.json'.length))
+    .filter(id => VALID_ID.test(id));
+  const files = await Promise.all(
+    ids.map(async id =>
+      (await access.canAccessFile(req.user, id, 'file:read').catch(() => false))
+        ? { id, file: await findStoredFile(id) }
+        : null
+    )
+  );
+  res.json(
+    files
+      .filter(entry => entry && entry.file)
+      .map(({ id, file }) => ({ id, name: file.name, size: file.stat.size }))
+  );
 });
+
+// Thumbnails of images and poster frames of videos
+app.use('/files', thumbnails.router);
+
+// Checksum of a file (or of an earlier version, with `?version=<n>`), so clients can verify what
+// they downloaded
+app.get(
+  '/files/:id/checksum',
+  requireValidFileId,
+  requireAuth,
+  access.requireFilePermission('file:download', fileIdParam),
+  async (req, res) => {
+    const file = await findStoredFile(req.params.id, req.query.version);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const digest = await sha256Of(file.key, file.stat);
+    res.json({ algorithm: 'sha-256', digest: digest.toString('hex') });
+  }
+);
+
+// All files of a collection, or a selection of them, as one ZIP archive with range support
+app.use('/download/collections', archives.router);
+
+// Download endpoint with range and conditional request support (see ranges.js), within the user's
+// bandwidth and stream limits (see limits.js); `?version=<n>` downloads an earlier version. With
+// `?disposition=inline` previewable types are shown by the browser instead of saved, and a preview
+// link's `?token=` stands in for the Authorization header.
+app.get(
+  '/download/:id',
+  requireValidFileId,
+  requirePreviewAuth(fileIdParam),
+  access.requireFilePermission('file:download', fileIdParam),
+  downloadLimits.limitStreams,
+  async (req, res) => {
+    const file = await findStoredFile(req.params.id, req.query.version);
+
+    if (!file) {
+      return res.status(404).send('File not found');
+    }
+
+    const { key, stat } = file;
+
+    const ext = path.extname(file.name).toLowerCase();
+    const mimeMap = {
+      '.mp4': 'video/mp4',
+      '.webm': 'video/webm',
+      '.ogg': 'video/ogg',
+      '.mov': 'video/quicktime',
+      '.mp3': 'audio/mpeg',
+      '.m4a': 'audio/mp4',
+      '.wav': 'audio/wav',
+      '.pdf': 'application/pdf',
+      '.png': 'image/png',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.gif': 'image/gif',
+      '.webp': 'image/webp',
+      '.txt': 'text/plain',
+      '.zip': 'application/zip',
+    };
+
+    const contentType = file.type || mimeMap[ext] || 'application/octet-stream';
+    const inline = req.query.disposition === 'inline' && INLINE_TYPE.test(contentType);
+
+    // Digest of the whole file (RFC 9530), also sent on partial responses so ranged clients can
+    // verify the reassembled result
+    const digest = await sha256Of(key, stat);
+
+    const sent = await sendRepresentation(req, res, {
+      size: stat.size,
+      contentType,
+      // The content digest changes exactly when the content does, which makes a strong ETag
+      etag: `"${digest.toString('base64url')}"`,
+      lastModified: stat.modified,
+      headers: {
+        'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', file.name),
+        'Repr-Digest': `sha-256=:${digest.toString('base64')}:`,
+        'X-Content-Type-Options': 'nosniff',
+      },
+      read: (start, end) => storage.read(key, { start, end }),
+      throttle: downloadLimits.throttle(req),
+    });
+    if (sent) auditDownload(req, res, file, sent);
+  }
+);
+
+// Started with `npm start`; the tests load the app without listening
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`File server running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,148 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { startFileServer, tokenFor } = require('./helpers');
+
+const TRASHED = '2026-01-01T00:00:00.000Z';
+
+// Metadata served by the stand-in for json-server; `u2` owns case1 and can view case2
+const records = {
+  cases: [
+    { id: 'case1', name: 'Own', ownerId: 'u2', members: [], deletedAt: null },
+    {
+      id: 'case2',
+      name: 'Shared',
+      ownerId: 'u3',
+      members: [{ userId: 'u2', role: 'viewer' }],
+      deletedAt: null,
+    },
+    { id: 'case3', name: 'Other', ownerId: 'u3', members: [], deletedAt: null },
+    { id: 'case4', name: 'Trashed', ownerId: 'u2', members: [], deletedAt: TRASHED },
+    {
+      id: 'case5',
+      name: 'Team',
+      ownerId: 'u2',
+      members: [{ userId: 'u3', role: 'editor' }],
+      deletedAt: null,
+    },
+  ],
+  collections: [
+    { id: 'col1', caseId: 'case1', name: 'Own', deletedAt: null },
+    { id: 'col2', caseId: 'case2', name: 'Shared', deletedAt: null },
+    { id: 'col3', caseId: 'case3', name: 'Other', deletedAt: null },
+    { id: 'col4', caseId: 'case1', name: 'Trashed', deletedAt: TRASHED },
+    { id: 'col5', caseId: 'case5', name: 'Team', deletedAt: null },
+  ],
+  files: [
+    { id: 'file1', collectionId: 'col1', name: 'own.pdf', deletedAt: null },
+    { id: 'file2', collectionId: 'col2', name: 'shared.pdf', deletedAt: null },
+    { id: 'file3', collectionId: 'col3', name: 'other.pdf', deletedAt: null },
+    {
+      id: 'file5',
+      collectionId: 'col5',
+      name: 'team.pdf',
+      version: 2,
+      versions: [{ version: 1, size: 3, uploaded: TRASHED, uploadedBy: 'u3', sha256: null }],
+      uploadedBy: 'u2',
+      thumbnail: 'file5.thumb.jpg',
+      sha256: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+      deletedAt: null,
+    },
+  ],
+  users: [{ id: 'u2' }, { id: 'u3' }],
+};
+
+let fileServer;
+
+/**
+ * Sends a change through the API as `u2`, an employee.
+ * @param {string} method - `PUT` or `PATCH`
+ * @param {string} path - The API path of the record, e.g. `/cases/case1`
+ * @param {Object} body
+ * @returns {Promise<Response>}
+ */
+const send = (method, path, body) =>
+  fetch(`${fileServer.baseUrl}/api${path}`, {
+    method,
+    headers: { Authorization: tokenFor('u2', 'employee'), 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+/**
+ * Lists records through the API and returns their IDs.
+ * @param {string} path - The API path and query, e.g. `/cases?_sort=id`
+ * @param {string} [user] - The user asking, an employee
+ * @returns {Promise<string[]>}
+ */
+const listIds = async (path, user = 'u2') => {
+  const res = await fetch(`${fileServer.baseUrl}/api${path}`, {
+    headers: { Authorization: tokenFor(user, 'employee') },
+  });
+  assert.equal(res.status, 200);
+  return (await res.json()).map(record => record.id);
+};
+
+before(async () => {
+  fileServer = await startFileServer(records);
+});
+
+after(() => fileServer.close());
+
+describe('GET /api/:resource', () => {
+  it('only lists records of accessible cases that are not in the trash', async () => {
+    assert.deepEqual(await listIds('/cases?_sort=id'), ['case1', 'case2', 'case5']);
+    assert.deepEqual(await listIds('/collections?_sort=id'), ['col1', 'col2', 'col5']);
+    assert.deepEqual(await listIds('/files?_sort=id'), ['file1', 'file2', 'file5']);
+    assert.deepEqual(await listIds('/cases', 'u4'), []);
+  });
+
+  it('applies filters within the accessible records', async () => {
+    assert.deepEqual(await listIds('/collections?caseId=case2'), ['col2']);
+    assert.deepEqual(await listIds('/collections?caseId=case3'), []);
+    assert.deepEqual(await listIds('/files?name:startsWith=SHA'), ['file2']);
+  });
+});
+
+describe('PUT /api/cases/:id', () => {
+  it('keeps the owner and members the body leaves out', async () => {
+    const res = await send('PUT', '/cases/case5', { name: 'Renamed' });
+    assert.equal(res.status, 200);
+    const stored = records.cases.find(record => record.id === 'case5');
+    assert.equal(stored.name, 'Renamed');
+    assert.equal(stored.ownerId, 'u2');
+    assert.deepEqual(stored.members, [{ userId: 'u3', role: 'editor' }]);
+    assert.equal(stored.deletedAt, null);
+  });
+
+  it('only hands a case to an existing user', async () => {
+    for (const method of ['PUT', 'PATCH']) {
+      const res = await send(method, '/cases/case1', { name: 'Own', ownerId: 'nobody' });
+      assert.equal(res.status, 400, method);
+    }
+    assert.equal(records.cases.find(record => record.id === 'case1').ownerId, 'u2');
+
+    const res = await send('PATCH', '/cases/case1', { ownerId: 'u3' });
+    assert.equal(res.status, 200);
+    assert.equal(records.cases.find(record => record.id === 'case1').ownerId, 'u3');
+  });
+});
+
+describe('PUT /api/files/:id', () => {
+  it('keeps the versions, thumbnail and digest of the file', async () => {
+    const before = { ...records.files.find(record => record.id === 'file5') };
+    const res = await send('PUT', '/files/file5', {
+      collectionId: 'col5',
+      name: 'renamed.pdf',
+      version: 1,
+      versions: [],
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      records.files.find(record => record.id === 'file5'),
+      {
+        ...before,
+        name: 'renamed.pdf',
+        trashedWith: null,
+      }
+    );
+  });
+});
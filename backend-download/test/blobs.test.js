@@ -0,0 +1,179 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { after, before, describe, it } = require('node:test');
+const LocalStorageAdapter = require('../adapters/LocalStorageAdapter');
+const { createBlobStore } = require('../blobs');
+const { startFileServer, tokenFor, upload } = require('./helpers');
+
+const CONTENT = 'the same evidence video';
+const SHA256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+// Metadata served by the stand-in for json-server. `u2` edits case2 only and cannot see case1.
+const records = {
+  cases: [
+    { id: 'case1', name: 'First', ownerId: 'u1', members: [] },
+    { id: 'case2', name: 'Second', ownerId: 'u1', members: [{ userId: 'u2', role: 'editor' }] },
+  ],
+  collections: [
+    { id: 'col1', caseId: 'case1', name: 'One' },
+    { id: 'col2', caseId: 'case1', name: 'Two' },
+    { id: 'col3', caseId: 'case2', name: 'Three' },
+  ],
+  files: [
+    { id: 'original', collectionId: 'col1', name: 'video.mp4' },
+    { id: 'copy', collectionId: 'col2', name: 'video.mp4' },
+    { id: 'other', collectionId: 'col3', name: 'video.mp4' },
+    { id: 'draft', collectionId: 'col1', name: 'video.mp4' },
+    { id: 'revised', collectionId: 'col2', name: 'video.mp4' },
+  ],
+};
+
+let baseUrl;
+let storageDir;
+let fileServer;
+
+const deduplicate = (id, user = tokenFor('u1', 'admin'), body = {}) =>
+  fetch(`${baseUrl}/files/${id}/deduplicate`, {
+    method: 'POST',
+    headers: { Authorization: user, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sha256: SHA256, size: CONTENT.length, filename: 'video.mp4', ...body }),
+  });
+
+const purge = id =>
+  fetch(`${baseUrl}/api/trash/files/${id}`, {
+    method: 'DELETE',
+    headers: { Authorization: tokenFor('u1', 'admin') },
+  });
+
+const download = async id => {
+  const res = await fetch(`${baseUrl}/download/${id}`, {
+    headers: { Authorization: tokenFor('u1', 'admin') },
+  });
+  return { status: res.status, body: await res.text() };
+};
+
+before(async () => {
+  fileServer = await startFileServer(records);
+  ({ baseUrl, storageDir } = fileServer);
+});
+
+after(() => fileServer.close());
+
+describe('createBlobStore', () => {
+  it('stores each content once and deletes it with its last reference', async () => {
+    const storage = new LocalStorageAdapter({ root: path.join(storageDir, 'unit') });
+    const blobs = createBlobStore({ storage });
+    let opened = 0;
+    const open = () => {
+      opened++;
+      return Readable.from([CONTENT]);
+    };
+
+    const [first, second] = await Promise.all([
+      blobs.put(SHA256, open, 'a'),
+      blobs.put(SHA256, open, 'b'),
+    ]);
+    assert.equal(first, `sha256.${SHA256}`);
+    assert.equal(second, first);
+    assert.equal(opened, 1);
+    assert.deepEqual((await blobs.find(SHA256)).refs, ['a', 'b']);
+
+    await blobs.release(first, 'a');
+    assert.ok(await blobs.find(SHA256));
+    await blobs.release(first, 'b');
+    assert.equal(await blobs.find(SHA256), null);
+    assert.equal(await blobs.addRef(first, 'c'), false);
+  });
+});
+
+describe('POST /files/:id/deduplicate', () => {
+  it('answers 404 while no file has the content', async () => {
+    const res = await deduplicate('copy');
+    assert.equal(res.status, 404);
+  });
+
+  it('points a file at content another file uploaded', async () => {
+    await upload(baseUrl, 'original', CONTENT);
+    const res = await deduplicate('copy');
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), {
+      id: 'copy',
+      version: 1,
+      sha256: SHA256,
+      deduplicated: true,
+    });
+
+    assert.deepEqual(await download('copy'), { status: 200, body: CONTENT });
+    const copy = records.files.find(file => file.id === 'copy');
+    assert.equal(copy.sha256, SHA256);
+    assert.equal(copy.size, CONTENT.length);
+    // Stored once
+    const contents = fs.readdirSync(storageDir).filter(name => /^sha256\.[0-9a-f]+$/.test(name));
+    assert.deepEqual(contents, [`sha256.${SHA256}`]);
+  });
+
+  it('takes the digest of stored content from its key', async () => {
+    const res = await fetch(`${baseUrl}/download/copy`, {
+      headers: { Authorization: tokenFor('u1', 'admin') },
+    });
+    const digest = Buffer.from(SHA256, 'hex');
+    assert.equal(res.headers.get('repr-digest'), `sha-256=:${digest.toString('base64')}:`);
+    assert.equal(res.headers.get('etag'), `"${digest.toString('base64url')}"`);
+    await res.arrayBuffer();
+  });
+
+  it('does not hand out content the user cannot download', async () => {
+    const res = await deduplicate('other', tokenFor('u2', 'employee'));
+    assert.equal(res.status, 404);
+  });
+
+  it('does not store an upload again that finished while asking', async () => {
+    const res = await deduplicate('original', undefined, { staged: true });
+    assert.equal(res.status, 404);
+    assert.equal(records.files.find(file => file.id === 'original').version, 1);
+  });
+
+  it('rejects malformed digests', async () => {
+    const res = await deduplicate('copy', undefined, { sha256: '../original' });
+    assert.equal(res.status, 400);
+  });
+
+  it('does not let TUS termination delete finished uploads', async () => {
+    const res = await fetch(`${baseUrl}/uploads/copy`, {
+      method: 'DELETE',
+      headers: { Authorization: tokenFor('u1', 'admin'), 'Tus-Resumable': '1.0.0' },
+    });
+    assert.equal(res.status, 409);
+    assert.deepEqual(await download('copy'), { status: 200, body: CONTENT });
+  });
+
+  it('keeps shared content until the last file using it is purged', async () => {
+    assert.equal((await purge('original')).status, 200);
+    assert.equal((await download('original')).status, 404);
+    assert.deepEqual(await download('copy'), { status: 200, body: CONTENT });
+
+    assert.equal((await purge('copy')).status, 200);
+    assert.equal(fs.existsSync(path.join(storageDir, `sha256.${SHA256}`)), false);
+  });
+
+  it('keeps the content of earlier versions', async () => {
+    await upload(baseUrl, 'draft', CONTENT);
+    assert.equal((await deduplicate('revised')).status, 200);
+    await upload(baseUrl, 'revised', 'a new version');
+
+    assert.equal((await purge('draft')).status, 200);
+    assert.deepEqual(await download('revised'), { status: 200, body: 'a new version' });
+    assert.deepEqual(await download('revised?version=1'), { status: 200, body: CONTENT });
+  });
+
+  it('removes the earlier versions of a purged file', async () => {
+    assert.equal((await purge('revised')).status, 200);
+    const left = fs
+      .readdirSync(storageDir)
+      .filter(name => name.startsWith('revised') || name.startsWith('sha256.'));
+    assert.deepEqual(left, []);
+  });
+});
@@ -0,0 +1,223 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+const LocalStorageAdapter = require('../adapters/LocalStorageAdapter');
+const { contentDisposition } = require('../disposition');
+const { startFileServer, tokenFor } = require('./helpers');
+
+// A name like the ones phones give videos: non-ASCII letters, a dash outside Latin-1 and a space
+const SAMSUNG_VIDEO = 'Samsung Galaxy – vidéo_20240312.mp4';
+
+// Metadata served by the stand-in for json-server
+const records = {
+  cases: [{ id: 'case1', name: 'Case', ownerId: 'u1', members: [] }],
+  collections: [
+    { id: 'col1', caseId: 'case1', name: 'Évidence' },
+    { id: 'col2', caseId: 'case1', name: 'Plain' },
+  ],
+  files: [
+    { id: 'video', collectionId: 'col1', name: SAMSUNG_VIDEO },
+    { id: 'report', collectionId: 'col2', name: 'report.pdf' },
+    { id: 'odd', collectionId: 'col2', name: 'say "hi"\r\nSet-Cookie: x=1.txt' },
+  ],
+};
+
+/**
+ * Sends a request without any URL normalisation, so paths like `/download/../server.js` reach the
+ * server exactly as written.
+ * @param {string} requestPath
+ * @param {Object} [headers]
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}>}
+ */
+const request = (requestPath, headers = {}) =>
+  new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: requestPath, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () =>
+        resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) })
+      );
+    });
+    req.on('error', reject);
+  });
+
+let port;
+let auth;
+let fileServer;
+
+before(async () => {
+  fileServer = await startFileServer(records);
+  port = fileServer.port;
+  auth = { Authorization: tokenFor('u1', 'admin') };
+
+  const { storageDir } = fileServer;
+  for (const file of records.files) {
+    fs.writeFileSync(path.join(storageDir, file.id), `contents of ${file.id}`);
+    fs.writeFileSync(
+      path.join(storageDir, `${file.id}.json`),
+      JSON.stringify({
+        id: file.id,
+        completedAt: new Date().toISOString(),
+        metadata: { filename: file.name },
+      })
+    );
+  }
+  // A file next to the storage root that no request must be able to reach
+  fs.writeFileSync(path.join(storageDir, '..', `${path.basename(storageDir)}-secret`), 'secret');
+});
+
+after(() => {
+  fileServer.close();
+  fs.rmSync(`${fileServer.storageDir}-secret`, { force: true });
+});
+
+describe('contentDisposition', () => {
+  it('keeps plain ASCII names as they are', () => {
+    assert.equal(
+      contentDisposition('attachment', 'report.pdf'),
+      'attachment; filename="report.pdf"'
+    );
+  });
+
+  it('adds filename* with the UTF-8 name for non-ASCII names', () => {
+    assert.equal(
+      contentDisposition('inline', 'vidéo.mp4'),
+      `inline; filename="vid_o.mp4"; filename*=UTF-8''vid%C3%A9o.mp4`
+    );
+  });
+
+  it('composes decomposed Unicode', () => {
+    assert.equal(
+      contentDisposition('attachment', 'vide\u0301o.mp4'),
+      contentDisposition('attachment', 'vid\u00e9o.mp4')
+    );
+  });
+
+  it('escapes quotes, backslashes and percent signs', () => {
+    assert.equal(
+      contentDisposition('attachment', `a "b" c\\d 100%'(1)*.txt`),
+      `attachment; filename="a _b_ c_d 100_'(1)*.txt"; ` +
+        `filename*=UTF-8''a%20%22b%22%20c_d%20100%25%27%281%29%2A.txt`
+    );
+  });
+
+  it('drops control characters and folders', () => {
+    assert.equal(
+      contentDisposition('attachment', '../etc/pass\r\nwd\u0000'),
+      'attachment; filename=".._etc_passwd"'
+    );
+  });
+
+  it('falls back to a default name', () => {
+    assert.equal(contentDisposition('attachment', '\r\n'), 'attachment; filename="download"');
+  });
+});
+
+describe('LocalStorageAdapter', () => {
+  it('refuses keys that leave the storage root', async () => {
+    const storage = new LocalStorageAdapter({ root: process.env.STORAGE_DIR });
+    const secret = `../${path.basename(process.env.STORAGE_DIR)}-secret`;
+    for (const key of [secret, '..', '.', '', 'a/b', 'a\\b', '/etc/passwd', 'f\u0000', 'f\n']) {
+      await assert.rejects(storage.stat(key), /Invalid storage key/, JSON.stringify(key));
+      await assert.rejects(storage.read(key), /Invalid storage key/, JSON.stringify(key));
+    }
+  });
+
+  it('reads keys inside the storage root', async () => {
+    const storage = new LocalStorageAdapter({ root: process.env.STORAGE_DIR });
+    assert.equal((await storage.stat('report')).size, 'contents of report'.length);
+    assert.equal(await storage.stat('missing'), null);
+  });
+});
+
+describe('GET /download/:id', () => {
+  it('rejects IDs with traversal, separators or control characters', async () => {
+    const paths = [
+      '/download/..%2F..%2Fpackage.json',
+      '/download/..%5Cserver.js',
+      '/download/%2E%2E',
+      '/download/report%00',
+      '/download/report%0D%0A',
+      '/download/report.json',
+      '/download/report?version=..%2Fvideo',
+      '/download/report?version=1%00',
+      '/files/..%2Freport/checksum',
+    ];
+    for (const requestPath of paths) {
+      const res = await request(requestPath, auth);
+      assert.equal(res.status, 400, requestPath);
+      assert.doesNotMatch(res.body.toString(), /contents of|secret/);
+    }
+  });
+
+  it('does not match paths with raw dot segments', async () => {
+    for (const requestPath of ['/download/../server.js', '/download/./../../package.json']) {
+      const res = await request(requestPath, auth);
+      assert.equal(res.status, 404, requestPath);
+    }
+  });
+
+  it('rejects invalid IDs before looking anything up', async () => {
+    const res = await request('/download/..%2Fsecret');
+    assert.equal(res.status, 400);
+  });
+
+  it('sends ASCII names in filename only', async () => {
+    const res = await request('/download/report', auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), 'contents of report');
+    assert.equal(res.headers['content-disposition'], 'attachment; filename="report.pdf"');
+  });
+
+  it('sends non-ASCII names as filename*', async () => {
+    const res = await request('/download/video', auth);
+    assert.equal(res.status, 200);
+    const disposition = res.headers['content-disposition'];
+    assert.match(disposition, /^attachment; filename="Samsung Galaxy _ vid_o_20240312\.mp4"; /);
+    const encoded = /filename\*=UTF-8''([^;]+)$/.exec(disposition)[1];
+    assert.equal(decodeURIComponent(encoded), SAMSUNG_VIDEO);
+  });
+
+  it('keeps control characters in names out of the headers', async () => {
+    const res = await request('/download/odd', auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['set-cookie'], undefined);
+    assert.match(res.headers['content-disposition'], /^attachment; filename="say _hi_Set-Cookie/);
+  });
+
+  it('uses filename* for inline previews too', async () => {
+    const res = await request('/download/video?disposition=inline', auth);
+    assert.match(res.headers['content-disposition'], /^inline; filename=".*"; filename\*=UTF-8''/);
+  });
+});
+
+describe('GET /download/collections/:id/archive', () => {
+  it('rejects invalid collection IDs', async () => {
+    for (const requestPath of [
+      '/download/collections/..%2Fcol1/archive',
+      '/download/collections/col1%00/archive',
+    ]) {
+      const res = await request(requestPath, auth);
+      assert.equal(res.status, 400, requestPath);
+    }
+  });
+
+  it('names archives with filename*', async () => {
+    const res = await request('/download/collections/col1/archive', auth);
+    assert.equal(res.status, 200);
+    assert.equal(
+      res.headers['content-disposition'],
+      `attachment; filename="_vidence.zip"; filename*=UTF-8''%C3%89vidence.zip`
+    );
+  });
+
+  it('stores entry names without control characters', async () => {
+    const res = await request('/download/collections/col2/archive', auth);
+    assert.equal(res.status, 200);
+    const listing = res.body.toString('latin1');
+    assert.ok(listing.includes('say "hi"Set-Cookie: x=1.txt'));
+    assert.ok(!listing.includes('\r\nSet-Cookie'));
+  });
+});
@@ -0,0 +1,163 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Starts an app on a free local port.
+ * @param {express.Express} app
+ * @returns {Promise<import('http').Server>}
+ */
+const listen = app =>
+  new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+/**
+ * Signs an access token the file server accepts in development.
+ * @param {string} id - The user ID
+ * @param {string} role - The user's role, e.g. `admin`
+ * @returns {string} The `Authorization` header value
+ */
+const tokenFor = (id, role) =>
+  `Bearer ${jwt.sign({ sub: id, role, email: `${id}@example.com` }, 'dev-access-secret')}`;
+
+// Tells whether a record meets a json-server `_where` condition the way json-server decides it:
+// `or` needs one of its conditions to hold, and a field the record lacks never matches. Only the
+// operators the file server sends are supported.
+const matchesWhere = (record, where) =>
+  Object.entries(where).every(([field, conditions]) => {
+    if (field === 'or') {
+      return Array.isArray(conditions) && conditions.some(other => matchesWhere(record, other));
+    }
+    const actual = record[field];
+    if (actual === undefined) return false;
+    return Object.entries(conditions).every(([operator, value]) => {
+      if (operator === 'eq') return actual === value;
+      if (operator === 'ne') return actual !== value;
+      if (operator === 'in') return [].concat(value).includes(actual);
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  });
+
+/**
+ * Starts a stand-in for json-server holding the given records. Lists can be filtered by field or
+ * with `_where` and sorted with `_sort`; records can be replaced, patched and deleted.
+ * @param {Object<string, Object[]>} records - The records of each resource, changed in place
+ * @returns {Promise<{server: import('http').Server, changes: string[]}>} The server, and the
+ *   PUT, PATCH and DELETE requests it received as `METHOD /resource/id`, in order
+ */
+const startMetadataServer = async records => {
+  const changes = [];
+  const metadata = express();
+  metadata.use(express.json());
+  metadata.get('/:resource', (req, res) => {
+    const { _where: where, _sort: sort, ...fields } = req.query;
+    let list = (records[req.params.resource] || []).filter(record =>
+      Object.entries(fields).every(([field, value]) => String(record[field]) === value)
+    );
+    if (where) list = list.filter(record => matchesWhere(record, JSON.parse(where)));
+    if (sort) list = [...list].sort((a, b) => String(a[sort]).localeCompare(String(b[sort])));
+    res.json(list);
+  });
+  metadata.get('/:resource/:id', (req, res) => {
+    const record = (records[req.params.resource] || []).find(item => item.id === req.params.id);
+    if (record) res.json(record);
+    else res.status(404).json({});
+  });
+  metadata.put('/:resource/:id', (req, res) => {
+    changes.push(`PUT /${req.params.resource}/${req.params.id}`);
+    const list = records[req.params.resource] || [];
+    const index = list.findIndex(item => item.id === req.params.id);
+    if (index === -1) return res.status(404).json({});
+    list[index] = { ...req.body, id: req.params.id };
+    res.json(list[index]);
+  });
+  metadata.patch('/:resource/:id', (req, res) => {
+    changes.push(`PATCH /${req.params.resource}/${req.params.id}`);
+    const record = (records[req.params.resource] || []).find(item => item.id === req.params.id);
+    if (!record) return res.status(404).json({});
+    Object.assign(record, req.body);
+    res.json(record);
+  });
+  metadata.delete('/:resource/:id', (req, res) => {
+    changes.push(`DELETE /${req.params.resource}/${req.params.id}`);
+    const list = records[req.params.resource] || [];
+    const index = list.findIndex(item => item.id === req.params.id);
+    if (index === -1) return res.status(404).json({});
+    res.json(list.splice(index, 1)[0]);
+  });
+  metadata.post('/audit', (req, res) => res.status(201).json(req.body));
+  return { server: await listen(metadata), changes };
+};
+
+/**
+ * Boots the file server against a stand-in for json-server, with its storage in a new temporary
+ * directory and no ffmpeg unless `env` names one. The server module is loaded once per process, so
+ * each test file can boot it once.
+ * @param {Object<string, Object[]>} records - The metadata, see `startMetadataServer`
+ * @param {Object<string, string>} [env] - Settings to change, e.g. `FFMPEG_PATH`
+ * @returns {Promise<{baseUrl: string, port: number, storageDir: string, changes: string[],
+ *   close: function(): void}>}
+ */
+const startFileServer = async (records, env = {}) => {
+  const metadata = await startMetadataServer(records);
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-server-test-'));
+  process.env.JSON_SERVER_URL = `http://127.0.0.1:${metadata.server.address().port}`;
+  process.env.STORAGE_DIR = storageDir;
+  process.env.STAGING_DIR = path.join(storageDir, '.uploads');
+  process.env.FFMPEG_PATH = path.join(storageDir, 'no-ffmpeg');
+  Object.assign(process.env, env);
+  const app = require('../server');
+  const server = await listen(app);
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    port,
+    storageDir,
+    changes: metadata.changes,
+    close: () => {
+      server.close();
+      metadata.server.close();
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    },
+  };
+};
+
+/**
+ * Uploads content to a file record over TUS in one PATCH, as an admin.
+ * @param {string} baseUrl - The file server
+ * @param {string} id - The file record ID
+ * @param {string} content
+ * @param {Object<string, string>} [metadata] - More upload metadata, e.g. `filetype`
+ */
+const upload = async (baseUrl, id, content, metadata = {}) => {
+  const headers = { Authorization: tokenFor('u1', 'admin'), 'Tus-Resumable': '1.0.0' };
+  const uploadMetadata = Object.entries({ ...metadata, fileId: id })
+    .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+    .join(',');
+  const created = await fetch(`${baseUrl}/uploads/`, {
+    method: 'POST',
+    headers: {
+      ...headers,
+      'Upload-Length': String(Buffer.byteLength(content)),
+      'Upload-Metadata': uploadMetadata,
+    },
+  });
+  assert.equal(created.status, 201);
+  const patched = await fetch(created.headers.get('Location'), {
+    method: 'PATCH',
+    headers: {
+      ...headers,
+      'Upload-Offset': '0',
+      'Content-Type': 'application/offset+octet-stream',
+    },
+    body: content,
+  });
+  assert.equal(patched.status, 204);
+};
+
+module.exports = { listen, tokenFor, startMetadataServer, startFileServer, upload };
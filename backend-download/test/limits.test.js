@@ -0,0 +1,130 @@
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { after, before, describe, it } = require('node:test');
+const express = require('express');
+const { createDownloadLimits } = require('../limits');
+
+const listen = app =>
+  new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+/**
+ * Fetches a path as the given user, resolving once the whole body has arrived.
+ * @param {number} port
+ * @param {string} requestPath
+ * @param {string} user - Sent in `X-User`, which the test app takes as the logged-in user
+ * @returns {Promise<{status: number, headers: Object, length: number}>}
+ */
+const download = (port, requestPath, user) =>
+  new Promise((resolve, reject) => {
+    const req = http.get(
+      { host: '127.0.0.1', port, path: requestPath, headers: { 'X-User': user } },
+      res => {
+        let length = 0;
+        res.on('data', chunk => (length += chunk.length));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, length }));
+      }
+    );
+    req.on('error', reject);
+  });
+
+/**
+ * Starts an app serving `size` bytes at `/bytes/:size` within the given limits.
+ * @param {Parameters<typeof createDownloadLimits>[0]} options
+ * @returns {Promise<http.Server>}
+ */
+const startApp = options => {
+  const limits = createDownloadLimits(options);
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: req.get('X-User'), email: `${req.get('X-User')}@example.com` };
+    next();
+  });
+  app.get('/bytes/:size', limits.limitStreams, async (req, res) => {
+    const size = Number(req.params.size);
+    const body = Readable.from(
+      Array.from({ length: Math.ceil(size / 16384) }, (_, i) =>
+        Buffer.alloc(Math.min(16384, size - i * 16384))
+      )
+    );
+    const throttle = limits.throttle(req);
+    await (throttle ? pipeline(body, throttle, res) : pipeline(body, res));
+  });
+  return listen(app);
+};
+
+describe('createDownloadLimits', () => {
+  const servers = [];
+  let port;
+
+  before(async () => {
+    const server = await startApp({
+      userBytesPerSecond: 200 * 1024,
+      connectionBytesPerSecond: 0,
+      maxStreamsPerUser: 2,
+    });
+    servers.push(server);
+    port = server.address().port;
+  });
+
+  after(() => {
+    for (const server of servers) server.close();
+  });
+
+  it('caps the bandwidth of all downloads of a user together', async () => {
+    // One second's burst plus 200 KiB more, split over two streams
+    let startedAt = Date.now();
+    const results = await Promise.all([
+      download(port, `/bytes/${200 * 1024}`, 'alice'),
+      download(port, `/bytes/${200 * 1024}`, 'alice'),
+    ]);
+    let seconds = (Date.now() - startedAt) / 1000;
+    assert.deepEqual(
+      results.map(result => result.length),
+      [200 * 1024, 200 * 1024]
+    );
+    assert.ok(seconds >= 0.9, `took ${seconds}s`);
+
+    // The next request does not get a new burst just because the others have finished
+    startedAt = Date.now();
+    await download(port, `/bytes/${100 * 1024}`, 'alice');
+    seconds = (Date.now() - startedAt) / 1000;
+    assert.ok(seconds >= 0.4, `took ${seconds}s`);
+  });
+
+  it('turns away streams beyond the maximum with 429', async () => {
+    const results = await Promise.all(
+      ['bob', 'bob', 'bob'].map(user => download(port, `/bytes/${400 * 1024}`, user))
+    );
+    const statuses = results.map(result => result.status).sort();
+    assert.deepEqual(statuses, [200, 200, 429]);
+    assert.equal(results.find(result => result.status === 429).headers['retry-after'], '1');
+  });
+
+  it('counts streams per user', async () => {
+    const results = await Promise.all(
+      ['carol', 'carol', 'dave'].map(user => download(port, `/bytes/1024`, user))
+    );
+    assert.deepEqual(
+      results.map(result => result.status),
+      [200, 200, 200]
+    );
+  });
+
+  it('caps each connection', async () => {
+    const server = await startApp({
+      userBytesPerSecond: 0,
+      connectionBytesPerSecond: 100 * 1024,
+      maxStreamsPerUser: 0,
+    });
+    servers.push(server);
+    const startedAt = Date.now();
+    const result = await download(server.address().port, `/bytes/${200 * 1024}`, 'erin');
+    const seconds = (Date.now() - startedAt) / 1000;
+    assert.equal(result.length, 200 * 1024);
+    assert.ok(seconds >= 0.9, `took ${seconds}s`);
+  });
+});
@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { parseRange } = require('../ranges');
+const { startFileServer, tokenFor, upload } = require('./helpers');
+
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+// Metadata served by the stand-in for json-server
+const records = {
+  cases: [{ id: 'case1', name: 'Case', ownerId: 'u1', members: [] }],
+  collections: [{ id: 'col1', caseId: 'case1', name: 'Collection' }],
+  files: [{ id: 'letters', collectionId: 'col1', name: 'letters.txt' }],
+};
+
+let fileServer;
+let etag;
+
+/**
+ * Downloads the letters with extra request headers.
+ * @param {Object<string, string>} headers - e.g. `Range`
+ * @returns {Promise<Response>}
+ */
+const download = headers =>
+  fetch(`${fileServer.baseUrl}/download/letters`, {
+    headers: { Authorization: tokenFor('u1', 'admin'), ...headers },
+  });
+
+before(async () => {
+  fileServer = await startFileServer(records);
+  await upload(fileServer.baseUrl, 'letters', LETTERS, { filetype: 'text/plain' });
+  const res = await download({});
+  etag = res.headers.get('etag');
+  await res.arrayBuffer();
+});
+
+after(() => fileServer.close());
+
+describe('parseRange', () => {
+  it('parses closed, open and suffix ranges', () => {
+    assert.deepEqual(parseRange('bytes=0-4', 26), [{ start: 0, end: 4 }]);
+    assert.deepEqual(parseRange('bytes=20-', 26), [{ start: 20, end: 25 }]);
+    assert.deepEqual(parseRange('bytes=-5', 26), [{ start: 21, end: 25 }]);
+  });
+
+  it('clips ranges to the representation', () => {
+    assert.deepEqual(parseRange('bytes=20-100', 26), [{ start: 20, end: 25 }]);
+    assert.deepEqual(parseRange('bytes=-100', 26), [{ start: 0, end: 25 }]);
+  });
+
+  it('keeps the order of several ranges and merges those that overlap or touch', () => {
+    assert.deepEqual(parseRange('bytes=10-12, 0-2', 26), [
+      { start: 10, end: 12 },
+      { start: 0, end: 2 },
+    ]);
+    assert.deepEqual(parseRange('bytes=0-5,3-8,9-10', 26), [{ start: 0, end: 10 }]);
+  });
+
+  it('tells ranges beyond the end apart from headers to ignore', () => {
+    assert.equal(parseRange('bytes=26-', 26), 'unsatisfiable');
+    assert.equal(parseRange('bytes=-0', 26), 'unsatisfiable');
+    assert.equal(parseRange('bytes=0-', 0), 'unsatisfiable');
+    for (const header of [undefined, 'items=0-1', 'bytes=5-2', 'bytes=a-b', 'bytes=-']) {
+      assert.equal(parseRange(header, 26), null, header);
+    }
+  });
+});
+
+describe('GET /download/:id', () => {
+  it('sends suffix and open ranges', async () => {
+    let res = await download({ Range: 'bytes=-5' });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), 'bytes 21-25/26');
+    assert.equal(await res.text(), 'vwxyz');
+
+    res = await download({ Range: 'bytes=20-' });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), 'bytes 20-25/26');
+    assert.equal(await res.text(), 'uvwxyz');
+  });
+
+  it('sends several ranges as multipart/byteranges', async () => {
+    const res = await download({ Range: 'bytes=0-2,10-12' });
+    assert.equal(res.status, 206);
+    const [, boundary] = /^multipart\/byteranges; boundary=(\w+)$/.exec(
+      res.headers.get('content-type')
+    );
+    const part = (range, bytes) =>
+      `\r\n--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes ${range}/26\r\n\r\n` +
+      bytes;
+    const expected = `${part('0-2', 'abc')}${part('10-12', 'klm')}\r\n--${boundary}--\r\n`;
+    assert.equal(await res.text(), expected);
+    assert.equal(Number(res.headers.get('content-length')), expected.length);
+  });
+
+  it('answers ranges beyond the end with 416 and the size', async () => {
+    const res = await download({ Range: 'bytes=26-' });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get('content-range'), 'bytes */26');
+    assert.equal(await res.text(), '');
+  });
+
+  it('only honours the range when If-Range matches', async () => {
+    let res = await download({ Range: 'bytes=0-2', 'If-Range': etag });
+    assert.equal(res.status, 206);
+    assert.equal(await res.text(), 'abc');
+
+    for (const ifRange of ['"something else"', `W/${etag}`]) {
+      res = await download({ Range: 'bytes=0-2', 'If-Range': ifRange });
+      assert.equal(res.status, 200, ifRange);
+      assert.equal(await res.text(), LETTERS);
+    }
+  });
+
+  it('answers 304 when If-None-Match matches', async () => {
+    for (const ifNoneMatch of [etag, `W/${etag}`, `"something else", ${etag}`, '*']) {
+      const res = await download({ 'If-None-Match': ifNoneMatch });
+      assert.equal(res.status, 304, ifNoneMatch);
+      assert.equal(res.headers.get('etag'), etag);
+    }
+    const res = await download({ 'If-None-Match': '"something else"' });
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), LETTERS);
+  });
+});
@@ -0,0 +1,214 @@
+const assert = require('node:assert/strict');
+const http = require('http');
+const { after, before, describe, it } = require('node:test');
+const S3StorageAdapter = require('../adapters/S3StorageAdapter');
+const { startFileServer, tokenFor, upload } = require('./helpers');
+
+const BUCKET = 'evidence';
+
+// Objects per page of a bucket listing; S3 sends up to 1000, so few objects already span pages
+const PAGE_SIZE = 2;
+
+// Metadata served by the stand-in for json-server
+const records = {
+  cases: [{ id: 'case1', name: 'Case', ownerId: 'u1', members: [] }],
+  collections: [{ id: 'col1', caseId: 'case1', name: 'Collection' }],
+  files: [
+    { id: 'letters', collectionId: 'col1', name: 'letters.txt' },
+    { id: 'digits', collectionId: 'col1', name: 'digits.txt' },
+  ],
+};
+
+const escapeXml = text => text.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Starts a stand-in for an S3 bucket, serving path-style object requests (HEAD, GET with `Range`,
+ * PUT, DELETE) and `ListObjectsV2` in pages of `PAGE_SIZE`. Requests are not authenticated.
+ * The key `broken` answers 500, as a failing service would.
+ * @returns {Promise<{server: import('http').Server, objects: Map<string, Object>,
+ *   endpoint: string}>}
+ */
+const startS3Server = async () => {
+  const objects = new Map();
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucket, ...rest] = url.pathname.split('/');
+    const key = decodeURIComponent(rest.join('/'));
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+
+    const error = (status, code) => {
+      res.writeHead(status, { 'Content-Type': 'application/xml' });
+      res.end(req.method === 'HEAD' ? undefined : `<Error><Code>${code}</Code></Error>`);
+    };
+    if (bucket !== BUCKET) return error(404, 'NoSuchBucket');
+    if (key === 'broken') return error(500, 'InternalError');
+
+    if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+      const keys = [...objects.keys()].sort();
+      const from = Number(url.searchParams.get('continuation-token') || 0);
+      const page = keys.slice(from, from + PAGE_SIZE);
+      const truncated = from + PAGE_SIZE < keys.length;
+      const contents = page.map(name => {
+        const object = objects.get(name);
+        return (
+          `<Contents><Key>${escapeXml(name)}</Key><Size>${object.data.length}</Size>` +
+          `<LastModified>${object.modified.toISOString()}</LastModified></Contents>`
+        );
+      });
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      return res.end(
+        `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${BUCKET}</Name>` +
+          `<KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>` +
+          (truncated ? `<NextContinuationToken>${from + PAGE_SIZE}</NextContinuationToken>` : '') +
+          `${contents.join('')}</ListBucketResult>`
+      );
+    }
+
+    if (req.method === 'PUT') {
+      objects.set(key, { data: body, modified: new Date() });
+      res.writeHead(200, { ETag: '"etag"' });
+      return res.end();
+    }
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const object = objects.get(key);
+    if (!object) return error(404, 'NoSuchKey');
+    const headers = {
+      'Content-Type': 'application/octet-stream',
+      'Last-Modified': object.modified.toUTCString(),
+      ETag: '"etag"',
+    };
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (range) {
+      const start = Number(range[1]);
+      const end = range[2]
+        ? Math.min(Number(range[2]), object.data.length - 1)
+        : object.data.length - 1;
+      const data = object.data.subarray(start, end + 1);
+      res.writeHead(206, {
+        ...headers,
+        'Content-Length': data.length,
+        'Content-Range': `bytes ${start}-${end}/${object.data.length}`,
+      });
+      return res.end(req.method === 'HEAD' ? undefined : data);
+    }
+    res.writeHead(200, { ...headers, 'Content-Length': object.data.length });
+    res.end(req.method === 'HEAD' ? undefined : object.data);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, objects, endpoint: `http://127.0.0.1:${server.address().port}` };
+};
+
+const collect = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+let s3;
+let fileServer;
+
+before(async () => {
+  s3 = await startS3Server();
+  fileServer = await startFileServer(records, {
+    STORAGE_DRIVER: 's3',
+    S3_BUCKET: BUCKET,
+    S3_ENDPOINT: s3.endpoint,
+    S3_ACCESS_KEY_ID: 'test',
+    S3_SECRET_ACCESS_KEY: 'test',
+  });
+});
+
+after(() => {
+  fileServer.close();
+  s3.server.close();
+});
+
+describe('S3StorageAdapter', () => {
+  const adapter = () =>
+    new S3StorageAdapter({
+      bucket: BUCKET,
+      region: 'us-east-1',
+      endpoint: s3.endpoint,
+      forcePathStyle: true,
+      accessKeyId: 'test',
+      secretAccessKey: 'test',
+    });
+
+  it('writes, stats, reads and deletes objects', async () => {
+    const storage = adapter();
+    assert.equal(await storage.stat('note'), null);
+
+    await storage.write('note', Buffer.from('0123456789'));
+    const stat = await storage.stat('note');
+    assert.equal(stat.size, 10);
+    assert.ok(stat.modified instanceof Date);
+
+    assert.equal(await collect(await storage.read('note')), '0123456789');
+    assert.equal(await collect(await storage.read('note', { start: 2, end: 5 })), '2345');
+    assert.equal(await collect(await storage.read('note', { start: 7 })), '789');
+
+    await storage.delete('note');
+    assert.equal(await storage.stat('note'), null);
+    await storage.delete('note');
+  });
+
+  it('reports failures other than missing objects', async () => {
+    await assert.rejects(adapter().stat('broken'));
+  });
+
+  it('lists every object across pages', async () => {
+    const storage = adapter();
+    const keys = ['list.a', 'list.b', 'list.c', 'list.d', 'list.e'];
+    for (const key of keys) await storage.write(key, key);
+    const listed = (await storage.list()).filter(blob => blob.key.startsWith('list.'));
+    assert.deepEqual(
+      listed.map(blob => [blob.key, blob.size]),
+      keys.map(key => [key, key.length])
+    );
+    for (const key of keys) await storage.delete(key);
+  });
+});
+
+describe('downloads from S3 storage', () => {
+  const download = (id, headers = {}) =>
+    fetch(`${fileServer.baseUrl}/download/${id}`, {
+      headers: { Authorization: tokenFor('u1', 'admin'), ...headers },
+    });
+
+  before(async () => {
+    await upload(fileServer.baseUrl, 'letters', 'abcdefghijklmnopqrstuvwxyz');
+    await upload(fileServer.baseUrl, 'digits', '0123456789');
+  });
+
+  it('serves stored files whole and in ranges', async () => {
+    let res = await download('letters');
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), 'abcdefghijklmnopqrstuvwxyz');
+
+    res = await download('letters', { Range: 'bytes=2-5' });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), 'bytes 2-5/26');
+    assert.equal(await res.text(), 'cdef');
+
+    res = await download('missing');
+    assert.equal(res.status, 404);
+    await res.text();
+  });
+
+  it('lists stored files from every page of the bucket', async () => {
+    assert.ok(s3.objects.size > PAGE_SIZE);
+    const res = await fetch(`${fileServer.baseUrl}/files`, {
+      headers: { Authorization: tokenFor('u1', 'admin') },
+    });
+    assert.equal(res.status, 200);
+    const ids = (await res.json()).map(file => file.id).sort();
+    assert.deepEqual(ids, ['digits', 'letters']);
+  });
+});
@@ -0,0 +1,93 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { after, before, describe, it } = require('node:test');
+const { startFileServer, tokenFor, upload } = require('./helpers');
+
+const PHOTO = 'not really a png';
+
+// Metadata served by the stand-in for json-server
+const records = {
+  cases: [{ id: 'case1', name: 'Case', ownerId: 'u1', members: [] }],
+  collections: [{ id: 'col1', caseId: 'case1', name: 'Collection' }],
+  files: [
+    { id: 'playlist', collectionId: 'col1', name: 'video.m3u8' },
+    { id: 'photo', collectionId: 'col1', name: 'photo.png' },
+  ],
+};
+
+let fileServer;
+let fakeDir;
+let argsLog;
+
+/**
+ * Waits until a file record has a thumbnail.
+ * @param {string} id - The file record ID
+ */
+const thumbnailMade = async id => {
+  const file = records.files.find(record => record.id === id);
+  for (let i = 0; i < 100 && !file.thumbnail; i++) await sleep(20);
+  assert.ok(file.thumbnail, `no thumbnail for ${id}`);
+};
+
+before(async () => {
+  // Stands in for ffmpeg: logs its arguments, one per line, and writes its output file
+  fakeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-ffmpeg-'));
+  argsLog = path.join(fakeDir, 'args.log');
+  const ffmpegPath = path.join(fakeDir, 'ffmpeg');
+  fs.writeFileSync(
+    ffmpegPath,
+    `#!/bin/sh\nprintf '%s\\n' "$@" >> '${argsLog}'\nfor last; do :; done\nprintf jpeg > "$last"\n`,
+    { mode: 0o755 }
+  );
+  fileServer = await startFileServer(records, { FFMPEG_PATH: ffmpegPath });
+});
+
+after(() => {
+  fileServer.close();
+  fs.rmSync(fakeDir, { recursive: true, force: true });
+});
+
+describe('thumbnails', () => {
+  it('has ffmpeg read only the stored file, in the format of its type', async () => {
+    // Types without a known format, like playlists, never reach ffmpeg
+    await upload(fileServer.baseUrl, 'playlist', '#EXTM3U', {
+      filetype: 'application/vnd.apple.mpegurl',
+    });
+    await upload(fileServer.baseUrl, 'photo', PHOTO, { filetype: 'image/png' });
+    await thumbnailMade('photo');
+
+    const args = fs.readFileSync(argsLog, 'utf8').trim().split('\n');
+    assert.equal(args.filter(arg => arg === '-i').length, 1);
+    const input = args.indexOf('-i');
+    assert.deepEqual(args.slice(input - 4, input), [
+      '-protocol_whitelist',
+      'file',
+      '-f',
+      'png_pipe',
+    ]);
+    const sha256 = crypto.createHash('sha256').update(PHOTO).digest('hex');
+    assert.equal(args[input + 1], path.join(fileServer.storageDir, `sha256.${sha256}`));
+  });
+
+  it('serves the thumbnail', async () => {
+    const res = await fetch(`${fileServer.baseUrl}/files/photo/thumbnail`, {
+      headers: { Authorization: tokenFor('u1', 'admin') },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/jpeg');
+    assert.equal(await res.text(), 'jpeg');
+  });
+
+  it('rejects invalid file IDs', async () => {
+    for (const id of ['..%2Fphoto', 'photo%00', 'photo.thumb']) {
+      const res = await fetch(`${fileServer.baseUrl}/files/${id}/thumbnail`, {
+        headers: { Authorization: tokenFor('u1', 'admin') },
+      });
+      assert.equal(res.status, 400, id);
+    }
+  });
+});
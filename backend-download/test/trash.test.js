@@ -0,0 +1,41 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { after, before, describe, it } = require('node:test');
+const { startFileServer, tokenFor, upload } = require('./helpers');
+
+// Metadata served by the stand-in for json-server
+const records = {
+  cases: [{ id: 'case1', name: 'Case', ownerId: 'u1', members: [] }],
+  collections: [{ id: 'col1', caseId: 'case1', name: 'Collection' }],
+  files: [{ id: 'file1', collectionId: 'col1', name: 'report.pdf' }],
+};
+
+let fileServer;
+
+before(async () => {
+  fileServer = await startFileServer(records);
+});
+
+after(() => fileServer.close());
+
+describe('DELETE /api/trash/:resource/:id', () => {
+  it('purges files before the collections and cases holding them', async () => {
+    await upload(fileServer.baseUrl, 'file1', 'contents of file1');
+
+    const res = await fetch(`${fileServer.baseUrl}/api/trash/cases/case1`, {
+      method: 'DELETE',
+      headers: { Authorization: tokenFor('u1', 'admin') },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), {
+      purged: { cases: ['case1'], collections: ['col1'], files: ['file1'] },
+    });
+    assert.deepEqual(
+      fileServer.changes.filter(change => change.startsWith('DELETE')),
+      ['DELETE /files/file1', 'DELETE /collections/col1', 'DELETE /cases/case1']
+    );
+    // The stored content went with the file
+    const stored = fs.readdirSync(fileServer.storageDir).filter(name => name.startsWith('sha256.'));
+    assert.deepEqual(stored, []);
+  });
+});
@@ -0,0 +1,313 @@
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+const { after, before, describe, it } = require('node:test');
+const { createArchiver, planArchive } = require('../zip');
+const { startFileServer, tokenFor, upload } = require('./helpers');
+
+// The check value of CRC-32 is the CRC of these nine bytes
+const CHECK_INPUT = '123456789';
+const CHECK_VALUE = 0xcbf43926;
+
+const MODIFIED = new Date('2026-01-02T03:04:06Z');
+const CONTENTS = {
+  check: Buffer.from(CHECK_INPUT),
+  empty: Buffer.alloc(0),
+  report: Buffer.from('quarterly report, with a few more bytes than the others'),
+};
+const ENTRIES = [
+  { key: 'check', name: 'check.txt', size: 9, modified: MODIFIED },
+  { key: 'empty', name: 'folder/empty.txt', size: 0, modified: MODIFIED },
+  { key: 'report', name: 'Überblick.txt', size: CONTENTS.report.length, modified: MODIFIED },
+];
+
+// More than 4 GiB of zeros, so the entry after it starts beyond 4 GiB too
+const HUGE_SIZE = 2 ** 32 + 1;
+const ZEROS = Buffer.alloc(64 * 1024 * 1024);
+
+/**
+ * A storage adapter holding contents in memory, read back in 4-byte chunks so CRCs are computed
+ * across chunk boundaries. The key `huge` holds `HUGE_SIZE` zeros without allocating them.
+ */
+const memoryStorage = {
+  read: async (key, { start = 0, end } = {}) => {
+    if (key === 'huge') {
+      return Readable.from(
+        (function* () {
+          for (let at = start; at <= end; at += ZEROS.length) {
+            yield ZEROS.subarray(0, Math.min(ZEROS.length, end - at + 1));
+          }
+        })()
+      );
+    }
+    const content = CONTENTS[key].subarray(start, end + 1);
+    const chunks = [];
+    for (let at = 0; at < content.length; at += 4) chunks.push(content.subarray(at, at + 4));
+    return Readable.from(chunks);
+  },
+};
+
+// CRC-32 bit by bit, independent of both implementations in zip.js
+const referenceCrc32 = data => {
+  let c = ~0;
+  for (const byte of data) {
+    c ^= byte;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return ~c >>> 0;
+};
+
+const collect = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const readUInt64LE = (buffer, offset) => Number(buffer.readBigUInt64LE(offset));
+
+/**
+ * Reads the central directory of a whole archive, checking its signatures on the way.
+ * @param {Buffer} archive
+ * @returns {Array<{name: string, crc: number, size: number, headerOffset: number}>}
+ */
+const centralDirectory = archive => {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  const entries = [];
+  let position = archive.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const extraLength = archive.readUInt16LE(position + 30);
+    const commentLength = archive.readUInt16LE(position + 32);
+    assert.equal(archive.readUInt32LE(position + 20), archive.readUInt32LE(position + 24));
+    entries.push({
+      name: archive.toString('utf8', position + 46, position + 46 + nameLength),
+      crc: archive.readUInt32LE(position + 16),
+      size: archive.readUInt32LE(position + 24),
+      headerOffset: archive.readUInt32LE(position + 42),
+    });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  assert.equal(position, end);
+  return entries;
+};
+
+/**
+ * Builds the test archive in one read.
+ * @param {typeof import('../zip')} zip - The module to build it with
+ * @returns {Promise<Buffer>}
+ */
+const wholeArchive = zip => {
+  const plan = zip.planArchive(ENTRIES);
+  return collect(zip.createArchiver(memoryStorage).read(plan, 0, plan.size - 1));
+};
+
+/**
+ * Loads a fresh copy of zip.js as it works on Node versions without `zlib.crc32`.
+ * @returns {typeof import('../zip')}
+ */
+const loadWithoutZlibCrc32 = () => {
+  const modulePath = require.resolve('../zip');
+  const original = zlib.crc32;
+  delete require.cache[modulePath];
+  zlib.crc32 = undefined;
+  try {
+    return require(modulePath);
+  } finally {
+    zlib.crc32 = original;
+    delete require.cache[modulePath];
+  }
+};
+
+describe('ZIP archives', () => {
+  it('lists every entry in the central directory, with its CRC-32', async () => {
+    const archive = await wholeArchive({ planArchive, createArchiver });
+    const entries = centralDirectory(archive);
+    assert.deepEqual(
+      entries.map(entry => entry.name),
+      ENTRIES.map(entry => entry.name)
+    );
+    assert.equal(entries[0].crc, CHECK_VALUE);
+
+    for (const [index, entry] of entries.entries()) {
+      const content = CONTENTS[ENTRIES[index].key];
+      assert.equal(entry.size, content.length);
+      assert.equal(entry.crc, referenceCrc32(content));
+
+      // The local header, the content and the data descriptor agree with the directory
+      const at = entry.headerOffset;
+      assert.equal(archive.readUInt32LE(at), 0x04034b50);
+      const dataOffset = at + 30 + archive.readUInt16LE(at + 26) + archive.readUInt16LE(at + 28);
+      assert.deepEqual(archive.subarray(dataOffset, dataOffset + content.length), content);
+      const descriptor = dataOffset + content.length;
+      assert.equal(archive.readUInt32LE(descriptor), 0x08074b50);
+      assert.equal(archive.readUInt32LE(descriptor + 4), entry.crc);
+      assert.equal(archive.readUInt32LE(descriptor + 8), content.length);
+    }
+  });
+
+  it('computes the same CRC-32s without zlib.crc32', async () => {
+    const fallback = loadWithoutZlibCrc32();
+    const archive = await wholeArchive(fallback);
+    assert.deepEqual(archive, await wholeArchive({ planArchive, createArchiver }));
+    assert.equal(centralDirectory(archive)[0].crc, CHECK_VALUE);
+  });
+
+  it('produces any byte range as the same bytes as the whole archive', async () => {
+    const plan = planArchive(ENTRIES);
+    const archive = await wholeArchive({ planArchive, createArchiver });
+    assert.equal(archive.length, plan.size);
+
+    for (let start = 0; start < plan.size; start += 7) {
+      for (const end of [start, start + 12, start + 61, plan.size - 1]) {
+        const last = Math.min(end, plan.size - 1);
+        // A fresh archiver has to read whole files for the CRCs the range needs
+        const slice = await collect(createArchiver(memoryStorage).read(plan, start, last));
+        assert.deepEqual(slice, archive.subarray(start, last + 1), `${start}-${last}`);
+      }
+    }
+
+    // Pieces continuing each other, as a resumed download asks for them
+    const archiver = createArchiver(memoryStorage);
+    const pieces = [];
+    for (let start = 0; start < plan.size; start += 10) {
+      pieces.push(await collect(archiver.read(plan, start, Math.min(start + 9, plan.size - 1))));
+    }
+    assert.deepEqual(Buffer.concat(pieces), archive);
+  });
+
+  it('uses ZIP64 fields for sizes and offsets beyond 4 GiB', async () => {
+    const plan = planArchive([
+      { key: 'check', name: 'check.txt', size: 9, modified: MODIFIED },
+      { key: 'huge', name: 'huge.bin', size: HUGE_SIZE, modified: MODIFIED },
+      { key: 'report', name: 'report.txt', size: CONTENTS.report.length, modified: MODIFIED },
+    ]);
+    assert.equal(plan.zip64, true);
+    const [check, huge, report] = plan.entries;
+    assert.deepEqual(
+      plan.entries.map(entry => entry.zip64),
+      [false, true, true]
+    );
+    assert.ok(report.headerOffset > 2 ** 32);
+
+    const archiver = createArchiver(memoryStorage);
+    const read = (start, end) => collect(archiver.read(plan, start, end));
+
+    // The local header of the huge entry points at its ZIP64 extra field
+    const local = await read(huge.headerOffset, huge.dataOffset - 1);
+    assert.equal(local.readUInt16LE(4), 45);
+    assert.equal(local.readUInt32LE(18), 0xffffffff);
+    assert.equal(local.readUInt32LE(22), 0xffffffff);
+    assert.equal(local.readUInt16LE(30 + 'huge.bin'.length), 0x0001);
+
+    // The central directory and end records, which need the CRC of the whole huge entry
+    const tail = await read(plan.centralOffset, plan.size - 1);
+
+    let position = 0;
+    const headers = [];
+    for (let i = 0; i < 3; i++) {
+      assert.equal(tail.readUInt32LE(position), 0x02014b50);
+      const nameLength = tail.readUInt16LE(position + 28);
+      const extraLength = tail.readUInt16LE(position + 30);
+      headers.push({ at: position, nameLength, extraLength });
+      position += 46 + nameLength + extraLength;
+    }
+    assert.equal(position, plan.centralSize);
+
+    // Plain 32-bit fields for the first entry
+    assert.equal(headers[0].extraLength, 0);
+    assert.equal(tail.readUInt32LE(16), CHECK_VALUE);
+    assert.equal(tail.readUInt32LE(24), 9);
+    assert.equal(tail.readUInt32LE(42), check.headerOffset);
+
+    // ZIP64 extra fields with the real sizes and offsets for the other two
+    for (const [index, entry] of [
+      [1, huge],
+      [2, report],
+    ]) {
+      const { at, nameLength, extraLength } = headers[index];
+      assert.equal(extraLength, 28);
+      assert.equal(tail.readUInt32LE(at + 20), 0xffffffff);
+      assert.equal(tail.readUInt32LE(at + 24), 0xffffffff);
+      assert.equal(tail.readUInt32LE(at + 42), 0xffffffff);
+      const extra = at + 46 + nameLength;
+      assert.equal(tail.readUInt16LE(extra), 0x0001);
+      assert.equal(readUInt64LE(tail, extra + 4), entry.size);
+      assert.equal(readUInt64LE(tail, extra + 12), entry.size);
+      assert.equal(readUInt64LE(tail, extra + 20), entry.headerOffset);
+    }
+    const hugeCrc = tail.readUInt32LE(headers[1].at + 16);
+
+    // ZIP64 end of central directory record and locator, then the classic end record
+    const zip64End = plan.centralSize;
+    assert.equal(tail.readUInt32LE(zip64End), 0x06064b50);
+    assert.equal(readUInt64LE(tail, zip64End + 32), 3);
+    assert.equal(readUInt64LE(tail, zip64End + 40), plan.centralSize);
+    assert.equal(readUInt64LE(tail, zip64End + 48), plan.centralOffset);
+    assert.equal(tail.readUInt32LE(zip64End + 56), 0x07064b50);
+    assert.equal(readUInt64LE(tail, zip64End + 64), plan.centralOffset + plan.centralSize);
+    const end = tail.length - 22;
+    assert.equal(tail.readUInt32LE(end), 0x06054b50);
+    assert.equal(tail.readUInt32LE(end + 16), 0xffffffff);
+
+    // The data descriptor of the huge entry has 64-bit sizes
+    const descriptor = await read(huge.descriptorOffset, huge.descriptorOffset + 23);
+    assert.equal(descriptor.readUInt32LE(0), 0x08074b50);
+    assert.equal(descriptor.readUInt32LE(4), hugeCrc);
+    assert.equal(readUInt64LE(descriptor, 8), HUGE_SIZE);
+    assert.equal(readUInt64LE(descriptor, 16), HUGE_SIZE);
+  });
+});
+
+describe('GET /download/collections/:id/archive', () => {
+  // Metadata served by the stand-in for json-server
+  const records = {
+    cases: [{ id: 'case1', name: 'Case', ownerId: 'u1', members: [] }],
+    collections: [{ id: 'col1', caseId: 'case1', name: 'Evidence' }],
+    files: [
+      { id: 'check', collectionId: 'col1', name: 'check.txt' },
+      { id: 'report', collectionId: 'col1', name: 'report.txt' },
+    ],
+  };
+  let fileServer;
+
+  const download = headers =>
+    fetch(`${fileServer.baseUrl}/download/collections/col1/archive`, {
+      headers: { Authorization: tokenFor('u1', 'admin'), ...headers },
+    });
+
+  before(async () => {
+    fileServer = await startFileServer(records);
+    await upload(fileServer.baseUrl, 'check', CHECK_INPUT);
+    await upload(fileServer.baseUrl, 'report', CONTENTS.report.toString());
+  });
+
+  after(() => fileServer.close());
+
+  it('serves ranges that match the whole archive', async () => {
+    const res = await download({});
+    assert.equal(res.status, 200);
+    const archive = Buffer.from(await res.arrayBuffer());
+    assert.deepEqual(
+      centralDirectory(archive).map(entry => [entry.name, entry.crc]),
+      [
+        ['check.txt', CHECK_VALUE],
+        ['report.txt', referenceCrc32(CONTENTS.report)],
+      ]
+    );
+
+    for (const [start, end] of [
+      [0, 0],
+      [0, 29],
+      [30, 60],
+      [50, archive.length - 40],
+      [archive.length - 22, archive.length - 1],
+    ]) {
+      const piece = await download({ Range: `bytes=${start}-${end}` });
+      assert.equal(piece.status, 206);
+      assert.deepEqual(Buffer.from(await piece.arrayBuffer()), archive.subarray(start, end + 1));
+    }
+  });
+});
@@ -0,0 +1,285 @@
+const express = require('express');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { VALID_ID } = require('./tus');
+
+// Videos get the frame at this many seconds as their poster, or the first one if they are shorter
+const POSTER_OFFSET_SECONDS = 1;
+
+/**
+ * Storage key of the thumbnail of a file. Like version keys, the dot keeps it apart from upload
+ * IDs.
+ * @param {string} id - The file record ID
+ * @returns {string}
+ */
+const thumbnailKey = id => `${id}.thumb.jpg`;
+
+// Largest part of an image copied out of remote storage for ffmpeg; bigger images are cut off
+const MAX_IMAGE_COPY_BYTES = 64 * 1024 * 1024;
+
+// The ffmpeg demuxer reading each type of file that gets a thumbnail. Naming it keeps ffmpeg from
+// probing uploaded bytes for a format, which could pick a playlist (HLS, concat) that reads other
+// files or URLs into the thumbnail. SVG is left out: rendering it would mean running an untrusted
+// document.
+const INPUT_FORMATS = {
+  'image/jpeg': 'jpeg_pipe',
+  'image/png': 'png_pipe',
+  'image/gif': 'gif',
+  'image/webp': 'webp_pipe',
+  'image/bmp': 'bmp_pipe',
+  'image/tiff': 'tiff_pipe',
+  'video/mp4': 'mov',
+  'video/quicktime': 'mov',
+  'video/x-m4v': 'mov',
+  'video/3gpp': 'mov',
+  'video/webm': 'matroska',
+  'video/x-matroska': 'matroska',
+  'video/ogg': 'ogg',
+  'video/x-msvideo': 'avi',
+  'video/mpeg': 'mpeg',
+};
+
+/**
+ * Whether a thumbnail can be made for a type of file.
+ * @param {string} [type] - The MIME type
+ * @returns {boolean}
+ */
+const hasThumbnail = type => Boolean(type) && Object.hasOwn(INPUT_FORMATS, type);
+
+/**
+ * Runs ffmpeg to completion.
+ * @param {string} ffmpegPath - The ffmpeg executable
+ * @param {string[]} args - Its arguments
+ * @returns {Promise<void>} Rejects with the last line ffmpeg printed when it fails
+ */
+function runFfmpeg(ffmpegPath, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) return resolve();
+      const lastLine = stderr.trim().split('\n').pop();
+      reject(new Error(`ffmpeg exited with ${code}${lastLine ? `: ${lastLine}` : ''}`));
+    });
+  });
+}
+
+/**
+ * Creates the thumbnails of uploaded files: a scaled-down JPEG of each image and a poster frame of
+ * each video, made with ffmpeg once an upload (or a restore) has changed the file's content.
+ *
+ * Thumbnails are stored next to the file as `<id>.thumb.jpg` and only ever describe its current
+ * version. The file record's `thumbnail` field says when the current one was made (`null` when
+ * there is none), so clients know whether to ask for it and when their copy is stale.
+ *
+ * Work happens in the background, one file at a time, so uploads never wait for it. A missing
+ * ffmpeg turns thumbnails off with a single warning instead of failing every upload.
+ *
+ * @param {Object} options
+ * @param {string} options.jsonServerUrl - Base URL of json-server
+ * @param {import('./adapters').StorageAdapter} options.storage - Where file contents are kept
+ * @param {function(string): Promise<Object|null>} options.findStoredFile - Resolves a file record
+ *   ID to its finished blob
+ * @param {{ffmpegPath: string, size: number}} options.thumbnails - Settings from the configuration
+ * @param {express.RequestHandler} options.requireAuth - Authentication middleware
+ * @param {ReturnType<import('./access').createCaseAccess>} options.access - Case access lookups
+ */
+function createThumbnails({
+  jsonServerUrl,
+  storage,
+  findStoredFile,
+  thumbnails,
+  requireAuth,
+  access,
+}) {
+  const router = express.Router();
+  let disabled = false;
+  let queue = Promise.resolve();
+
+  const fileUrl = id => `${jsonServerUrl}/files/${encodeURIComponent(id)}`;
+
+  const getFile = async id => {
+    const response = await fetch(fileUrl(id));
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Loading file ${id} failed with ${response.status}`);
+    return await response.json();
+  };
+
+  const setThumbnail = async (id, thumbnail) => {
+    const response = await fetch(fileUrl(id), {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ thumbnail }),
+    });
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Updating file ${id} failed with ${response.status}`);
+    }
+  };
+
+  /**
+   * Renders the first frame at `seconds` of a local file into a JPEG. ffmpeg may only open local
+   * files and reads the input as the format of its type.
+   * @returns {Promise<boolean>} Whether a frame was written
+   */
+  const renderFrame = async (input, type, output, seconds) => {
+    const { size } = thumbnails;
+    await runFfmpeg(thumbnails.ffmpegPath, [
+      '-hide_banner',
+      '-loglevel',
+      'error',
+      '-y',
+      '-protocol_whitelist',
+      'file',
+      '-f',
+      INPUT_FORMATS[type],
+      ...(seconds ? ['-ss', String(seconds)] : []),
+      '-i',
+      input,
+      '-frames:v',
+      '1',
+      '-vf',
+      `scale=${size}:${size}:force_original_aspect_ratio=decrease`,
+      '-q:v',
+      '4',
+      output,
+    ]);
+    const stat = await fsp.stat(output).catch(() => null);
+    return Boolean(stat && stat.size > 0);
+  };
+
+  /**
+   * Finds the content of a file on the local disk, since ffmpeg needs a seekable file, which a
+   * storage stream is not: the stored file itself on local storage, otherwise a copy in `dir`.
+   * @param {{key: string, stat: import('./adapters').BlobStat}} stored - The file's blob
+   * @param {string} type - Its MIME type
+   * @param {string} dir - A temporary directory for the copy
+   * @returns {Promise<string>} The path for ffmpeg
+   */
+  const localInput = async (stored, type, dir) => {
+    if (storage.localPath) return storage.localPath(stored.key);
+    const input = path.join(dir, 'source');
+    // Images are read from the start, so a prefix is enough for all but the largest
+    const range =
+      type.startsWith('image/') && stored.stat.size > MAX_IMAGE_COPY_BYTES
+        ? { start: 0, end: MAX_IMAGE_COPY_BYTES - 1 }
+        : {};
+    await pipeline(await storage.read(stored.key, range), fs.createWriteStream(input));
+    return input;
+  };
+
+  /**
+   * Makes (or removes) the thumbnail of the current content of a file.
+   * @param {string} id - The file record ID
+   * @returns {Promise<void>}
+   */
+  const createThumbnail = async id => {
+    const file = await getFile(id);
+    const stored = file && (await findStoredFile(id));
+    if (!stored) return;
+
+    if (!hasThumbnail(file.type)) {
+      // A new version of another type must not keep the old picture
+      if (file.thumbnail) {
+        await storage.delete(thumbnailKey(id));
+        await setThumbnail(id, null);
+      }
+      return;
+    }
+
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'thumbnail-'));
+    try {
+      const input = await localInput(stored, file.type, dir);
+      const output = path.join(dir, 'thumbnail.jpg');
+
+      // Seeking past the end of a short video fails; its first frame does instead
+      const poster =
+        file.type.startsWith('video/') &&
+        (await renderFrame(input, file.type, output, POSTER_OFFSET_SECONDS).catch(err => {
+          if (err.code === 'ENOENT') throw err;
+          return false;
+        }));
+      const rendered = poster || (await renderFrame(input, file.type, output, 0));
+      if (!rendered) throw new Error('ffmpeg produced no image');
+
+      await storage.write(thumbnailKey(id), fs.createReadStream(output));
+      await setThumbnail(id, { version: file.version || 1, created: new Date().toISOString() });
+      console.log(`[thumbnails] Created the thumbnail of file ${id}`);
+    } finally {
+      await fsp.rm(dir, { recursive: true, force: true });
+    }
+  };
+
+  /**
+   * Queues a file for a new thumbnail, after its content changed.
+   * @param {string} id - The file record ID
+   * @returns {Promise<void>} Settles once the thumbnail is done; never rejects
+   */
+  const generate = id => {
+    queue = queue
+      .then(() => !disabled && createThumbnail(id))
+      .catch(async err => {
+        if (err.code === 'ENOENT' && err.syscall?.startsWith('spawn')) {
+          disabled = true;
+          console.warn(
+            `[thumbnails] ffmpeg was not found at "${thumbnails.ffmpegPath}"; thumbnails are off`
+          );
+          return;
+        }
+        console.error(`[thumbnails] Failed to create the thumbnail of file ${id}: ${err.message}`);
+        // Whatever is stored shows the previous content now
+        await storage.delete(thumbnailKey(id)).catch(() => {});
+        await setThumbnail(id, null).catch(() => {});
+      });
+    return queue;
+  };
+
+  /**
+   * Deletes the thumbnail of a file.
+   * @param {string} id - The file record ID
+   * @returns {Promise<void>}
+   */
+  const removeThumbnail = id => storage.delete(thumbnailKey(id));
+
+  // The thumbnail of a file, for everyone who can see it in a list
+  router.get(
+    '/:id/thumbnail',
+    (req, res, next) =>
+      VALID_ID.test(req.params.id) ? next() : res.status(400).json({ message: 'Invalid file ID' }),
+    requireAuth,
+    access.requireFilePermission('file:read', req => req.params.id),
+    async (req, res) => {
+      const key = thumbnailKey(req.params.id);
+      let stat;
+      let stream;
+      try {
+        stat = await storage.stat(key);
+        stream = stat && (await storage.read(key));
+      } catch (err) {
+        console.error(`[thumbnails] Failed to read the thumbnail of file ${req.params.id}:`, err);
+        return res.status(500).json({ error: 'Failed to read the thumbnail' });
+      }
+      if (!stat) return res.status(404).json({ error: 'No thumbnail' });
+
+      // Clients add the creation time to the URL, so a cached copy never goes stale
+      res.set({
+        'Content-Type': 'image/jpeg',
+        'Content-Length': stat.size,
+        'Cache-Control': 'private, max-age=86400',
+        'X-Content-Type-Options': 'nosniff',
+      });
+      pipeline(stream, res).catch(() => {});
+    }
+  );
+
+  return { router, generate, removeThumbnail };
+}
+
+module.exports = { createThumbnails, thumbnailKey };
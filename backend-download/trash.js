@@ -0,0 +1,198 @@
+const express = require('express');
+const { casePermissions } = require('./permissions');
+
+// Permission prefix of each resource that can be trashed
+const PERMISSION_PREFIX = { cases: 'case', collections: 'collection', files: 'file' };
+
+// The resource nested directly below each one, and the field pointing back at the parent
+const CHILDREN = {
+  cases: { resource: 'collections', field: 'caseId' },
+  collections: { resource: 'files', field: 'collectionId' },
+};
+
+/**
+ * Creates the trash: soft deletes that cascade from cases to their collections and files, and
+ * the routes to list, restore and purge what was deleted.
+ *
+ * Deleting a record sets its `deletedAt` (and `deletedBy`); its descendants that were not already
+ * in the trash get the same timestamp plus `trashedWith`, naming the record whose deletion took
+ * them along. Restoring a record brings back exactly those descendants, so anything deleted on
+ * its own beforehand stays in the trash. Purging removes the record and all its descendants for
+ * good, including the stored bytes of files and any unfinished uploads.
+ *
+ * @param {Object} options
+ * @param {string} options.jsonServerUrl - Base URL of json-server
+ * @param {express.RequestHandler} options.requireAuth - Authentication middleware
+ * @param {ReturnType<import('./access').createCaseAccess>} options.access - Case access lookups
+ * @param {function(string): Promise<void>} options.removeFileData - Deletes the stored bytes and
+ *   any upload of a file record
+ * @param {ReturnType<import('./audit').createAudit>} options.audit - The audit log
+ * @returns {{ router: express.Router, moveToTrash: Function }}
+ */
+function createTrash({ jsonServerUrl, requireAuth, access, removeFileData, audit }) {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  const request = async (resourcePath, options = {}) => {
+    const response = await fetch(`${jsonServerUrl}${resourcePath}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+      body: options.body && JSON.stringify(options.body),
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`${resourcePath} failed with ${response.status}`);
+    return await response.json();
+  };
+
+  const find = (resource, where) =>
+    request(`/${resource}?${new URLSearchParams({ _where: JSON.stringify(where) })}`);
+
+  const update = (resource, id, changes) =>
+    request(`/${resource}/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+
+  /**
+   * Lists every record below a case or collection, trashed or not.
+   * @param {string} resource - The resource of the parent
+   * @param {string} id - The ID of the parent
+   * @returns {Promise<Array<{resource: string, record: Object}>>} Grandchildren before children,
+   *   so files come before the collections holding them
+   */
+  const descendants = async (resource, id) => {
+    const child = CHILDREN[resource];
+    if (!child) return [];
+    const records = (await find(child.resource, { [child.field]: { eq: id } })) || [];
+    const nested = await Promise.all(records.map(record => descendants(child.resource, record.id)));
+    return [...nested.flat(), ...records.map(record => ({ resource: child.resource, record }))];
+  };
+
+  /**
+   * Moves a record and its descendants to the trash.
+   * @param {string} resource - `cases`, `collections` or `files`
+   * @param {string} id - The ID of the record
+   * @param {{id: string}} user - Who deletes it
+   * @returns {Promise<Object|null>} The trashed record, or null if it does not exist
+   */
+  const moveToTrash = async (resource, id, user) => {
+    const deletedAt = new Date().toISOString();
+    const trashed = await update(resource, id, {
+      deletedAt,
+      deletedBy: user.id,
+      trashedWith: null,
+    });
+    if (!trashed) return null;
+
+    const trashedWith = `${resource}/${id}`;
+    for (const entry of await descendants(resource, id)) {
+      if (entry.record.deletedAt) continue;
+      await update(entry.resource, entry.record.id, { deletedAt, deletedBy: user.id, trashedWith });
+    }
+    console.log(`[trash] ${user.email} moved ${trashedWith} to the trash`);
+    return trashed;
+  };
+
+  // Resolves `:resource/:id` to the record and what the user may do in its case
+  const loadTrashed = async (req, res, next) => {
+    const { resource, id } = req.params;
+    if (!PERMISSION_PREFIX[resource]) return res.status(404).json({ message: 'Not found' });
+
+    try {
+      const record = await request(`/${resource}/${encodeURIComponent(id)}`);
+      const caseRecord = record && (await access.caseOf(resource, id, { includeTrashed: true }));
+      const granted = caseRecord ? casePermissions(req.user, caseRecord) : [];
+      if (!granted.length) return res.status(404).json({ message: 'Not found' });
+
+      const permission = `${PERMISSION_PREFIX[resource]}:delete`;
+      if (!granted.includes(permission)) {
+        console.warn(`[auth] ${req.user.email} denied ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({ message: 'You do not have permission to do this' });
+      }
+      req.trashed = { resource, record };
+      next();
+    } catch (err) {
+      console.error(`[trash] Lookup failed: ${err.message}`);
+      res.status(502).json({ message: 'Metadata service unavailable' });
+    }
+  };
+
+  // Everything deleted directly (not taken along by a parent) that the user may restore or purge
+  router.get('/', async (req, res) => {
+    const entries = [];
+    for (const resource of Object.keys(PERMISSION_PREFIX)) {
+      const records = (await find(resource, { deletedAt: { ne: null } })) || [];
+      for (const record of records.filter(item => !item.trashedWith)) {
+        const caseRecord = await access.caseOf(resource, record.id, { includeTrashed: true });
+        const permission = `${PERMISSION_PREFIX[resource]}:delete`;
+        if (caseRecord && casePermissions(req.user, caseRecord).includes(permission)) {
+          entries.push({ resource, record, caseName: caseRecord.name });
+        }
+      }
+    }
+    entries.sort((a, b) => b.record.deletedAt.localeCompare(a.record.deletedAt));
+    res.json(entries);
+  });
+
+  // Restores a record together with the descendants its deletion took along
+  router.post('/:resource/:id/restore', loadTrashed, async (req, res) => {
+    const { resource, record } = req.trashed;
+    if (!record.deletedAt) return res.status(409).json({ message: 'Not in the trash' });
+    if (record.trashedWith) {
+      return res.status(409).json({ message: 'Restore the item it was deleted with instead' });
+    }
+
+    const parent = resource === 'files' ? 'collections' : resource === 'collections' && 'cases';
+    if (parent) {
+      const field = CHILDREN[parent].field;
+      const parentRecord = await request(`/${parent}/${encodeURIComponent(record[field])}`);
+      if (!parentRecord || parentRecord.deletedAt) {
+        return res.status(409).json({ message: 'Restore its parent first' });
+      }
+    }
+
+    const restoredChanges = { deletedAt: null, deletedBy: null, trashedWith: null };
+    const key = `${resource}/${record.id}`;
+    for (const entry of await descendants(resource, record.id)) {
+      if (entry.record.trashedWith === key) {
+        await update(entry.resource, entry.record.id, restoredChanges);
+      }
+    }
+    const restored = await update(resource, record.id, restoredChanges);
+    console.log(`[trash] ${req.user.email} restored ${key}`);
+    audit.record(req.user, {
+      action: 'restore',
+      entity: PERMISSION_PREFIX[resource],
+      entityId: String(record.id),
+      entityName: record.name ?? null,
+    });
+    res.json(restored);
+  });
+
+  // Deletes a record and everything below it for good, including stored file contents. Also
+  // accepts records that are not in the trash, e.g. the record of a cancelled upload.
+  router.delete('/:resource/:id', loadTrashed, async (req, res) => {
+    const { resource, record } = req.trashed;
+    const entries = [...(await descendants(resource, record.id)), { resource, record }];
+    const purged = { cases: [], collections: [], files: [] };
+
+    // Files first, then their collections and cases, so nothing is left without a parent
+    for (const entry of entries) {
+      if (entry.resource === 'files') await removeFileData(entry.record.id);
+      await request(`/${entry.resource}/${encodeURIComponent(entry.record.id)}`, {
+        method: 'DELETE',
+      });
+      purged[entry.resource].push(entry.record.id);
+    }
+    console.log(`[trash] ${req.user.email} purged ${resource}/${record.id}`);
+    audit.record(req.user, {
+      action: 'purge',
+      entity: PERMISSION_PREFIX[resource],
+      entityId: String(record.id),
+      entityName: record.name ?? null,
+      details: { purged },
+    });
+    res.json({ purged });
+  });
+
+  return { router, moveToTrash };
+}
+
+module.exports = { createTrash };
@@ -0,0 +1,352 @@
+const express = require('express');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { readJson, writeJson } = require('./adapters');
+const { sha256File } = require('./blobs');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'expiration'];
+
+// Incomplete uploads are removed after this long without a PATCH
+const UPLOAD_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Upload IDs are file record IDs and double as file names on disk
+const VALID_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Parses a TUS `Upload-Metadata` header (comma separated `key base64value` pairs).
+ * @param {string} [header] - The raw header value
+ * @returns {Object.<string, string>} The decoded metadata
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+}
+
+/**
+ * Encodes metadata back into the `Upload-Metadata` header format.
+ * @param {Object.<string, string>} metadata - The metadata to encode
+ * @returns {string}
+ */
+function serializeMetadata(metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => `${key} ${Buffer.from(value, 'utf8').toString('base64')}`)
+    .join(',');
+}
+
+/**
+ * Creates an Express router implementing the TUS 1.0.0 core protocol plus the creation,
+ * termination and expiration extensions.
+ *
+ * Uploads are keyed by the `fileId` sent in the upload metadata, i.e. the ID of the `files`
+ * record. While unfinished, an upload is assembled on local disk as `<id>` (the bytes) and
+ * `<id>.json` (its info) inside `stagingDir`, since not every storage backend can append. The
+ * upload offset is always the size of the staged file, so bytes that reached the disk before a
+ * dropped connection are kept and the client resumes after them. Once complete, the bytes go to
+ * the blob store under their digest (or just gain a reference if that content is already stored)
+ * and the info is stored as `<id>.json`, naming the blob. An upload can also be finished without
+ * sending any bytes, when its content is stored already (see `linkUpload`).
+ *
+ * @param {Object} options
+ * @param {string} options.stagingDir - Local directory holding unfinished uploads
+ * @param {import('./adapters').StorageAdapter} options.storage - Where finished uploads are kept
+ * @param {ReturnType<import('./blobs').createBlobStore>} options.blobs - Where their content is
+ *   kept
+ * @param {function(Object, express.Request): Promise<void>} [options.beforeCommit] - Awaited with
+ *   the upload info and the request that finished it, before a finished upload replaces what is
+ *   stored under its ID; may add to the info, which is stored with the upload
+ * @param {function(Object, express.Request): Promise<void>|void} [options.onComplete] - Awaited
+ *   with the upload info and the request that finished it, once an upload is stored
+ * @returns {{ router: express.Router, removeUpload: function(string): Promise<void>,
+ *   linkUpload: function(Object, express.Request): Promise<Object|null> }} The router, a function
+ *   deleting everything stored for an upload (staged or finished), and one finishing an upload with
+ *   content that is already stored
+ */
+function createTusRouter({ stagingDir, storage, blobs, beforeCommit, onComplete }) {
+  const router = express.Router();
+  fs.mkdirSync(stagingDir, { recursive: true });
+
+  // IDs with a PATCH in flight; TUS forbids concurrent writes to the same upload
+  const locked = new Set();
+
+  const dataPath = id => path.join(stagingDir, id);
+  const infoPath = id => path.join(stagingDir, `${id}.json`);
+
+  // Info of an unfinished upload, or of a finished one kept by the storage backend
+  const readInfo = async id => {
+    try {
+      return JSON.parse(await fsp.readFile(infoPath(id), 'utf8'));
+    } catch {
+      return await readJson(storage, `${id}.json`);
+    }
+  };
+
+  const writeInfo = info => fsp.writeFile(infoPath(info.id), JSON.stringify(info, null, 2));
+
+  const currentOffset = async info => {
+    if (info.completedAt) return info.length;
+    try {
+      return (await fsp.stat(dataPath(info.id))).size;
+    } catch {
+      return 0;
+    }
+  };
+
+  const isExpired = info => !info.completedAt && Date.parse(info.expiresAt) < Date.now();
+
+  const removeStaged = async id => {
+    await fsp.rm(dataPath(id), { force: true });
+    await fsp.rm(infoPath(id), { force: true });
+  };
+
+  const removeUpload = async id => {
+    await removeStaged(id);
+    const info = await readJson(storage, `${id}.json`);
+    await storage.delete(`${id}.json`);
+    if (info && info.blob) await blobs.release(info.blob, id);
+    else await storage.delete(id);
+  };
+
+  // Stores the info of a finished upload, whose content is referenced already, in place of what
+  // its file had before
+  const storeInfo = async info => {
+    const previous = await readJson(storage, `${info.id}.json`);
+    info.completedAt = new Date().toISOString();
+    await writeJson(storage, `${info.id}.json`, info);
+    await blobs.releaseReplaced(info.id, previous, info);
+  };
+
+  // Moves a finished upload from the staging area into the storage backend
+  const commitUpload = async (info, req) => {
+    if (beforeCommit) await beforeCommit(info, req);
+    info.sha256 = await sha256File(dataPath(info.id));
+    info.blob = await blobs.put(info.sha256, () => fs.createReadStream(dataPath(info.id)), info.id);
+    await storeInfo(info);
+    await removeStaged(info.id);
+    console.log(`[tus] Completed upload ${info.id}`);
+    if (onComplete) await onComplete(info, req);
+  };
+
+  /**
+   * Finishes an upload without receiving its bytes, using content that is already stored. Goes
+   * through the same steps as a transferred upload, so it becomes the file's next version alike.
+   * @param {Object} upload
+   * @param {string} upload.id - The file record ID
+   * @param {number} upload.length - Size of the content
+   * @param {Object.<string, string>} upload.metadata - As sent when creating an upload
+   * @param {string} upload.blob - Key of the stored content
+   * @param {string} upload.sha256 - Its digest
+   * @param {boolean} [upload.staged=false] - Only finish it while an upload of the file is staged,
+   *   for clients that have started sending the bytes: if that upload has finished meanwhile, it
+   *   stored the content already
+   * @param {express.Request} req - The request asking for it
+   * @returns {Promise<Object|null>} The upload info, or null if the content is gone, the upload
+   *   is busy receiving bytes or the staged upload is gone
+   */
+  const linkUpload = async ({ id, length, metadata, blob, sha256, staged = false }, req) => {
+    if (locked.has(id)) return null;
+    if (staged && !(await fsp.stat(infoPath(id)).catch(() => null))) return null;
+    const held = (await readJson(storage, `${id}.json`))?.blob === blob;
+    if (!(await blobs.addRef(blob, id))) return null;
+
+    const info = {
+      id,
+      length,
+      metadata,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      sha256,
+      blob,
+      deduplicated: true,
+    };
+    try {
+      if (beforeCommit) await beforeCommit(info, req);
+      await storeInfo(info);
+    } catch (err) {
+      if (!held) await blobs.release(blob, id);
+      throw err;
+    }
+    // Bytes sent for an earlier attempt are not needed anymore
+    await removeStaged(id);
+    console.log(`[tus] Completed upload ${id} with stored content ${blob}`);
+    if (onComplete) await onComplete(info, req);
+    return info;
+  };
+
+  // Deletes incomplete uploads that have not been touched within the expiry window
+  const sweepExpired = async () => {
+    const entries = await fsp.readdir(stagingDir).catch(() => []);
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
+      const info = await readInfo(entry.slice(0, -'.json'.length));
+      if (info && isExpired(info)) {
+        console.log(`[tus] Removing expired upload ${info.id}`);
+        await removeStaged(info.id);
+      }
+    }
+  };
+  setInterval(sweepExpired, EXPIRY_SWEEP_INTERVAL_MS).unref();
+
+  router.use((req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+    if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+      res.set('Tus-Version', TUS_VERSION);
+      return res.status(412).end();
+    }
+    next();
+  });
+
+  // Looks up the upload addressed by `:id`, answering 404/410 when it cannot be used
+  const loadUpload = async (req, res, next) => {
+    const { id } = req.params;
+    const info = VALID_ID.test(id) ? await readInfo(id) : null;
+    if (!info) return res.status(404).end();
+    if (isExpired(info)) {
+      await removeStaged(id);
+      return res.status(410).end();
+    }
+    req.upload = info;
+    next();
+  };
+
+  // Server capabilities
+  router.options('/', (req, res) => {
+    res.set({
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS.join(','),
+    });
+    res.status(204).end();
+  });
+
+  // Creation: registers a new upload for a file record, replacing any earlier one
+  router.post('/', async (req, res) => {
+    const length = Number(req.get('Upload-Length'));
+    if (!Number.isSafeInteger(length) || length < 0) {
+      return res.status(400).send('Upload-Length is required');
+    }
+
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+    const id = metadata.fileId;
+    if (!id || !VALID_ID.test(id)) {
+      return res.status(400).send('Upload-Metadata must contain a valid fileId');
+    }
+    if (locked.has(id)) return res.status(423).end();
+
+    const now = new Date();
+    const info = {
+      id,
+      length,
+      metadata,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + UPLOAD_EXPIRY_MS).toISOString(),
+      completedAt: null,
+    };
+    await fsp.writeFile(dataPath(id), '');
+    await writeInfo(info);
+    console.log(`[tus] Created upload ${id} (${length} bytes)`);
+    if (length === 0) await commitUpload(info, req);
+
+    res.set({
+      Location: `${req.protocol}://${req.get('host')}${req.baseUrl}/${id}`,
+      'Upload-Expires': new Date(info.expiresAt).toUTCString(),
+    });
+    res.status(201).end();
+  });
+
+  // Offset lookup used by clients to resume
+  router.head('/:id', loadUpload, async (req, res) => {
+    const info = req.upload;
+    const stored = info.completedAt || locked.has(info.id);
+    if (!stored && info.length > 0 && (await currentOffset(info)) === info.length) {
+      // Every byte arrived but storing them failed; try again before reporting it complete
+      await commitUpload(info, req);
+    }
+    res.set({
+      'Upload-Offset': String(await currentOffset(info)),
+      'Upload-Length': String(info.length),
+      'Upload-Metadata': serializeMetadata(info.metadata),
+      'Cache-Control': 'no-store',
+    });
+    if (!info.completedAt) res.set('Upload-Expires', new Date(info.expiresAt).toUTCString());
+    res.status(200).end();
+  });
+
+  // Appends a chunk at the current offset
+  router.patch('/:id', loadUpload, async (req, res) => {
+    const info = req.upload;
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).end();
+    }
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) return res.status(400).end();
+    if (locked.has(info.id)) return res.status(423).end();
+
+    locked.add(info.id);
+    try {
+      const start = await currentOffset(info);
+      if (offset !== start || info.completedAt) {
+        res.set('Upload-Offset', String(start));
+        return res.status(409).end();
+      }
+
+      let received = 0;
+      const limit = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (start + received > info.length) {
+            return callback(Object.assign(new Error('Upload exceeds its length'), { status: 413 }));
+          }
+          callback(null, chunk);
+        },
+      });
+
+      try {
+        await pipeline(req, limit, fs.createWriteStream(dataPath(info.id), { flags: 'a' }));
+      } catch (err) {
+        if (err.status === 413) return res.status(413).end();
+        // A dropped connection keeps whatever was flushed; the client resumes from the new offset
+        console.warn(`[tus] PATCH ${info.id} interrupted: ${err.message}`);
+        if (req.destroyed) return;
+      }
+
+      const newOffset = await currentOffset(info);
+      if (newOffset === info.length) {
+        await commitUpload(info, req);
+      } else {
+        info.expiresAt = new Date(Date.now() + UPLOAD_EXPIRY_MS).toISOString();
+        res.set('Upload-Expires', new Date(info.expiresAt).toUTCString());
+        await writeInfo(info);
+      }
+
+      res.set('Upload-Offset', String(newOffset));
+      res.status(204).end();
+    } finally {
+      locked.delete(info.id);
+    }
+  });
+
+  // Termination: discards an unfinished upload and its bytes, keeping what an earlier, finished
+  // upload stored under the same ID. Finished uploads are file contents by then, deleted only by
+  // purging the file from the trash.
+  router.delete('/:id', loadUpload, async (req, res) => {
+    if (locked.has(req.upload.id)) return res.status(423).end();
+    if (req.upload.completedAt) {
+      return res.status(409).send('The upload is complete; delete the file instead');
+    }
+    await removeStaged(req.upload.id);
+    console.log(`[tus] Terminated upload ${req.upload.id}`);
+    res.status(204).end();
+  });
+
+  return { router, removeUpload, linkUpload };
+}
+
+module.exports = { createTusRouter, parseMetadata, VALID_ID };
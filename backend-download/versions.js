@@ -0,0 +1,217 @@
+const express = require('express');
+const { readJson, writeJson } = require('./adapters');
+
+// Version numbers in URLs
+const VALID_VERSION = /^[1-9]\d*$/;
+
+/**
+ * @typedef {Object} FileVersion
+ * @property {number} version - The version number, starting at 1
+ * @property {number} size - Size in bytes
+ * @property {string} type - MIME type of the content
+ * @property {string} uploaded - When it was uploaded (ISO date)
+ * @property {{id: string, email: string}|null} uploadedBy - Who uploaded it
+ * @property {string|null} sha256 - Hex SHA-256 of the content, when it was known
+ * @property {number|null} restoredFrom - The version it was a restore of, if any
+ */
+
+/**
+ * Storage key of an earlier version of a file. The dot keeps it apart from upload IDs, which
+ * cannot contain one.
+ * @param {string} id - The file record ID
+ * @param {number|string} version - The version number
+ * @returns {string}
+ */
+const versionKey = (id, version) => `${id}.v${version}`;
+
+/**
+ * Creates the version history of files.
+ *
+ * The upload info of the current content of a file is stored under its record ID, as before. When
+ * a finished upload (or a restore) replaces it, the current info is first copied to `<id>.v<n>`,
+ * taking a reference to the same blob (see blobs.js), and the file record gets a matching entry in
+ * its `versions` list. Content stored before blobs existed is copied along instead. The record itself
+ * always describes the current version (`version`, `size`, `type`, `uploaded`, `uploadedBy`,
+ * `sha256`); `versions` only holds the earlier ones, oldest first.
+ *
+ * Restoring an earlier version copies it back as a new version, so the history only ever grows.
+ *
+ * @param {Object} options
+ * @param {string} options.jsonServerUrl - Base URL of json-server
+ * @param {import('./adapters').StorageAdapter} options.storage - Where file contents are kept
+ * @param {ReturnType<import('./blobs').createBlobStore>} options.blobs - Contents by digest
+ * @param {express.RequestHandler} options.requireAuth - Authentication middleware
+ * @param {ReturnType<import('./access').createCaseAccess>} options.access - Case access lookups
+ * @param {ReturnType<import('./audit').createAudit>} options.audit - The audit log
+ * @param {function(string): void} [options.onRestore] - Called with the file ID after a restore
+ *   replaced its content
+ */
+function createVersions({ jsonServerUrl, storage, blobs, requireAuth, access, audit, onRestore }) {
+  const router = express.Router({ mergeParams: true });
+
+  const request = async (resourcePath, options = {}) => {
+    const response = await fetch(`${jsonServerUrl}${resourcePath}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+      body: options.body && JSON.stringify(options.body),
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`${resourcePath} failed with ${response.status}`);
+    return await response.json();
+  };
+
+  const getFile = id => request(`/files/${encodeURIComponent(id)}`);
+  const updateFile = (id, changes) =>
+    request(`/files/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes });
+
+  const copyBlob = async (from, to) => {
+    await storage.write(to, await storage.read(from));
+  };
+
+  // Makes `to` hold the same content as the info `from`: another reference to its blob, or a copy
+  // of content stored before blobs existed
+  const shareContent = async (info, from, to) => {
+    if (info.blob) await blobs.addRef(info.blob, to);
+    else await copyBlob(from, to);
+  };
+
+  // Whether a file has finished content stored, i.e. a current version to keep
+  const hasContent = async id => {
+    const info = await readJson(storage, `${id}.json`);
+    return Boolean(info && info.completedAt && (await storage.stat(info.blob || id)));
+  };
+
+  /**
+   * Copies the current content of a file to its version key and appends it to the history.
+   * @param {Object} file - The file record
+   * @returns {Promise<FileVersion[]>} The history including the archived version
+   */
+  const archiveCurrent = async file => {
+    const version = file.version || 1;
+    const info = await readJson(storage, `${file.id}.json`);
+    await shareContent(info, file.id, versionKey(file.id, version));
+    await writeJson(storage, `${versionKey(file.id, version)}.json`, { ...info, version });
+
+    const entry = {
+      version,
+      size: file.size,
+      type: file.type,
+      uploaded: file.uploaded,
+      uploadedBy: file.uploadedBy || null,
+      sha256: file.sha256 || null,
+      restoredFrom: file.restoredFrom ?? null,
+    };
+    const versions = [...(file.versions || []), entry];
+    await updateFile(file.id, { versions });
+    console.log(`[versions] Archived version ${version} of file ${file.id}`);
+    return versions;
+  };
+
+  /**
+   * Keeps the current content of a file before a finished upload replaces it, and numbers the
+   * upload as the next version. Called by the TUS router before it stores an upload.
+   * @param {Object} info - The TUS upload info; gets its `version` set
+   * @returns {Promise<void>}
+   */
+  const beforeUploadCommit = async info => {
+    const file = await getFile(info.id);
+    if (!file) return;
+    if (await hasContent(info.id)) {
+      await archiveCurrent(file);
+      info.version = (file.version || 1) + 1;
+    } else {
+      info.version = file.version || 1;
+    }
+  };
+
+  /**
+   * Makes a stored upload the current version of its file record.
+   * @param {Object} info - The TUS upload info
+   * @param {{id: string, email: string}} user - Who uploaded it
+   * @returns {Promise<void>}
+   */
+  const recordUpload = async (info, user) => {
+    const updated = await updateFile(info.id, {
+      version: info.version || 1,
+      size: info.length,
+      type: info.metadata.filetype || 'application/octet-stream',
+      uploaded: info.completedAt,
+      uploadedBy: { id: user.id, email: user.email },
+      sha256: info.sha256 || null,
+      restoredFrom: null,
+    });
+    if (updated) console.log(`[versions] File ${info.id} is now at version ${updated.version}`);
+  };
+
+  /**
+   * Deletes the stored earlier versions of a file, releasing their blobs. Called before the file
+   * record is deleted, whose version number tells which version keys there can be.
+   * @param {string} id - The file record ID
+   * @returns {Promise<void>}
+   */
+  const removeVersions = async id => {
+    const file = await getFile(id);
+    if (!file) return;
+    // Including the current version, which is archived before the upload replacing it is recorded
+    for (let version = 1; version <= (file.version || 1); version++) {
+      const key = versionKey(id, version);
+      const info = await readJson(storage, `${key}.json`);
+      if (info && info.blob) await blobs.release(info.blob, key);
+      await storage.delete(key);
+      await storage.delete(`${key}.json`);
+    }
+  };
+
+  // Makes an earlier version the current one again, as a new version
+  router.post(
+    '/:version/restore',
+    requireAuth,
+    access.requireFilePermission('file:upload', req => req.params.id),
+    async (req, res) => {
+      const { id, version } = req.params;
+      if (!VALID_VERSION.test(version)) return res.status(404).json({ message: 'Not found' });
+
+      try {
+        const file = await getFile(id);
+        const entry = file && (file.versions || []).find(item => item.version === Number(version));
+        const info = entry && (await readJson(storage, `${versionKey(id, version)}.json`));
+        if (!info) return res.status(404).json({ message: 'Version not found' });
+
+        await archiveCurrent(file);
+        const current = (file.version || 1) + 1;
+        const previous = await readJson(storage, `${id}.json`);
+        const restoredInfo = { ...info, version: current, completedAt: new Date().toISOString() };
+        await shareContent(info, versionKey(id, version), id);
+        await writeJson(storage, `${id}.json`, restoredInfo);
+        await blobs.releaseReplaced(id, previous, restoredInfo);
+
+        const restored = await updateFile(id, {
+          version: current,
+          size: entry.size,
+          type: entry.type,
+          uploaded: new Date().toISOString(),
+          uploadedBy: { id: req.user.id, email: req.user.email },
+          sha256: entry.sha256,
+          restoredFrom: entry.version,
+        });
+        console.log(`[versions] ${req.user.email} restored version ${version} of file ${id}`);
+        audit.record(req.user, {
+          action: 'restore',
+          entity: 'file',
+          entityId: id,
+          entityName: file.name,
+          details: { fromVersion: entry.version, version: current },
+        });
+        if (onRestore) onRestore(id);
+        res.json(restored);
+      } catch (err) {
+        console.error(`[versions] Restoring version ${version} of ${id} failed: ${err.message}`);
+        res.status(502).json({ message: 'Could not restore the version' });
+      }
+    }
+  );
+
+  return { router, beforeUploadCommit, recordUpload, removeVersions };
+}
+
+module.exports = { createVersions, versionKey, VALID_VERSION };
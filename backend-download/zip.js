@@ -0,0 +1,329 @@
+const { Readable } = require('stream');
+const zlib = require('zlib');
+
+// Record signatures and sizes (PKWARE APPNOTE 6.3.10)
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const ZIP64_END = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const ZIP64_END_SIZE = 56;
+const ZIP64_LOCATOR_SIZE = 20;
+const END_SIZE = 22;
+
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+// Entries have a data descriptor (bit 3) and UTF-8 names (bit 11)
+const FLAGS = 0x0808;
+const STORED = 0;
+// Made by Unix, so the external attributes below are Unix permissions (a plain file, rw-r--r--)
+const MADE_BY_UNIX = 3 << 8;
+const FILE_ATTRIBUTES = 0o100644 << 16;
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} key - Storage key of the content
+ * @property {string} name - Path of the file inside the archive
+ * @property {number} size - Size in bytes
+ * @property {Date} modified - Modification time stored in the archive
+ */
+
+// CRC-32 lookup table (polynomial 0xedb88320), for Node versions without `zlib.crc32`
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Updates a CRC-32 with more data. Uses `zlib.crc32` where Node has it (20.15 and 22.2 onwards).
+ * @param {Buffer} data
+ * @param {number} [value=0] - The CRC-32 of the data before
+ * @returns {number}
+ */
+const crc32 =
+  zlib.crc32 ||
+  ((data, value = 0) => {
+    let c = ~value;
+    for (let i = 0; i < data.length; i++) c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+    return ~c >>> 0;
+  });
+
+// Writes a size or offset as a 64-bit field; numbers are exact up to 2^53, far beyond any file
+function writeUInt64LE(buffer, value, offset) {
+  buffer.writeUInt32LE(value % 0x100000000, offset);
+  buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4);
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields of ZIP headers (UTC, so an archive is the
+ * same whatever the server's time zone).
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(date) {
+  const year = Math.min(Math.max(date.getUTCFullYear(), 1980), 2107);
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+  };
+}
+
+/**
+ * Lays out a ZIP archive of stored (uncompressed) files. Since nothing is compressed, the offset
+ * of every byte is known before any content is read, so any byte range of the archive can be
+ * produced on its own and an interrupted download can resume where it stopped.
+ *
+ * Entries whose size or offset does not fit in 32 bits use ZIP64 extra fields, and the archive
+ * gets ZIP64 end records when its directory does, so archives may exceed 4 GB and 65535 files.
+ *
+ * @param {ArchiveEntry[]} entries - The files, in archive order
+ * @returns {{entries: Object[], centralOffset: number, centralSize: number, zip64: boolean,
+ *   size: number}} The layout; `size` is the length of the archive in bytes
+ */
+function planArchive(entries) {
+  let offset = 0;
+  const planned = entries.map(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const zip64 = entry.size >= MAX_UINT32 || offset >= MAX_UINT32;
+    const headerOffset = offset;
+    const dataOffset = headerOffset + LOCAL_HEADER_SIZE + name.length + (zip64 ? 20 : 0);
+    const descriptorOffset = dataOffset + entry.size;
+    const descriptorSize = zip64 ? 24 : 16;
+    offset = descriptorOffset + descriptorSize;
+    return { ...entry, nameBytes: name, zip64, headerOffset, dataOffset, descriptorOffset };
+  });
+
+  const centralOffset = offset;
+  const centralSize = planned.reduce(
+    (total, entry) => total + CENTRAL_HEADER_SIZE + entry.nameBytes.length + (entry.zip64 ? 28 : 0),
+    0
+  );
+  const zip64 =
+    planned.length >= MAX_UINT16 ||
+    centralOffset >= MAX_UINT32 ||
+    centralSize >= MAX_UINT32 ||
+    planned.some(entry => entry.zip64);
+  const endSize = (zip64 ? ZIP64_END_SIZE + ZIP64_LOCATOR_SIZE : 0) + END_SIZE;
+
+  return {
+    entries: planned,
+    centralOffset,
+    centralSize,
+    zip64,
+    size: centralOffset + centralSize + endSize,
+  };
+}
+
+// The local header of an entry. CRC and sizes follow the content in its data descriptor.
+function localHeader(entry) {
+  const { time, date } = dosDateTime(entry.modified);
+  const extraSize = entry.zip64 ? 20 : 0;
+  const header = Buffer.alloc(LOCAL_HEADER_SIZE + entry.nameBytes.length + extraSize);
+  header.writeUInt32LE(LOCAL_HEADER, 0);
+  header.writeUInt16LE(entry.zip64 ? 45 : 20, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(STORED, 8);
+  header.writeUInt16LE(time, 10);
+  header.writeUInt16LE(date, 12);
+  // CRC (14) and sizes (18, 22) stay zero, or 0xffffffff pointing at the ZIP64 field
+  if (entry.zip64) {
+    header.writeUInt32LE(MAX_UINT32, 18);
+    header.writeUInt32LE(MAX_UINT32, 22);
+  }
+  header.writeUInt16LE(entry.nameBytes.length, 26);
+  header.writeUInt16LE(extraSize, 28);
+  entry.nameBytes.copy(header, LOCAL_HEADER_SIZE);
+  if (entry.zip64) {
+    // ZIP64 extended information with both sizes zero, as the descriptor carries them
+    const extra = LOCAL_HEADER_SIZE + entry.nameBytes.length;
+    header.writeUInt16LE(0x0001, extra);
+    header.writeUInt16LE(16, extra + 2);
+  }
+  return header;
+}
+
+function dataDescriptor(entry, crc) {
+  const descriptor = Buffer.alloc(entry.zip64 ? 24 : 16);
+  descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  if (entry.zip64) {
+    writeUInt64LE(descriptor, entry.size, 8);
+    writeUInt64LE(descriptor, entry.size, 16);
+  } else {
+    descriptor.writeUInt32LE(entry.size, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+  }
+  return descriptor;
+}
+
+// The central directory and end records, which need the CRC of every entry
+function centralDirectory(plan, crcs) {
+  const parts = plan.entries.map((entry, index) => {
+    const { time, date } = dosDateTime(entry.modified);
+    const extraSize = entry.zip64 ? 28 : 0;
+    const header = Buffer.alloc(CENTRAL_HEADER_SIZE + entry.nameBytes.length + extraSize);
+    header.writeUInt32LE(CENTRAL_HEADER, 0);
+    header.writeUInt16LE(MADE_BY_UNIX | (entry.zip64 ? 45 : 20), 4);
+    header.writeUInt16LE(entry.zip64 ? 45 : 20, 6);
+    header.writeUInt16LE(FLAGS, 8);
+    header.writeUInt16LE(STORED, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crcs[index], 16);
+    header.writeUInt32LE(entry.zip64 ? MAX_UINT32 : entry.size, 20);
+    header.writeUInt32LE(entry.zip64 ? MAX_UINT32 : entry.size, 24);
+    header.writeUInt16LE(entry.nameBytes.length, 28);
+    header.writeUInt16LE(extraSize, 30);
+    // Comment length, disk number and internal attributes (32-37) stay zero
+    header.writeUInt32LE(FILE_ATTRIBUTES >>> 0, 38);
+    header.writeUInt32LE(entry.zip64 ? MAX_UINT32 : entry.headerOffset, 42);
+    entry.nameBytes.copy(header, CENTRAL_HEADER_SIZE);
+    if (entry.zip64) {
+      const extra = CENTRAL_HEADER_SIZE + entry.nameBytes.length;
+      header.writeUInt16LE(0x0001, extra);
+      header.writeUInt16LE(24, extra + 2);
+      writeUInt64LE(header, entry.size, extra + 4);
+      writeUInt64LE(header, entry.size, extra + 12);
+      writeUInt64LE(header, entry.headerOffset, extra + 20);
+    }
+    return header;
+  });
+
+  const count = plan.entries.length;
+  const zip64End = plan.centralOffset + plan.centralSize;
+  if (plan.zip64) {
+    const record = Buffer.alloc(ZIP64_END_SIZE + ZIP64_LOCATOR_SIZE);
+    record.writeUInt32LE(ZIP64_END, 0);
+    writeUInt64LE(record, ZIP64_END_SIZE - 12, 4);
+    record.writeUInt16LE(MADE_BY_UNIX | 45, 12);
+    record.writeUInt16LE(45, 14);
+    // Disk numbers (16, 20) stay zero
+    writeUInt64LE(record, count, 24);
+    writeUInt64LE(record, count, 32);
+    writeUInt64LE(record, plan.centralSize, 40);
+    writeUInt64LE(record, plan.centralOffset, 48);
+    record.writeUInt32LE(ZIP64_LOCATOR, ZIP64_END_SIZE);
+    writeUInt64LE(record, zip64End, ZIP64_END_SIZE + 8);
+    record.writeUInt32LE(1, ZIP64_END_SIZE + 16);
+    parts.push(record);
+  }
+
+  const end = Buffer.alloc(END_SIZE);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(Math.min(count, MAX_UINT16), 8);
+  end.writeUInt16LE(Math.min(count, MAX_UINT16), 10);
+  end.writeUInt32LE(Math.min(plan.centralSize, MAX_UINT32), 12);
+  end.writeUInt32LE(Math.min(plan.centralOffset, MAX_UINT32), 16);
+  parts.push(end);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Creates the producer of archive bytes, reading file contents from storage.
+ *
+ * The CRC-32 of each file is needed in its data descriptor and in the central directory. It is
+ * computed while the file's content is sent, carried over from one range request to the next as
+ * long as they continue where the previous one stopped, and cached by storage key, size and
+ * modification time. A range that needs a CRC nobody has computed yet reads that file once more.
+ *
+ * @param {import('./adapters').StorageAdapter} storage - Where file contents are kept
+ */
+function createArchiver(storage) {
+  // By storage key: {size, modified, crc, offset}; `offset` < size while only a prefix is hashed
+  const crcs = new Map();
+  const pending = new Map();
+
+  const stateOf = entry => {
+    const modified = entry.modified.getTime();
+    const state = crcs.get(entry.key);
+    if (state && state.size === entry.size && state.modified === modified) return state;
+    const fresh = { size: entry.size, modified, crc: 0, offset: 0 };
+    crcs.set(entry.key, fresh);
+    return fresh;
+  };
+
+  // Feeds content read at `position` into the running CRC, if it continues it
+  const track = (entry, position, chunk) => {
+    const state = stateOf(entry);
+    if (state.offset !== position) return;
+    state.crc = crc32(chunk, state.crc);
+    state.offset += chunk.length;
+  };
+
+  // The CRC of a whole file, reading whatever part of it has not been hashed yet
+  const crcOf = async entry => {
+    const state = stateOf(entry);
+    if (state.offset === entry.size) return state.crc;
+    if (!pending.has(entry.key)) {
+      const done = (async () => {
+        // Continues from whatever prefix has been hashed already
+        let crc = state.crc;
+        const content = await storage.read(entry.key, { start: state.offset, end: entry.size - 1 });
+        for await (const chunk of content) crc = crc32(chunk, crc);
+        Object.assign(state, { crc, offset: entry.size });
+        return crc;
+      })().finally(() => pending.delete(entry.key));
+      pending.set(entry.key, done);
+    }
+    return await pending.get(entry.key);
+  };
+
+  /**
+   * Produces the inclusive byte range `start`-`end` of an archive.
+   * @param {ReturnType<typeof planArchive>} plan - The archive layout
+   * @param {number} start - First byte
+   * @param {number} end - Last byte
+   * @returns {import('stream').Readable}
+   */
+  const read = (plan, start, end) => {
+    async function* generate() {
+      // Yields the part of a piece at `offset` that falls within the range
+      const clip = (buffer, offset) => {
+        const from = Math.max(start - offset, 0);
+        const to = Math.min(end - offset + 1, buffer.length);
+        return from < to ? buffer.subarray(from, to) : null;
+      };
+      const overlaps = (offset, length) => offset <= end && offset + length > start;
+
+      for (const entry of plan.entries) {
+        if (entry.headerOffset > end) return;
+        if (entry.descriptorOffset + 24 < start) continue;
+
+        const header = localHeader(entry);
+        if (overlaps(entry.headerOffset, header.length)) yield clip(header, entry.headerOffset);
+
+        if (entry.size > 0 && overlaps(entry.dataOffset, entry.size)) {
+          const from = Math.max(start - entry.dataOffset, 0);
+          const to = Math.min(end - entry.dataOffset, entry.size - 1);
+          let position = from;
+          for await (const chunk of await storage.read(entry.key, { start: from, end: to })) {
+            track(entry, position, chunk);
+            position += chunk.length;
+            yield chunk;
+          }
+        }
+
+        const descriptorSize = entry.zip64 ? 24 : 16;
+        if (overlaps(entry.descriptorOffset, descriptorSize)) {
+          yield clip(dataDescriptor(entry, await crcOf(entry)), entry.descriptorOffset);
+        }
+      }
+
+      if (end >= plan.centralOffset) {
+        const values = [];
+        for (const entry of plan.entries) values.push(await crcOf(entry));
+        yield clip(centralDirectory(plan, values), plan.centralOffset);
+      }
+    }
+    return Readable.from(generate());
+  };
+
+  return { read };
+}
+
+module.exports = { planArchive, createArchiver };
@@ -1,27 +1,33 @@
-const BASE_URL = 'http://localhost:3000'; // JSON Server
+import TokenService from '@/service/TokenService';
+
+const BASE_URL = 'http://localhost:4000/api'; // File server, forwarding to JSON Server
 
 /**
  * Centered API class for handling all fetch-based network requests.
- * Standardizes headers, body serialization, and response parsing.
+ * Standardizes headers, body serialization, authentication, and response parsing.
  */
 class ApiService {
   /**
    * Core request method that wraps the fetch API.
+   * Attaches the access token and transparently refreshes it once if the server answers 401.
    * @param {string} endpoint - The API endpoint relative to the BASE_URL
-   * @param {RequestInit} [options={}] - Standard fetch options
-   * @returns {Promise<{data: any}>} The parsed response data
+   * @param {RequestInit & {skipAuth?: boolean}} [options={}] - Standard fetch options, plus
+   *   `skipAuth` for requests made without a session (e.g. login)
+   * @returns {Promise<{data: any, totalCount?: number}>} The parsed response data, plus the total
+   *   number of matching records for paginated lists
    * @throws {Error} If the response is not OK or parsing fails
    */
   async request(endpoint, options = {}) {
     const url = `${BASE_URL}${endpoint}`;
+    const { skipAuth, ...fetchOptions } = options;
 
     const headers = {
       'Content-Type': 'application/json',
-      ...options.headers,
+      ...fetchOptions.headers,
     };
 
     const config = {
-      ...options,
+      ...fetchOptions,
       headers,
     };
 
@@ -30,7 +36,9 @@ class ApiService {
     }
 
     try {
-      const response = await fetch(url, config);
+      const response = skipAuth
+        ? await fetch(url, config)
+        : await TokenService.authorizedFetch(url, config);
 
       // Parse JSON if possible. Handles 204 No Content gracefully.
       const contentType = response.headers.get('content-type');
@@ -45,9 +53,9 @@ class ApiService {
         throw new Error(data?.message || data || `Request failed with status ${response.status}`);
       }
 
-      // Extract the nested data array if json-server wraps it, just in case
+      // Paginated lists come wrapped, with the number of matching records in `items`
       if (data && typeof data === 'object' && !Array.isArray(data) && Array.isArray(data.data)) {
-        data = data.data;
+        return { data: data.data, totalCount: data.items };
       }
 
       return {
@@ -76,10 +84,11 @@ class ApiService {
    * Performs a POST request.
    * @param {string} endpoint - The endpoint to target
    * @param {Object} body - the JSON payload
+   * @param {Object} [options={}] - Extra request options (e.g. `skipAuth`)
    * @returns {Promise<{data: any}>}
    */
-  post(endpoint, body) {
-    return this.request(endpoint, { method: 'POST', body });
+  post(endpoint, body, options = {}) {
+    return this.request(endpoint, { ...options, method: 'POST', body });
   }
 
   /**
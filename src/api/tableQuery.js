@@ -0,0 +1,136 @@
+import { FilterMatchMode } from '@primevue/core/api';
+
+/** Starts of days, so date filters cover whole days in the user's time zone */
+const startOfDay = date => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const nextDay = date => {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() + 1);
+  return day;
+};
+
+const isEmpty = value =>
+  value === null ||
+  value === undefined ||
+  value === '' ||
+  (Array.isArray(value) && value.every(item => item === null || item === undefined));
+
+/**
+ * Turns one filter constraint into query parameters for the file server's list endpoints
+ * (json-server operators plus `startsWith`/`contains`).
+ * @param {Object} params - The parameters being built; changed in place
+ * @param {string} field - The filtered field
+ * @param {{value: *, matchMode: string}} constraint - The PrimeVue filter constraint
+ * @param {number} scale - Multiplier applied to numeric values (e.g. MB to bytes)
+ */
+const addConstraint = (params, field, { value, matchMode }, scale) => {
+  if (isEmpty(value)) return;
+  const toQuery = item => (item instanceof Date ? item.toISOString() : item * scale);
+
+  switch (matchMode) {
+    case FilterMatchMode.STARTS_WITH:
+      params[`${field}:startsWith`] = value;
+      break;
+    case FilterMatchMode.CONTAINS:
+      params[`${field}:contains`] = value;
+      break;
+    case FilterMatchMode.EQUALS:
+      params[`${field}:eq`] = value;
+      break;
+    case FilterMatchMode.IN:
+      params[`${field}:in`] = value.join(',');
+      break;
+    case FilterMatchMode.LESS_THAN:
+      params[`${field}:lt`] = toQuery(value);
+      break;
+    case FilterMatchMode.LESS_THAN_OR_EQUAL_TO:
+      params[`${field}:lte`] = toQuery(value);
+      break;
+    case FilterMatchMode.GREATER_THAN:
+      params[`${field}:gt`] = toQuery(value);
+      break;
+    case FilterMatchMode.GREATER_THAN_OR_EQUAL_TO:
+      params[`${field}:gte`] = toQuery(value);
+      break;
+    case FilterMatchMode.BETWEEN: {
+      // Either bound may be left open; date ranges include the whole last day
+      const [from, to] = value;
+      const isDate = from instanceof Date || to instanceof Date;
+      if (from !== null && from !== undefined) {
+        params[`${field}:gte`] = isDate ? startOfDay(from).toISOString() : toQuery(from);
+      }
+      if (to !== null && to !== undefined) {
+        if (isDate) params[`${field}:lt`] = nextDay(to).toISOString();
+        else params[`${field}:lte`] = toQuery(to);
+      }
+      break;
+    }
+    case FilterMatchMode.DATE_IS:
+      params[`${field}:gte`] = startOfDay(value).toISOString();
+      params[`${field}:lt`] = nextDay(value).toISOString();
+      break;
+    case FilterMatchMode.DATE_BEFORE:
+      params[`${field}:lt`] = startOfDay(value).toISOString();
+      break;
+    case FilterMatchMode.DATE_AFTER:
+      params[`${field}:gte`] = nextDay(value).toISOString();
+      break;
+    default:
+      console.warn(`[tableQuery] Unsupported filter ${matchMode} on ${field}`);
+  }
+};
+
+/**
+ * Maps a PrimeVue DataTable lazy-load event to query parameters for the list endpoints, so
+ * paging, sorting and filtering happen on the server.
+ *
+ * Column filters may be a single `{ value, matchMode }` or `{ operator, constraints }`; the
+ * constraints of a column are always combined with AND, and a later one setting the same bound
+ * replaces an earlier one. Dates match whole days and are sent as ISO strings.
+ *
+ * @param {Object} event - The table event (`first`, `rows`, `sortField`, `sortOrder`, `filters`)
+ * @param {Object} [options]
+ * @param {string} [options.defaultSort='-created'] - Sort used when the table has none
+ * @param {string} [options.searchField='name'] - Field matched by the global search
+ * @param {Object.<string, number>} [options.scale={}] - Multiplier for the numeric filter values
+ *   of a field, e.g. `{ size: 1048576 }` when sizes are entered in MB
+ * @returns {Object} A parameters object for the API request
+ */
+export function mapTableEvent(
+  event,
+  { defaultSort = '-created', searchField = 'name', scale = {} } = {}
+) {
+  const params = {};
+
+  // Pagination
+  if (event.rows) {
+    params._per_page = event.rows;
+    params._page = Math.floor((event.first || 0) / event.rows) + 1;
+  }
+
+  // Sorting
+  if (event.sortField) {
+    params._sort = event.sortOrder === -1 ? `-${event.sortField}` : event.sortField;
+  } else {
+    // Default to returning newest items at the top
+    params._sort = defaultSort;
+  }
+
+  // Filtering
+  for (const [field, filter] of Object.entries(event.filters || {})) {
+    if (!filter) continue;
+    if (field === 'global') {
+      addConstraint(params, searchField, { ...filter, matchMode: FilterMatchMode.CONTAINS }, 1);
+      continue;
+    }
+    for (const constraint of filter.constraints || [filter]) {
+      addConstraint(params, field, constraint, scale[field] || 1);
+    }
+  }
+
+  return params;
+}
@@ -0,0 +1,118 @@
+import { ref } from 'vue';
+
+/**
+ * @typedef {Object} PickedFile
+ * @property {File} file - The file
+ * @property {string} path - Folder of the file relative to what was picked (e.g. `photos/2024`),
+ *   or '' for files picked on their own
+ */
+
+/**
+ * Reads a dropped file, or every file below a dropped folder.
+ * @param {FileSystemEntry} entry - The dropped entry
+ * @param {string} path - Folder path of the entry
+ * @param {PickedFile[]} out - Collects the files found
+ */
+const readEntry = async (entry, path, out) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ file, path });
+    return;
+  }
+  if (!entry.isDirectory) return;
+
+  const folder = path ? `${path}/${entry.name}` : entry.name;
+  const reader = entry.createReader();
+  // Each call returns the next batch of children, and an empty one at the end
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    for (const child of batch) await readEntry(child, folder, out);
+  } while (batch.length);
+};
+
+/**
+ * Lists the files of a drop, descending into dropped folders.
+ * @param {DataTransfer} dataTransfer - The data of the drop event
+ * @returns {Promise<PickedFile[]>}
+ */
+export async function readDroppedFiles(dataTransfer) {
+  // Entries have to be taken before the drop event returns; the list is emptied afterwards
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.() || null);
+
+  // Without entry support only the top-level files are available
+  if (!entries.length || entries.includes(null)) {
+    return Array.from(dataTransfer.files).map(file => ({ file, path: '' }));
+  }
+
+  const files = [];
+  for (const entry of entries) await readEntry(entry, '', files);
+  return files;
+}
+
+/**
+ * Lists the files picked with a file input, which for a folder input (`webkitdirectory`) carry
+ * their path relative to the picked folder.
+ * @param {FileList|File[]} fileList - The picked files
+ * @returns {PickedFile[]}
+ */
+export function readPickedFiles(fileList) {
+  return Array.from(fileList).map(file => ({
+    file,
+    path: (file.webkitRelativePath || '').split('/').slice(0, -1).join('/'),
+  }));
+}
+
+/**
+ * Makes an element a drop target for files and folders. Bind the handlers to the element's
+ * `dragenter`, `dragover`, `dragleave` and `drop` events; `dragging` is true while files are
+ * dragged over it. Drags of anything but files (e.g. text) are left alone.
+ *
+ * @param {function(PickedFile[]): void} onFiles - Called with the dropped files
+ * @param {Object} [options]
+ * @param {function(): boolean} [options.enabled] - Whether drops are accepted right now
+ */
+export function useFileDrop(onFiles, { enabled = () => true } = {}) {
+  const dragging = ref(false);
+  // dragenter and dragleave fire for every child element crossed
+  let depth = 0;
+
+  const accepts = event =>
+    enabled() && Array.from(event.dataTransfer?.types || []).includes('Files');
+
+  const onDragEnter = event => {
+    if (!accepts(event)) return;
+    event.preventDefault();
+    depth++;
+    dragging.value = true;
+  };
+
+  const onDragOver = event => {
+    if (!accepts(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
+
+  const onDragLeave = event => {
+    if (!accepts(event)) return;
+    depth = Math.max(0, depth - 1);
+    if (!depth) dragging.value = false;
+  };
+
+  const onDrop = async event => {
+    if (!accepts(event)) return;
+    event.preventDefault();
+    depth = 0;
+    dragging.value = false;
+    try {
+      const files = await readDroppedFiles(event.dataTransfer);
+      if (files.length) onFiles(files);
+    } catch (e) {
+      console.error('[useFileDrop] Failed to read the dropped files:', e);
+    }
+  };
+
+  return { dragging, onDragEnter, onDragOver, onDragLeave, onDrop };
+}
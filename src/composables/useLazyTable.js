@@ -0,0 +1,102 @@
+import { onUnmounted, ref, watch } from 'vue';
+
+/** Delay after the last keystroke in the global search before the list is reloaded */
+const SEARCH_DELAY = 300;
+
+/**
+ * State and event handlers for a DataTable in lazy mode, where the server pages, sorts and
+ * filters the list. Every change reloads the visible page through `load`.
+ *
+ * Bind `filters` with `v-model:filters`, `first` with `:first`, pass `rows`, `sortField` and
+ * `sortOrder`, and wire `onPage`, `onSort` and `onFilter` to the table's `page`, `sort` and
+ * `filter` events. The global search reloads on its own once the user stops typing.
+ *
+ * @param {function(Object): Promise<void>} load - Loads the page described by a table event
+ * @param {Object} options
+ * @param {function(): Object} options.initFilters - Builds the empty filter model
+ * @param {string} options.sortField - The field sorted by initially
+ * @param {number} [options.rows=10] - Rows per page
+ */
+export function useLazyTable(load, { initFilters, sortField, rows = 10 }) {
+  const filters = ref(initFilters());
+  const first = ref(0);
+  const pageSize = ref(rows);
+  const sort = ref({ sortField, sortOrder: -1 });
+
+  // The search the current list was loaded with, so the watcher ignores programmatic resets
+  let loadedSearch = null;
+  let searchTimer = null;
+
+  /**
+   * Describes the current page, sorting and filters the way the table's events do.
+   * @returns {Object} A table event
+   */
+  const tableEvent = () => ({
+    first: first.value,
+    rows: pageSize.value,
+    ...sort.value,
+    filters: filters.value,
+  });
+
+  /**
+   * Reloads the current page with the current sorting and filters.
+   * @returns {Promise<void>}
+   */
+  const reload = () => {
+    clearTimeout(searchTimer);
+    loadedSearch = filters.value.global?.value || null;
+    return load(tableEvent());
+  };
+
+  const onPage = event => {
+    first.value = event.first;
+    pageSize.value = event.rows;
+    reload();
+  };
+
+  const onSort = event => {
+    first.value = 0;
+    sort.value = { sortField: event.sortField, sortOrder: event.sortOrder };
+    reload();
+  };
+
+  const onFilter = event => {
+    first.value = 0;
+    filters.value = event.filters;
+    reload();
+  };
+
+  const clearFilters = () => {
+    filters.value = initFilters();
+    first.value = 0;
+    reload();
+  };
+
+  watch(
+    () => filters.value.global?.value || null,
+    search => {
+      clearTimeout(searchTimer);
+      if (search === loadedSearch) return;
+      searchTimer = setTimeout(() => {
+        first.value = 0;
+        reload();
+      }, SEARCH_DELAY);
+    }
+  );
+
+  onUnmounted(() => clearTimeout(searchTimer));
+
+  return {
+    filters,
+    first,
+    rows: pageSize,
+    sortField: sort.value.sortField,
+    sortOrder: sort.value.sortOrder,
+    tableEvent,
+    reload,
+    onPage,
+    onSort,
+    onFilter,
+    clearFilters,
+  };
+}
@@ -0,0 +1,35 @@
+import { useAuthStore } from '@/stores/AuthStore';
+import { shallowRef, watchEffect } from 'vue';
+
+/**
+ * `v-can` directive: shows an element only if the current user has the given permission(s).
+ *
+ * Accepts a single permission or an array (all required), e.g. `v-can="'file:delete'"` or
+ * `v-can="['file:upload', 'file:update']"`. For actions within a case, pass the case record too:
+ * `v-can="{ permissions: 'case:share', case: caseRecord }"`; until the case is loaded the element
+ * stays hidden. The element stays in the DOM but is hidden, and updates when the user, their
+ * permissions or the binding change.
+ *
+ * @type {import('vue').Directive<HTMLElement, string|string[]|{permissions: (string|string[]), case: Object|null}>}
+ */
+export const vCan = {
+  mounted(el, binding) {
+    const authStore = useAuthStore();
+    const originalDisplay = el.style.display;
+    el._canBinding = shallowRef(binding.value);
+    el._stopCan = watchEffect(() => {
+      const value = el._canBinding.value;
+      const allowed =
+        typeof value === 'object' && !Array.isArray(value)
+          ? Boolean(value.case) && authStore.can(value.permissions, value.case)
+          : authStore.can(value);
+      el.style.display = allowed ? originalDisplay : 'none';
+    });
+  },
+  updated(el, binding) {
+    el._canBinding.value = binding.value;
+  },
+  unmounted(el) {
+    if (el._stopCan) el._stopCan();
+  },
+};
@@ -1,7 +1,9 @@
 import { createPinia } from 'pinia';
 import { createApp } from 'vue';
 import App from './App.vue';
+import { vCan } from './directives/can';
 import router from './router';
+import { useTransferStore } from './stores/TransferStore';
 
 import Aura from '@primeuix/themes/aura';
 import PrimeVue from 'primevue/config';
@@ -13,7 +15,8 @@ import '@/assets/tailwind.css';
 
 const app = createApp(App);
 
-app.use(createPinia());
+const pinia = createPinia();
+app.use(pinia);
 app.use(router);
 app.use(PrimeVue, {
   theme: {
@@ -25,5 +28,9 @@ app.use(PrimeVue, {
 });
 app.use(ToastService);
 app.use(ConfirmationService);
+app.directive('can', vCan);
 
 app.mount('#app');
+
+// Bring back transfers that were still running when the page was last closed or reloaded
+useTransferStore(pinia).restoreTransfers();
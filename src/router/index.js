@@ -3,6 +3,17 @@ import { createRouter, createWebHistory } from 'vue-router';
 
 import { useAuthStore } from '@/stores/AuthStore';
 
+/**
+ * Returns the in-app path to go to after logging in, ignoring anything that is not a path within
+ * this app (e.g. `//evil.example` or a full URL) so the query cannot redirect elsewhere.
+ * @param {unknown} redirect - The `redirect` query parameter
+ * @returns {string}
+ */
+export const safeRedirect = redirect =>
+  typeof redirect === 'string' && redirect.startsWith('/') && !redirect.startsWith('//')
+    ? redirect
+    : '/cases';
+
 const router = createRouter({
   history: createWebHistory(),
   routes: [
@@ -23,16 +34,30 @@ const router = createRouter({
           path: '/cases',
           name: 'cases',
           component: () => import('@/views/Dashboard.vue'), // Acting as Cases page
+          meta: { permissions: ['case:read'] },
         },
         {
           path: '/cases/:id/collections',
           name: 'collections',
           component: () => import('@/views/CollectionsPage.vue'),
+          meta: { permissions: ['collection:read'] },
         },
         {
           path: '/collections/:id/files',
           name: 'files',
           component: () => import('@/views/FilesPage.vue'),
+          meta: { permissions: ['file:read'] },
+        },
+        {
+          path: '/trash',
+          name: 'trash',
+          component: () => import('@/views/TrashPage.vue'),
+        },
+        {
+          path: '/audit',
+          name: 'audit',
+          component: () => import('@/views/AuditPage.vue'),
+          meta: { permissions: ['audit:read'] },
         },
 
         {
@@ -65,7 +90,7 @@ const router = createRouter({
   ],
 });
 
-router.beforeEach((to, from, next) => {
+router.beforeEach(async (to, from, next) => {
   const authStore = useAuthStore();
   const publicPages = [
     '/',
@@ -77,8 +102,22 @@ router.beforeEach((to, from, next) => {
   ];
   const authRequired = !publicPages.includes(to.path);
 
+  // A reload starts logged out; pick the session back up before deciding
+  await authStore.restoreSession();
+
   if (authRequired && !authStore.isAuthenticated) {
-    return next('/auth/access');
+    // Come back to the requested page after logging in
+    return next({ name: 'login', query: { redirect: to.fullPath } });
+  }
+
+  // Routes list the permissions they need in `meta.permissions` (all required)
+  const permissions = to.matched.flatMap(record => record.meta.permissions || []);
+  if (!authStore.can(permissions)) {
+    return next({ name: 'accessDenied' });
+  }
+
+  if (to.name === 'login' && authStore.isAuthenticated) {
+    return next(safeRedirect(to.query.redirect));
   }
 
   next();
@@ -0,0 +1,34 @@
+import ApiService from '@/api/ApiService';
+import { mapTableEvent } from '@/api/tableQuery';
+
+// Newest entries first; the global search matches the name of the record acted on
+const AUDIT_QUERY = { defaultSort: '-at', searchField: 'entityName' };
+
+/**
+ * Service for reading the audit log from the /audit API endpoint. Entries are written by the
+ * file server for every change to cases, collections and files and every upload and download.
+ */
+class AuditService {
+  /**
+   * Fetches a page of audit entries.
+   * @param {Object} [event={}] - Table event for filtering/sorting/pagination
+   * @returns {Promise<{data: Array, totalCount?: number}>} The entries, and the number of entries
+   *   matching the filters when paginated
+   */
+  async getEntries(event = {}) {
+    return await ApiService.get('/audit', mapTableEvent(event, AUDIT_QUERY));
+  }
+
+  /**
+   * Fetches every audit entry matching the filters and sorting of a table event, ignoring its
+   * paging.
+   * @param {Object} [event={}] - Table event for filtering/sorting
+   * @returns {Promise<{data: Array}>} The entries
+   */
+  async getAllEntries(event = {}) {
+    const unpaged = { ...event, first: 0, rows: 0 };
+    return await ApiService.get('/audit', mapTableEvent(unpaged, AUDIT_QUERY));
+  }
+}
+
+export default new AuditService();
@@ -1,4 +1,5 @@
 import ApiService from '@/api/ApiService';
+import TokenService from '@/service/TokenService';
 
 /**
  * Service for handling authentication API calls.
@@ -8,27 +9,37 @@ class AuthService {
    * Logs a user in with their email and password.
    * @param {string} email - The user's email address
    * @param {string} password - The user's password
-   * @returns {Promise<Object>} The response containing user data and token
+   * @returns {Promise<Object>} The response containing the user data
+   * @throws {Error} 'Invalid email or password' if the credentials are rejected
    */
   async login(email, password) {
-    // Using json-server mock API we fetch the user by email and password
-    const response = await ApiService.get('/users', { email, password });
-
-    // If the json-server returned a matching record in the array
-    if (response.data && response.data.length > 0) {
-      return { data: { user: response.data[0] } };
-    }
+    // `credentials` lets the browser store the refresh token cookie set by the response
+    const response = await ApiService.post(
+      '/auth/login',
+      { email, password },
+      { skipAuth: true, credentials: 'include' }
+    );
+    TokenService.setSession(response.data);
+    return { data: { user: response.data.user } };
+  }
 
-    throw new Error('Invalid email or password');
+  /**
+   * Restores the session of a previous page load from the refresh token cookie.
+   * @returns {Promise<Object>} The response containing the user data
+   * @throws {Error} 'SESSION_EXPIRED' if there is no session to restore
+   */
+  async restoreSession() {
+    const { user } = await TokenService.refresh();
+    return { data: { user } };
   }
 
   /**
-   * Logs out the current user.
-   * @returns {Promise<Object>} The response from the server
+   * Logs out the current user, revoking their refresh token on the server.
+   * @returns {Promise<void>}
    */
   async logout() {
-    // json-server has no real sessions, mock the logout process entirely
-    return Promise.resolve();
+    TokenService.clear();
+    await ApiService.post('/auth/logout', null, { skipAuth: true, credentials: 'include' });
   }
 }
 
@@ -0,0 +1,146 @@
+// Longest single sleep while throttled, so limits changed meanwhile take effect quickly
+const MAX_SLEEP = 200;
+
+// Smallest upload chunk used to pace throttled uploads
+const MIN_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Waits for a delay unless the signal is aborted first.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Aborts the wait (pause/cancel)
+ * @returns {Promise<boolean>} false if the wait was aborted
+ */
+const sleep = (ms, signal) =>
+  new Promise(resolve => {
+    if (signal && signal.aborted) return resolve(false);
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Token bucket metering bytes at an adjustable rate, with a burst of up to one second's worth.
+ * Bytes are taken first and paid back over time, so a transfer waits after a piece that put the
+ * bucket into debt. A rate of 0 is no limit.
+ */
+export class RateLimiter {
+  /**
+   * @param {number} [bytesPerSecond=0] - The rate, 0 for no limit
+   */
+  constructor(bytesPerSecond = 0) {
+    this.rate = 0;
+    this.tokens = 0;
+    this.updatedAt = performance.now();
+    this.setRate(bytesPerSecond);
+  }
+
+  /**
+   * Changes the rate. Debt taken at the old rate is paid back at the new one; removing the limit
+   * forgives it.
+   * @param {number} bytesPerSecond - The new rate, 0 for no limit
+   */
+  setRate(bytesPerSecond) {
+    this._refill();
+    this.rate = Math.max(0, bytesPerSecond || 0);
+    this.tokens = this.rate ? Math.min(this.tokens, this.rate) : 0;
+  }
+
+  /**
+   * Takes bytes out of the bucket.
+   * @param {number} bytes
+   */
+  take(bytes) {
+    if (!this.rate) return;
+    this._refill();
+    this.tokens -= bytes;
+  }
+
+  /** @returns {number} How long until the bucket is out of debt, in milliseconds */
+  delay() {
+    if (!this.rate) return 0;
+    this._refill();
+    return this.tokens >= 0 ? 0 : (-this.tokens / this.rate) * 1000;
+  }
+
+  /** @private */
+  _refill() {
+    const now = performance.now();
+    if (this.rate) {
+      this.tokens = Math.min(this.rate, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    }
+    this.updatedAt = now;
+  }
+}
+
+/**
+ * Service pacing transfers to the user's bandwidth limits: one limit shared by all uploads, one
+ * shared by all downloads, and optionally one per transfer. Limits can change at any time and
+ * apply to the next piece of every running transfer.
+ */
+class BandwidthService {
+  constructor() {
+    /** @type {{uploads: RateLimiter, downloads: RateLimiter}} Limits shared by each kind */
+    this._global = { uploads: new RateLimiter(), downloads: new RateLimiter() };
+  }
+
+  /**
+   * Sets the limit shared by all transfers of a kind.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {number} bytesPerSecond - The limit, 0 for none
+   */
+  setLimit(kind, bytesPerSecond) {
+    this._global[kind].setRate(bytesPerSecond);
+  }
+
+  /**
+   * Creates the limit of a single transfer, passed to `throttle` with each of its pieces.
+   * @param {number} [bytesPerSecond=0] - The limit, 0 for none
+   * @returns {RateLimiter}
+   */
+  createLimiter(bytesPerSecond = 0) {
+    return new RateLimiter(bytesPerSecond);
+  }
+
+  /**
+   * Accounts for a piece of a transfer and waits until both the shared limit and the transfer's
+   * own allow more.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {RateLimiter|null|undefined} limiter - The transfer's own limit, if any
+   * @param {number} bytes - Size of the piece
+   * @param {AbortSignal} [signal] - Stops waiting (pause/cancel)
+   * @returns {Promise<boolean>} false if the wait was aborted
+   */
+  async throttle(kind, limiter, bytes, signal) {
+    const limiters = [this._global[kind], limiter].filter(Boolean);
+    limiters.forEach(rateLimiter => rateLimiter.take(bytes));
+    for (;;) {
+      const delay = Math.max(...limiters.map(rateLimiter => rateLimiter.delay()));
+      if (delay <= 0) return true;
+      if (!(await sleep(Math.min(delay, MAX_SLEEP), signal))) return false;
+    }
+  }
+
+  /**
+   * Picks a chunk size that keeps a throttled transfer smooth: about one second's worth at the
+   * strictest limit, so it does not send in long bursts followed by long pauses.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {RateLimiter|null|undefined} limiter - The transfer's own limit, if any
+   * @param {number} maxSize - The chunk size used without limits
+   * @returns {number}
+   */
+  chunkSize(kind, limiter, maxSize) {
+    const rates = [this._global[kind], limiter]
+      .filter(rateLimiter => rateLimiter && rateLimiter.rate)
+      .map(rateLimiter => rateLimiter.rate);
+    if (!rates.length) return maxSize;
+    return Math.min(maxSize, Math.max(MIN_CHUNK_SIZE, Math.floor(Math.min(...rates))));
+  }
+}
+
+export default new BandwidthService();
@@ -1,58 +1,30 @@
 import ApiService from '@/api/ApiService';
+import { mapTableEvent } from '@/api/tableQuery';
 
 /**
  * Service for interacting with the /cases API endpoints.
- * Includes helper logic for mapping PrimeVue event states to query parameters.
  */
 class CaseService {
-  /**
-   * Helper to map PrimeVue TreeTable/DataTable events to json-server query parameters.
-   * Handles pagination, sorting, and global search.
-   * @param {Object} event - The PrimeVue table event object
-   * @returns {Object} A parameters object for the API request
-   * @private
-   */
-  _mapEventToParams(event) {
-    let params = {};
-
-    // Pagination
-    if (event.rows) {
-      params._per_page = event.rows;
-      params._page = event.first / event.rows + 1;
-    }
-
-    // Sorting
-    if (event.sortField) {
-      params._sort = event.sortOrder === -1 ? `-${event.sortField}` : event.sortField;
-    } else {
-      // Default to returning newest created items at the top
-      params._sort = '-created';
-    }
-
-    // Searching / Filtering
-    if (event.filters) {
-      // Global Search over key fields
-      if (event.filters.global) {
-        params.q = event.filters.global; // 'q' is json-server's full-text search
-      }
-
-      // If we implement specific column filters later we can add them here:
-      // if (event.filters.created) { params.created_like = filterData; }
-    }
-
-    return params;
-  }
-
   /**
    * Fetches cases with optional filtering, sorting, and pagination.
    * @param {Object} [event={}] - Optional table event for filtering/sorting/pagination
-   * @returns {Promise<{data: Array, totalCount?: number}>} List of cases
+   * @returns {Promise<{data: Array, totalCount?: number}>} List of cases, and the number of cases
+   *   matching the filters when paginated
    */
   async getCases(event = {}) {
-    const params = this._mapEventToParams(event);
+    const params = mapTableEvent(event);
     return await ApiService.get('/cases', params);
   }
 
+  /**
+   * Fetches a single case, including the current user's `permissions` in it.
+   * @param {string} id - The unique ID of the case
+   * @returns {Promise<{data: Object}>} The case object
+   */
+  async getCase(id) {
+    return await ApiService.get(`/cases/${id}`);
+  }
+
   /**
    * Creates a new case record.
    * @param {Object} caseData - The case metadata to create
@@ -73,7 +45,17 @@ class CaseService {
   }
 
   /**
-   * Deletes a case record.
+   * Replaces the members a case is shared with.
+   * @param {string} id - The unique ID of the case
+   * @param {Array<{userId: string, role: string}>} members - The new member list
+   * @returns {Promise<{data: Object}>} The updated case object
+   */
+  async shareCase(id, members) {
+    return await ApiService.patch(`/cases/${id}`, { members });
+  }
+
+  /**
+   * Moves a case, with its collections and files, to the trash.
    * @param {string} id - The unique ID of the case to delete
    * @returns {Promise<void>}
    */
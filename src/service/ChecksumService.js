@@ -0,0 +1,102 @@
+/**
+ * Service for computing SHA-256 checksums of files in a Web Worker.
+ * One worker is shared by all requests; each request is tagged with an ID so results and
+ * progress can be routed back to the right caller.
+ */
+class ChecksumService {
+  constructor() {
+    /** @type {Worker|null} Lazily created hashing worker */
+    this._worker = null;
+    /** @type {Map<number, {resolve: Function, reject: Function, onProgress?: Function}>} */
+    this._pending = new Map();
+    this._nextId = 1;
+  }
+
+  /**
+   * Creates the worker on first use and routes its messages to pending requests.
+   * @returns {Worker}
+   * @private
+   */
+  _getWorker() {
+    if (!this._worker) {
+      this._worker = new Worker(new URL('../workers/checksum.worker.js', import.meta.url), {
+        type: 'module',
+      });
+      this._worker.onmessage = event => {
+        const { id, type } = event.data;
+        const request = this._pending.get(id);
+        if (!request) return;
+
+        if (type === 'progress') {
+          if (request.onProgress) request.onProgress(event.data.bytesHashed);
+        } else if (type === 'done') {
+          this._pending.delete(id);
+          request.resolve(event.data.digest);
+        } else {
+          this._pending.delete(id);
+          request.reject(new Error(event.data.message));
+        }
+      };
+      this._worker.onerror = event => {
+        console.error('[ChecksumService] Worker failed:', event.message);
+        for (const request of this._pending.values()) {
+          request.reject(new Error('Checksum worker failed'));
+        }
+        this._pending.clear();
+        this._worker = null;
+      };
+    }
+    return this._worker;
+  }
+
+  /**
+   * Computes the SHA-256 digest of a file without blocking the UI.
+   * @param {Blob} blob - The file (or any Blob) to hash
+   * @param {function(number): void} [onProgress] - Called with the number of bytes hashed so far
+   * @param {AbortSignal} [signal] - Stops hashing, rejecting with an `AbortError`
+   * @returns {Promise<string>} The digest as lowercase hex
+   */
+  computeSha256(blob, onProgress, signal) {
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      const cancelled = () => new DOMException('Hashing was cancelled', 'AbortError');
+      if (signal && signal.aborted) return reject(cancelled());
+
+      const onAbort = () => {
+        this._pending.delete(id);
+        if (this._worker) this._worker.postMessage({ id, cancel: true });
+        reject(cancelled());
+      };
+      // Settling stops listening for an abort that can no longer change anything
+      const settle = callback => value => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      this._pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress });
+      this._getWorker().postMessage({ id, blob });
+    });
+  }
+
+  /**
+   * Extracts the SHA-256 digest from a `Repr-Digest` (RFC 9530) or legacy `Digest` (RFC 3230)
+   * header, both of which carry the value base64 encoded.
+   * @param {string|null} header - The raw header value, e.g. `sha-256=:X48E9q...=:`
+   * @returns {string|null} The digest as lowercase hex, or null if no SHA-256 entry is present
+   */
+  parseDigestHeader(header) {
+    if (!header) return null;
+    const match = header.match(/sha-256=:?([A-Za-z0-9+/=]+):?/i);
+    if (!match) return null;
+    try {
+      return Array.from(atob(match[1]), char =>
+        char.charCodeAt(0).toString(16).padStart(2, '0')
+      ).join('');
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default new ChecksumService();
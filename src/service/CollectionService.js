@@ -1,4 +1,5 @@
 import ApiService from '@/api/ApiService';
+import { mapTableEvent } from '@/api/tableQuery';
 
 /**
  * Service for interacting with the /collections API endpoints.
@@ -7,10 +8,21 @@ class CollectionService {
   /**
    * Fetches collections associated with a specific case.
    * @param {string} caseId - The ID of the case to fetch collections for
-   * @returns {Promise<{data: Array}>} List of collection objects
+   * @param {Object} [event={}] - Optional table event for filtering/sorting/pagination
+   * @returns {Promise<{data: Array, totalCount?: number}>} List of collection objects, and the
+   *   number of collections matching the filters when paginated
    */
-  async getCollectionsByCase(caseId) {
-    return await ApiService.get(`/collections`, { caseId });
+  async getCollectionsByCase(caseId, event = {}) {
+    return await ApiService.get(`/collections`, { ...mapTableEvent(event), caseId });
+  }
+
+  /**
+   * Fetches a single collection.
+   * @param {string} id - The unique ID of the collection
+   * @returns {Promise<{data: Object}>} The collection object
+   */
+  async getCollection(id) {
+    return await ApiService.get(`/collections/${id}`);
   }
 
   /**
@@ -33,7 +45,7 @@ class CollectionService {
   }
 
   /**
-   * Deletes a collection record.
+   * Moves a collection, with its files, to the trash.
    * @param {string} id - The unique ID of the collection to delete
    * @returns {Promise<void>}
    */
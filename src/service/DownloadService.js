@@ -1,25 +1,236 @@
+import BandwidthService from '@/service/BandwidthService';
+import ChecksumService from '@/service/ChecksumService';
+import TokenService from '@/service/TokenService';
+
+const DOWNLOAD_URL = 'http://localhost:4000/download';
+
+const BLOCK_SIZE = 1024 * 1024; // 1MB bitmap granularity
+const INITIAL_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks until throughput has been measured
+const MIN_CHUNK_SIZE = BLOCK_SIZE;
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024;
+const TARGET_CHUNK_SECONDS = 2; // Size chunks so each request takes roughly this long
+const DEFAULT_CONCURRENCY = 4; // Parallel range workers per download
+const CHECKPOINT_MIN_BYTES = 64 * 1024 * 1024;
+
+// Chunk retry policy: jittered exponential backoff between baseDelay and maxDelay (ms)
+const DEFAULT_RETRY = { maxRetries: 5, baseDelay: 1000, maxDelay: 30000 };
+const MAX_RETRY_AFTER = 5 * 60 * 1000; // Cap on how long a server-provided Retry-After is honoured
+const RETRYABLE_STATUSES = [408, 429];
+
+/**
+ * Error raised when the server answers a range request with an unexpected HTTP status.
+ */
+class RangeRequestError extends Error {
+  /**
+   * @param {Response} response - The failed fetch response
+   */
+  constructor(response) {
+    super(`Server returned unexpected status: ${response.status}`);
+    this.name = 'RangeRequestError';
+    this.status = response.status;
+    this.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+  }
+}
+
+/**
+ * Parses a Retry-After header given either as delay-seconds or as an HTTP date.
+ * @param {string|null} value - The raw header value
+ * @returns {number|null} The delay in milliseconds, or null if absent or malformed
+ */
+const parseRetryAfter = value => {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Decides whether a failed chunk is worth retrying. Network failures (fetch rejects with a
+ * TypeError), 5xx, 408 and 429 are transient; anything else (e.g. 404, 416) will not get better.
+ * @param {Error} err - The chunk error
+ * @returns {boolean}
+ */
+const isRetryable = err => {
+  if (err instanceof RangeRequestError) {
+    return err.status >= 500 || RETRYABLE_STATUSES.includes(err.status);
+  }
+  return err.name === 'TypeError';
+};
+
+/**
+ * Computes the wait before the next attempt: the server's Retry-After when given, otherwise
+ * exponential backoff with "equal jitter" so parallel workers do not retry in lockstep.
+ * @param {Error} err - The chunk error
+ * @param {number} attempt - The upcoming attempt number (1-based)
+ * @param {{baseDelay: number, maxDelay: number}} policy - The retry policy
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (err, attempt, policy) => {
+  if (err.retryAfter !== null && err.retryAfter !== undefined) {
+    return Math.min(err.retryAfter, MAX_RETRY_AFTER);
+  }
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+};
+
+/**
+ * Waits for a delay unless the signal is aborted first.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Aborts the wait (pause/cancel)
+ * @returns {Promise<boolean>} false if the wait was aborted
+ */
+const wait = (ms, signal) =>
+  new Promise(resolve => {
+    if (signal.aborted) return resolve(false);
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Returns an entity tag if it can validate range requests. Only strong tags can be sent in
+ * `If-Range`; weak ones (`W/"..."`) do not promise byte-for-byte equality.
+ * @param {string|null} etag - The `ETag` header
+ * @returns {string|null}
+ */
+const strongEtag = etag => (etag && etag.startsWith('"') ? etag : null);
+
+/**
+ * Tracks which fixed-size blocks of a file have been written to disk, one bit per block.
+ * Lets parallel workers fill the file out of order while pause/resume and error recovery
+ * only refetch the blocks that are still missing.
+ */
+class ChunkBitmap {
+  /**
+   * @param {number} totalSize - Size of the file in bytes
+   * @param {number} blockSize - Size of one block in bytes
+   * @param {Uint8Array} [bits] - Previously saved bits to restore
+   */
+  constructor(totalSize, blockSize, bits) {
+    this.totalSize = totalSize;
+    this.blockSize = blockSize;
+    this.blockCount = Math.ceil(totalSize / blockSize);
+    this.bits = new Uint8Array(Math.ceil(this.blockCount / 8));
+    if (bits && bits.length === this.bits.length) this.bits.set(bits);
+  }
+
+  /**
+   * Restores a bitmap saved with `snapshot()`, or marks a contiguous prefix as done for
+   * transfers that only recorded a byte count.
+   * @param {number} totalSize - Size of the file in bytes
+   * @param {Object} [options]
+   * @param {{blockSize: number, bits: Uint8Array}} [options.chunkMap] - A saved snapshot
+   * @param {number} [options.downloadedBytes] - Contiguous bytes already written from offset 0
+   * @returns {ChunkBitmap}
+   */
+  static restore(totalSize, { chunkMap, downloadedBytes } = {}) {
+    if (chunkMap && chunkMap.bits) {
+      return new ChunkBitmap(totalSize, chunkMap.blockSize, chunkMap.bits);
+    }
+    const bitmap = new ChunkBitmap(totalSize, BLOCK_SIZE);
+    const doneBlocks = Math.floor(Math.min(downloadedBytes || 0, totalSize) / BLOCK_SIZE);
+    for (let i = 0; i < doneBlocks; i++) bitmap.set(i);
+    return bitmap;
+  }
+
+  has(index) {
+    return (this.bits[index >> 3] & (1 << (index & 7))) !== 0;
+  }
+
+  set(index) {
+    this.bits[index >> 3] |= 1 << (index & 7);
+  }
+
+  /**
+   * Size of a block in bytes (the last block may be shorter).
+   * @param {number} index - Block index
+   * @returns {number}
+   */
+  bytesIn(index) {
+    return Math.min(this.blockSize, this.totalSize - index * this.blockSize);
+  }
+
+  /** @returns {number} Total bytes covered by completed blocks */
+  completedBytes() {
+    let bytes = 0;
+    for (let i = 0; i < this.blockCount; i++) {
+      if (this.has(i)) bytes += this.bytesIn(i);
+    }
+    return bytes;
+  }
+
+  /** @returns {boolean} Whether every block has been written */
+  isComplete() {
+    for (let i = 0; i < this.blockCount; i++) {
+      if (!this.has(i)) return false;
+    }
+    return true;
+  }
+
+  /** @returns {{blockSize: number, bits: Uint8Array}} A copy safe to persist */
+  snapshot() {
+    return { blockSize: this.blockSize, bits: this.bits.slice() };
+  }
+}
+
+/** What to do when a file being saved into a folder already exists there */
+export const CONFLICT_ACTIONS = ['skip', 'overwrite', 'rename'];
+
+/**
+ * Makes a name safe to use for a file or folder on every platform: characters Windows does not
+ * allow become `_`, and `.`/`..` cannot climb out of the chosen folder.
+ * @param {string} name
+ * @returns {string}
+ */
+const safeName = name => {
+  const cleaned = String(name || '')
+    .replace(/[\\/:*?"<>|\p{Cc}]/gu, '_')
+    .replace(/[. ]+$/, '');
+  return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : '_';
+};
+
+/**
+ * Tells whether a folder already has an entry (file or folder) of the given name.
+ * @param {FileSystemDirectoryHandle} directory
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+const exists = async (directory, name) => {
+  try {
+    await directory.getFileHandle(name);
+    return true;
+  } catch (err) {
+    if (err.name === 'NotFoundError') return false;
+    if (err.name === 'TypeMismatchError') return true; // A folder of that name
+    throw err;
+  }
+};
+
 /**
  * Service for managing chunked resumable downloads using the File System Access API.
- * Handles save location prompts, HEAD requests for file size, and chunked fetching with Range headers.
+ * Handles save location prompts, HEAD requests for file size, parallel chunked fetching with
+ * Range headers, and SHA-256 verification of the finished file.
  */
 class DownloadService {
   /**
-   * Starts a chunked resumable download.
+   * Prompts the user for a location to save the file to.
+   * Must be called from a user gesture, so transfers that wait in a queue pick their location
+   * up front and pass the handle to `startDownload` once they are promoted.
    *
-   * @param {string} fileId - The ID of the file to download
    * @param {Object} fileRecord - Metadata about the file (id, name, etc.)
-   * @param {Object} callbacks - Hook functions for onProgress, onSuccess, and onError
-   * @returns {Promise<Object>} A controller object with abort, pause, and start methods
+   * @returns {Promise<FileSystemFileHandle>} The chosen file handle
+   * @throws {Error} 'USER_CANCELLED' if the user dismissed the picker
    */
-  async startDownload(fileId, fileRecord, callbacks) {
+  async chooseSaveLocation(fileRecord) {
     console.log(`[DownloadService] Requesting save location for file ${fileRecord.name}`);
-
-    const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks
-
-    // 1. Ask user for file handle to save directly to disk
-    let fileHandle;
     try {
-      fileHandle = await window.showSaveFilePicker({
+      return await window.showSaveFilePicker({
         suggestedName: fileRecord.name,
       });
     } catch (err) {
@@ -28,136 +239,510 @@ class DownloadService {
         throw new Error('USER_CANCELLED');
       }
       console.error('[DownloadService] Error showing save file picker', err);
-      if (callbacks.onError) callbacks.onError(err);
       throw err;
     }
+  }
+
+  /**
+   * Prompts the user for a folder to save several files into, so they are not asked for each file.
+   * Must be called from a user gesture.
+   * @returns {Promise<FileSystemDirectoryHandle>} The chosen folder, writable
+   * @throws {Error} 'USER_CANCELLED' if the user dismissed the picker
+   */
+  async chooseDirectory() {
+    console.log('[DownloadService] Requesting a download folder');
+    try {
+      return await window.showDirectoryPicker({ id: 'downloads', mode: 'readwrite' });
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        console.log('[DownloadService] User cancelled the directory picker dialog.');
+        throw new Error('USER_CANCELLED');
+      }
+      console.error('[DownloadService] Error showing directory picker', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Makes sure the page may write to a folder chosen earlier, asking the user again if needed (a
+   * remembered folder needs permission anew in each browsing session). Asking must happen during a
+   * user gesture.
+   * @param {FileSystemDirectoryHandle} directory
+   * @returns {Promise<boolean>} Whether writing is allowed
+   */
+  async requestWriteAccess(directory) {
+    const options = { mode: 'readwrite' };
+    if ((await directory.queryPermission(options)) === 'granted') return true;
+    return (await directory.requestPermission(options)) === 'granted';
+  }
+
+  /**
+   * Picks the file a download is saved to inside a folder, creating subfolders on the way.
+   * When a file of that name is already there, `conflict` decides: `skip` it (null is returned),
+   * `overwrite` it, or `rename` the new file like `report (2).pdf`.
+   * @param {FileSystemDirectoryHandle} directory - The chosen download folder
+   * @param {string[]} folders - Subfolders to save into, outermost first
+   * @param {string} name - The file name
+   * @param {('skip'|'overwrite'|'rename')} conflict - What to do if the file exists
+   * @returns {Promise<{fileHandle: FileSystemFileHandle, path: string}|null>} The file to write
+   *   and its path within the folder, or null when it is skipped
+   */
+  async saveLocationIn(directory, folders, name, conflict) {
+    const segments = folders.flatMap(folder => String(folder).split('/')).filter(Boolean);
+    let parent = directory;
+    for (const folder of segments) {
+      parent = await parent.getDirectoryHandle(safeName(folder), { create: true });
+    }
+
+    let fileName = safeName(name);
+    if (await exists(parent, fileName)) {
+      if (conflict === 'skip') return null;
+      if (conflict === 'rename') {
+        const dot = fileName.lastIndexOf('.');
+        const [stem, ext] =
+          dot > 0 ? [fileName.slice(0, dot), fileName.slice(dot)] : [fileName, ''];
+        let n = 2;
+        while (await exists(parent, `${stem} (${n})${ext}`)) n++;
+        fileName = `${stem} (${n})${ext}`;
+      }
+    }
+
+    const fileHandle = await parent.getFileHandle(fileName, { create: true });
+    return { fileHandle, path: [...segments.map(safeName), fileName].join('/') };
+  }
+
+  /**
+   * Builds the URL a download fetches from.
+   * @param {string} fileId - The ID of the file to download
+   * @param {Object} fileRecord - Metadata about the file
+   * @param {number} [fileRecord.archivedVersion] - An earlier version of the file
+   * @param {{collectionId: string, fileIds: string[]|null}} [fileRecord.archive] - Downloads the
+   *   files of a collection (all of them, or `fileIds`) as one ZIP archive instead
+   * @returns {string}
+   */
+  downloadUrl(fileId, fileRecord) {
+    if (fileRecord.archive) {
+      const { collectionId, fileIds } = fileRecord.archive;
+      const query = fileIds ? `?files=${fileIds.map(encodeURIComponent).join(',')}` : '';
+      return `${DOWNLOAD_URL}/collections/${encodeURIComponent(collectionId)}/archive${query}`;
+    }
+    if (fileRecord.archivedVersion) {
+      return `${DOWNLOAD_URL}/${encodeURIComponent(fileRecord.id)}?version=${fileRecord.archivedVersion}`;
+    }
+    return `${DOWNLOAD_URL}/${encodeURIComponent(fileId)}`;
+  }
+
+  /**
+   * Starts a chunked resumable download.
+   *
+   * Several range workers fetch missing blocks concurrently and write them at their own offsets
+   * through one writable stream. Writes are only committed to disk when the stream is closed, so
+   * the stream is periodically closed and reopened; `onCheckpoint` reports the bitmap of blocks
+   * that are safely on disk at that point.
+   *
+   * Once every block is written, the saved file is hashed and compared against the checksum
+   * recorded at upload time (`fileRecord.sha256`), falling back to the digest the server
+   * advertises in `Repr-Digest`. A mismatch is reported through `onCorrupt` instead of `onSuccess`.
+   *
+   * Range requests carry the file's `ETag` in `If-Range`. If the file changes on the server
+   * while it is being downloaded (or between a reload and the resume), the blocks already on disk
+   * no longer fit: the download starts over with the new file and `onRestart` reports its size.
+   *
+   * @param {string} fileId - The ID of the file to download
+   * @param {Object} fileRecord - Metadata about the file (id, name, etc.); with `archivedVersion`
+   *   set, that earlier version of the file is downloaded, and with `archive` set, a ZIP archive
+   *   of files (see `downloadUrl`)
+   * @param {Object} callbacks - Hook functions for onProgress, onCheckpoint, onRetry, onVerify,
+   *   onSuccess, onCorrupt, onRestart, and onError
+   * @param {Object} [options={}] - Options for starting into a known file, e.g. after a page reload
+   * @param {FileSystemFileHandle} [options.fileHandle] - Already chosen save location (skips the picker)
+   * @param {{blockSize: number, bits: Uint8Array}} [options.chunkMap] - Blocks already on disk
+   * @param {number} [options.downloadedBytes=0] - Contiguous bytes already on disk (when no chunkMap)
+   * @param {string} [options.etag] - `ETag` of the file the blocks on disk came from; they are
+   *   discarded if the server's file has changed since
+   * @param {number} [options.concurrency=4] - Number of parallel range workers
+   * @param {Object} [options.retry] - Chunk retry policy ({ maxRetries, baseDelay, maxDelay })
+   * @param {import('@/service/BandwidthService').RateLimiter} [options.limiter] - This download's
+   *   own bandwidth limit; the limit shared by all downloads applies as well
+   * @returns {Promise<Object>} A controller object with abort, pause, and start methods, plus the
+   *   `fileHandle`, `totalSize` and `etag` of the download
+   */
+  async startDownload(fileId, fileRecord, callbacks, options = {}) {
+    // 1. Ask user for file handle to save directly to disk, unless one was already chosen
+    let fileHandle = options.fileHandle;
+    if (!fileHandle) {
+      try {
+        fileHandle = await this.chooseSaveLocation(fileRecord);
+      } catch (err) {
+        if (err.message !== 'USER_CANCELLED' && callbacks.onError) callbacks.onError(err);
+        throw err;
+      }
+    }
+
+    const url = this.downloadUrl(fileId, fileRecord);
 
-    const encodedName = encodeURIComponent(fileRecord.name);
+    // Head request for the exact byte size, checksum and entity tag of the file
+    const probe = async () => {
+      let resp = await TokenService.authorizedFetch(url, { method: 'HEAD' });
+      // The server turns requests away while the user has too many downloads open
+      for (let attempt = 1; resp.status === 429 && attempt <= DEFAULT_RETRY.maxRetries; attempt++) {
+        const delay = retryDelay(new RangeRequestError(resp), attempt, DEFAULT_RETRY);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        resp = await TokenService.authorizedFetch(url, { method: 'HEAD' });
+      }
+      if (!resp.ok) throw new Error('Could not fetch file info');
+      const size = parseInt(resp.headers.get('content-length') || '0', 10);
+      if (size === 0) throw new Error('File is empty or size unknown');
+      return {
+        size,
+        acceptsRanges: resp.headers.get('accept-ranges') === 'bytes',
+        digest: ChecksumService.parseDigestHeader(
+          resp.headers.get('repr-digest') || resp.headers.get('digest')
+        ),
+        etag: strongEtag(resp.headers.get('etag')),
+      };
+    };
 
     // 2. Head request to get exact byte size of the mock file
     let totalSize = 0;
+    let serverDigest = null;
+    let etag = null;
+    // Archives are fetched front to back: the server computes each file's checksum as it sends
+    // the file, and parallel workers would make it read files more than once
+    let concurrency = fileRecord.archive ? 1 : options.concurrency || DEFAULT_CONCURRENCY;
     try {
-      const resp = await fetch(`http://localhost:4000/download/${encodedName}`, {
-        method: 'HEAD',
-      });
-      if (!resp.ok) throw new Error('Could not fetch file info');
-      totalSize = parseInt(resp.headers.get('content-length') || '0', 10);
-      if (totalSize === 0) throw new Error('File is empty or size unknown');
+      const info = await probe();
+      totalSize = info.size;
+      serverDigest = info.digest;
+      etag = info.etag;
+      if (!info.acceptsRanges) {
+        console.warn('[DownloadService] Server does not advertise range support, using 1 worker.');
+        concurrency = 1;
+      }
     } catch (err) {
       console.error('[DownloadService] Failed to determine file size:', err);
       if (callbacks.onError) callbacks.onError(err);
       throw err;
     }
 
+    let expectedDigest = fileRecord.sha256 || serverDigest;
+    if (fileRecord.sha256 && serverDigest && fileRecord.sha256 !== serverDigest) {
+      console.warn(
+        `[DownloadService] Server digest for ${fileRecord.name} differs from the uploaded checksum`
+      );
+    }
+
+    // Blocks saved from an earlier version of the file would be mixed with the new one
+    const outdated = Boolean(options.etag && etag && options.etag !== etag);
+    if (outdated) {
+      console.warn(`[DownloadService] ${fileRecord.name} changed on the server, starting over`);
+      expectedDigest = serverDigest;
+      if (callbacks.onRestart) callbacks.onRestart({ totalSize, etag });
+    }
+
+    const retryPolicy = { ...DEFAULT_RETRY, ...options.retry };
+    let bitmap = ChunkBitmap.restore(totalSize, outdated ? {} : options);
+    const initialBytes = bitmap.completedBytes();
+
     const state = {
-      progress: 0,
-      downloadedBytes: 0,
+      progress: parseFloat(((initialBytes / totalSize) * 100).toFixed(2)),
+      downloadedBytes: initialBytes,
+      committedBytes: initialBytes,
       aborted: false,
       paused: false,
+      finished: false,
+      changed: false, // Set when the file changed on the server mid-download
+      error: null,
       writable: null,
-      lastBytes: 0,
+      ioQueue: Promise.resolve(), // Serializes writes and stream close/reopen
+      runQueue: Promise.resolve(), // Serializes run() invocations across pause/resume
+      fetchController: null,
+      claimed: new Set(), // Block indices currently being fetched by a worker
+      chunkSize: INITIAL_CHUNK_SIZE,
+      lastBytes: initialBytes,
       lastTime: performance.now(),
       computedSpeed: 0,
     };
 
-    // Keep file handle to reopen stream if needed
-    let writableStream = null;
+    // Runs a disk operation after every previously queued one has finished
+    const serialize = op => {
+      const result = state.ioQueue.then(op);
+      state.ioQueue = result.catch(() => {});
+      return result;
+    };
 
-    const run = async () => {
-      try {
-        if (!writableStream) {
-          // Open stream (keep existing data if resuming)
-          writableStream = await fileHandle.createWritable({ keepExistingData: true });
+    // Closes the stream (committing writes to disk), reports the committed bitmap and optionally reopens
+    const checkpoint = reopen =>
+      serialize(async () => {
+        if (state.writable) {
+          await state.writable.close();
+          state.writable = null;
+        }
+        state.committedBytes = bitmap.completedBytes();
+        if (callbacks.onCheckpoint) {
+          callbacks.onCheckpoint({
+            chunkMap: bitmap.snapshot(),
+            downloadedBytes: state.committedBytes,
+          });
+        }
+        if (reopen) {
+          state.writable = await fileHandle.createWritable({ keepExistingData: true });
         }
+      });
 
-        while (state.downloadedBytes < totalSize) {
-          if (state.aborted || state.paused) {
-            break;
-          }
+    // Claims the next run of missing blocks, sized to the current adaptive chunk size
+    const claimRange = () => {
+      const maxBlocks = Math.max(1, Math.round(state.chunkSize / bitmap.blockSize));
+      for (let i = 0; i < bitmap.blockCount; i++) {
+        if (bitmap.has(i) || state.claimed.has(i)) continue;
 
-          if (!navigator.onLine) {
-            console.warn('[DownloadService] System is offline. Pausing chunk fetch.');
-            break; // Store handles offline/online events to retrigger play()
-          }
+        const blocks = [];
+        for (let j = i; j < bitmap.blockCount && blocks.length < maxBlocks; j++) {
+          if (bitmap.has(j) || state.claimed.has(j)) break;
+          blocks.push(j);
+        }
+        blocks.forEach(index => state.claimed.add(index));
 
-          const start = state.downloadedBytes;
-          const end = Math.min(start + CHUNK_SIZE - 1, totalSize - 1);
-
-          console.log(`[DownloadService] Fetching chunk bytes=${start}-${end}`);
-
-          try {
-            const response = await fetch(`http://localhost:4000/download/${encodedName}`, {
-              headers: {
-                Range: `bytes=${start}-${end}`,
-              },
-            });
-
-            // If we requested a range but got 200 OK, it means the server sent the WHOLE file.
-            // We must handle this so we don't write the full file into a chunk offset.
-            if (response.status === 200) {
-              console.warn('[DownloadService] Server ignored Range header, received full file.');
-              const fullData = await response.blob();
-              await writableStream.write({ type: 'write', position: 0, data: fullData });
-              state.downloadedBytes = fullData.size;
-              break;
-            }
+        const start = i * bitmap.blockSize;
+        const end = Math.min(start + blocks.length * bitmap.blockSize, totalSize) - 1;
+        return { blocks, start, end };
+      }
+      return null;
+    };
 
-            if (response.status !== 206) {
-              throw new Error(`Server returned unexpected status: ${response.status}`);
-            }
+    const reportProgress = () => {
+      state.progress = parseFloat(((state.downloadedBytes / totalSize) * 100).toFixed(2));
 
-            const chunkData = await response.blob();
+      // Compute Speed
+      const now = performance.now();
+      const timeDiff = (now - state.lastTime) / 1000;
+      if (timeDiff > 0.5 || state.downloadedBytes === totalSize) {
+        const bytesDiff = state.downloadedBytes - state.lastBytes;
+        if (timeDiff > 0) {
+          state.computedSpeed = Math.floor(bytesDiff / timeDiff);
+        }
+        state.lastBytes = state.downloadedBytes;
+        state.lastTime = now;
+      }
 
-            // Check flags right before writing to disk
-            if (state.aborted || state.paused) {
-              break;
-            }
+      if (callbacks.onProgress) {
+        callbacks.onProgress(state.progress, state.computedSpeed, state.downloadedBytes);
+      }
+    };
+
+    // Reads a response body piece by piece, holding back while the bandwidth limits are exceeded;
+    // not reading makes the browser slow the connection down
+    const readBody = async (response, signal) => {
+      const reader = response.body.getReader();
+      const parts = [];
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return new Blob(parts);
+        parts.push(value);
+        await BandwidthService.throttle('downloads', options.limiter, value.byteLength, signal);
+      }
+    };
+
+    // Fetches one claimed range and writes it at its offset
+    const fetchRange = async ({ blocks, start, end }, signal) => {
+      console.log(`[DownloadService] Fetching chunk bytes=${start}-${end}`);
+      const startedAt = performance.now();
 
-            // Write to disk
-            await writableStream.write({ type: 'write', position: start, data: chunkData });
+      const response = await TokenService.authorizedFetch(url, {
+        headers: {
+          Range: `bytes=${start}-${end}`,
+          // Only send the range if the file is still the one the other blocks came from
+          ...(etag && { 'If-Range': etag }),
+        },
+        signal,
+      });
+
+      // With If-Range, 200 OK means the file has changed: the blocks on disk are of no use anymore
+      if (response.status === 200 && etag && strongEtag(response.headers.get('etag')) !== etag) {
+        console.warn(`[DownloadService] ${fileRecord.name} changed on the server mid-download.`);
+        response.body?.cancel().catch(() => {});
+        state.changed = true;
+        state.fetchController.abort(); // Every worker has to start over
+        return;
+      }
 
-            state.downloadedBytes += chunkData.size;
+      // If we requested a range but got 200 OK, it means the server sent the WHOLE file.
+      // We must handle this so we don't write the full file into a chunk offset.
+      if (response.status === 200) {
+        console.warn('[DownloadService] Server ignored Range header, received full file.');
+        const fullData = await response.blob();
+        await serialize(async () => {
+          await state.writable.write({ type: 'write', position: 0, data: fullData });
+          for (let i = 0; i < bitmap.blockCount; i++) bitmap.set(i);
+        });
+        state.downloadedBytes = totalSize;
+        state.fetchController.abort(); // Other workers have nothing left to do
+        return;
+      }
 
-            const percentage = ((state.downloadedBytes / totalSize) * 100).toFixed(2);
-            state.progress = parseFloat(percentage);
+      if (response.status !== 206) {
+        throw new RangeRequestError(response);
+      }
 
-            // Compute Speed
-            const now = performance.now();
-            const timeDiff = (now - state.lastTime) / 1000;
+      const chunkData = await readBody(response, signal);
 
-            if (timeDiff > 0.5 || state.downloadedBytes === totalSize) {
-              const bytesDiff = state.downloadedBytes - state.lastBytes;
-              if (timeDiff > 0) {
-                state.computedSpeed = Math.floor(bytesDiff / timeDiff);
-              }
-              state.lastBytes = state.downloadedBytes;
-              state.lastTime = now;
-            }
+      // Write to disk; blocks are marked done only once the write has gone through
+      await serialize(async () => {
+        await state.writable.write({ type: 'write', position: start, data: chunkData });
+        blocks.forEach(index => bitmap.set(index));
+      });
+      state.downloadedBytes += chunkData.size;
+
+      // Adapt the chunk size so that each request takes about TARGET_CHUNK_SECONDS
+      const seconds = (performance.now() - startedAt) / 1000;
+      if (seconds > 0) {
+        const target = (chunkData.size / seconds) * TARGET_CHUNK_SECONDS;
+        const smoothed = state.chunkSize * 0.5 + target * 0.5;
+        state.chunkSize = Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, smoothed));
+      }
+
+      reportProgress();
+
+      // Commit periodically so a reload loses at most a bounded amount of work. The interval grows
+      // with the file because reopening with keepExistingData copies what is already on disk.
+      const uncommitted = state.downloadedBytes - state.committedBytes;
+      if (uncommitted >= Math.max(CHECKPOINT_MIN_BYTES, state.committedBytes / 4)) {
+        state.committedBytes = state.downloadedBytes;
+        await checkpoint(true);
+      }
+    };
+
+    // Hashes the finished file on disk and reports whether it matches the expected digest
+    const verify = async () => {
+      if (!expectedDigest) {
+        console.warn(`[DownloadService] No checksum known for ${fileRecord.name}, skipping check`);
+        return true;
+      }
+      if (callbacks.onVerify) callbacks.onVerify();
 
-            if (callbacks.onProgress) callbacks.onProgress(state.progress, state.computedSpeed);
-          } catch (chunkErr) {
+      const savedFile = await fileHandle.getFile();
+      const actualDigest = await ChecksumService.computeSha256(savedFile);
+      if (actualDigest === expectedDigest) {
+        console.log(`[DownloadService] Checksum verified for ${fileRecord.name}`);
+        return true;
+      }
+
+      console.error(
+        `[DownloadService] Checksum mismatch for ${fileRecord.name}: expected ${expectedDigest}, got ${actualDigest}`
+      );
+      if (callbacks.onCorrupt)
+        callbacks.onCorrupt({ expected: expectedDigest, actual: actualDigest });
+      return false;
+    };
+
+    const worker = async signal => {
+      let attempt = 0; // Consecutive failed attempts of this worker
+      while (!state.aborted && !state.paused && !state.error && !state.changed) {
+        if (!navigator.onLine) {
+          console.warn('[DownloadService] System is offline. Pausing chunk fetch.');
+          break; // Store handles offline/online events to retrigger play()
+        }
+
+        const range = claimRange();
+        if (!range) break;
+
+        let retryIn = null;
+        try {
+          await fetchRange(range, signal);
+          attempt = 0;
+        } catch (chunkErr) {
+          if (signal.aborted) break; // Paused, aborted or finished by another worker
+
+          // Being turned away by the server's limit on parallel downloads only means waiting for
+          // a free slot, which uses up no retries
+          const limited = chunkErr.status === 429;
+          if (!isRetryable(chunkErr) || (!limited && attempt >= retryPolicy.maxRetries)) {
             console.error('[DownloadService] Chunk fetch failed:', chunkErr);
-            if (callbacks.onError) callbacks.onError(chunkErr);
-            // Critical errors (like network connection refused) -> break loop
+            // Fatal or retries exhausted -> stop every worker
+            state.error = chunkErr;
+            state.fetchController.abort();
             break;
           }
+
+          if (limited) {
+            retryIn = retryDelay(chunkErr, 1, retryPolicy);
+            console.warn(`[DownloadService] Server is busy, retrying in ${retryIn}ms`);
+          } else {
+            attempt++;
+            retryIn = retryDelay(chunkErr, attempt, retryPolicy);
+            console.warn(
+              `[DownloadService] Chunk bytes=${range.start}-${range.end} failed (${chunkErr.message}), ` +
+                `retrying in ${retryIn}ms (attempt ${attempt}/${retryPolicy.maxRetries})`
+            );
+            if (callbacks.onRetry) {
+              callbacks.onRetry({
+                attempt,
+                maxRetries: retryPolicy.maxRetries,
+                delay: retryIn,
+                error: chunkErr,
+              });
+            }
+          }
+        } finally {
+          range.blocks.forEach(index => state.claimed.delete(index));
         }
 
-        if (state.downloadedBytes >= totalSize && !state.aborted) {
+        // Back off outside of the claim so other workers can pick the range up meanwhile
+        if (retryIn !== null && !(await wait(retryIn, signal))) break;
+      }
+    };
+
+    // Starts over with the file now on the server, overwriting what was saved of the old one
+    const restart = async () => {
+      const info = await probe();
+      state.changed = false;
+      totalSize = info.size;
+      etag = info.etag;
+      expectedDigest = info.digest;
+      bitmap = ChunkBitmap.restore(totalSize);
+      state.claimed.clear();
+      state.downloadedBytes = 0;
+      state.committedBytes = 0;
+      state.lastBytes = 0;
+      await serialize(() => state.writable.truncate(totalSize));
+      if (callbacks.onRestart) callbacks.onRestart({ totalSize, etag });
+    };
+
+    const run = async () => {
+      if (state.aborted || state.paused || state.finished) return;
+      state.error = null;
+      state.fetchController = new AbortController();
+
+      try {
+        if (!state.writable) {
+          // Open stream (keep existing data if resuming); an overwritten file that was longer
+          // than this one must not keep its old tail
+          state.writable = await fileHandle.createWritable({ keepExistingData: true });
+          await state.writable.truncate(totalSize);
+        }
+
+        for (;;) {
+          if (state.changed) await restart();
+          const signal = state.fetchController.signal;
+          await Promise.all(Array.from({ length: concurrency }, () => worker(signal)));
+          if (!state.changed || state.aborted || state.paused) break;
+          state.fetchController = new AbortController();
+        }
+
+        if (bitmap.isComplete() && !state.aborted) {
           // Finished!
+          state.finished = true;
           state.progress = 100;
-          if (writableStream) {
-            await writableStream.close();
-            writableStream = null;
-          }
-          if (callbacks.onProgress) callbacks.onProgress(100, 0);
-          if (callbacks.onSuccess) callbacks.onSuccess();
-        } else if (state.aborted || state.paused) {
-          if (writableStream) {
-            await writableStream.close();
-            writableStream = null;
-          }
+          await checkpoint(false);
+          if (callbacks.onProgress) callbacks.onProgress(100, 0, totalSize);
+          const intact = await verify();
+          if (intact && !state.aborted && callbacks.onSuccess) callbacks.onSuccess();
+          return;
         }
+
+        // Paused, aborted, offline or failed: commit what has been written so far
+        await checkpoint(false);
+        if (state.error && callbacks.onError) callbacks.onError(state.error);
       } catch (e) {
         console.error('[DownloadService] Fatal run loop error:', e);
         if (callbacks.onError) callbacks.onError(e);
@@ -165,19 +750,25 @@ class DownloadService {
     };
 
     // Kickoff
-    run();
+    state.runQueue = state.runQueue.then(run);
 
     return {
+      fileHandle,
+      totalSize,
+      etag,
       abort: () => {
         state.aborted = true;
+        if (state.fetchController) state.fetchController.abort();
       },
       pause: () => {
         state.paused = true;
+        if (state.fetchController) state.fetchController.abort();
       },
       start: () => {
         if (!state.aborted) {
           state.paused = false;
-          run();
+          // Wait for a pausing run to wind down before starting the next one
+          state.runQueue = state.runQueue.then(run);
         }
       },
     };
@@ -1,4 +1,8 @@
 import ApiService from '@/api/ApiService';
+import { mapTableEvent } from '@/api/tableQuery';
+
+/** Sizes are filtered in megabytes */
+const MB = 1024 * 1024;
 
 /**
  * Service for interacting with the /files API endpoints.
@@ -6,20 +10,42 @@ import ApiService from '@/api/ApiService';
 class FileService {
   /**
    * Fetches files associated with a specific collection.
+   * The file server matches IDs as strings, so numeric-looking IDs (e.g. `1276`) need no special
+   * handling.
    * @param {string} collectionId - The ID of the collection to fetch files for
-   * @returns {Promise<{data: Array}>} List of file objects
+   * @param {Object} [event={}] - Optional table event for filtering/sorting/pagination; `size`
+   *   filter values are in MB
+   * @returns {Promise<{data: Array, totalCount?: number}>} List of file objects, and the number of
+   *   files matching the filters when paginated
    */
-  async getFilesByCollection(collectionId) {
+  async getFilesByCollection(collectionId, event = {}) {
     if (!collectionId) return { data: [] };
 
-    // JSON-Server coercively parses numeric strings in the route query (e.g. ?collectionId=1276) into Integers.
-    if (/^\d+$/.test(collectionId)) {
-      const response = await ApiService.get('/files');
-      const allFiles = Array.isArray(response.data) ? response.data : [];
-      return { data: allFiles.filter(val => val.collectionId === String(collectionId)) };
-    }
+    const params = mapTableEvent(event, { defaultSort: '-uploaded', scale: { size: MB } });
+    return await ApiService.get('/files', { ...params, collectionId: String(collectionId) });
+  }
+
+  /**
+   * Finds the file of a collection with exactly the given name.
+   * @param {string} collectionId - The ID of the collection
+   * @param {string} name - The file name
+   * @returns {Promise<{data: Array}>} The matching file objects (at most one is expected)
+   */
+  async findFileByName(collectionId, name) {
+    return await ApiService.get('/files', { collectionId: String(collectionId), 'name:eq': name });
+  }
 
-    return await ApiService.get('/files', { collectionId: String(collectionId) });
+  /**
+   * Finds the files of a collection having any of the given names.
+   * @param {string} collectionId - The ID of the collection
+   * @param {string[]} names - The file names; they cannot contain commas
+   * @returns {Promise<{data: Array}>} The matching file objects
+   */
+  async findFilesByNames(collectionId, names) {
+    return await ApiService.get('/files', {
+      collectionId: String(collectionId),
+      'name:in': names.join(','),
+    });
   }
 
   /**
@@ -42,7 +68,27 @@ class FileService {
   }
 
   /**
-   * Deletes a file record from the server.
+   * Makes an earlier version of a file its current content again, as a new version.
+   * @param {string} id - The unique ID of the file
+   * @param {number} version - The number of the version to restore
+   * @returns {Promise<{data: Object}>} The updated file object
+   */
+  async restoreVersion(id, version) {
+    return await ApiService.post(`/files/${id}/versions/${version}/restore`);
+  }
+
+  /**
+   * Gets a short-lived link that shows a file in the browser. It carries its own token, so it can
+   * be used directly as the `src` of a video, audio, image or frame.
+   * @param {string} id - The unique ID of the file
+   * @returns {Promise<{data: {url: string, expiresAt: string}}>} The link and when it expires
+   */
+  async getPreviewLink(id) {
+    return await ApiService.post(`/files/${id}/preview`);
+  }
+
+  /**
+   * Moves a file record to the trash.
    * @param {string} id - The unique ID of the file to delete
    * @returns {Promise<void>}
    */
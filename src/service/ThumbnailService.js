@@ -0,0 +1,49 @@
+import TokenService from '@/service/TokenService';
+
+const FILES_URL = 'http://localhost:4000/files';
+
+/**
+ * Service for loading the thumbnails the file server makes of images and videos.
+ * Images cannot send the access token, so thumbnails are fetched with it and shown through object
+ * URLs. Each thumbnail is loaded once per page load and shared by every view showing it.
+ */
+class ThumbnailService {
+  constructor() {
+    /** @type {Map<string, Promise<string|null>>} Object URLs by file ID and thumbnail time */
+    this._urls = new Map();
+  }
+
+  /**
+   * Gets an object URL of a file's thumbnail.
+   * @param {{id: string, thumbnail?: {created: string}|null}} file - The file record
+   * @returns {Promise<string|null>} The URL, or null if the file has no thumbnail
+   */
+  getUrl(file) {
+    if (!file?.thumbnail) return Promise.resolve(null);
+    const key = `${file.id}@${file.thumbnail.created}`;
+    if (!this._urls.has(key)) {
+      this._urls.set(key, this._load(file.id, file.thumbnail.created, key));
+    }
+    return this._urls.get(key);
+  }
+
+  /**
+   * Fetches a thumbnail and wraps it in an object URL.
+   * @private
+   */
+  async _load(id, created, key) {
+    try {
+      const params = new URLSearchParams({ v: created });
+      const response = await TokenService.authorizedFetch(`${FILES_URL}/${id}/thumbnail?${params}`);
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+      return URL.createObjectURL(await response.blob());
+    } catch (e) {
+      console.warn(`[ThumbnailService] Failed to load the thumbnail of ${id}:`, e.message);
+      // Let a later view try again
+      this._urls.delete(key);
+      return null;
+    }
+  }
+}
+
+export default new ThumbnailService();
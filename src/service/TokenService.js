@@ -0,0 +1,198 @@
+const AUTH_URL = 'http://localhost:4000/api/auth';
+
+/** Refresh the access token when it has less than this long left (ms) */
+const EXPIRY_MARGIN = 30 * 1000;
+
+/**
+ * Decodes the payload of a JWT without verifying it (the server does that).
+ * @param {string} token - The encoded token
+ * @returns {Object|null} The payload, or null if the token is malformed
+ */
+const decodePayload = token => {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(base64));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @typedef {Object} SessionData
+ * @property {Object} user - The logged-in user
+ * @property {string} accessToken - Short-lived token sent as `Authorization: Bearer`
+ * @property {string} sessionExpiresAt - ISO time the refresh token expires unless used before
+ */
+
+/**
+ * Service owning the access token issued at login.
+ * Hands out a valid access token to everything that talks to the backend (API requests, TUS
+ * uploads, range downloads), refreshing it when it is about to expire or the server rejects it.
+ * Concurrent callers share a single refresh request.
+ *
+ * The access token only lives in memory. The refresh token is an httpOnly cookie the server sets
+ * at login, so scripts never see it and a reloaded page gets a new access token through
+ * {@link TokenService#refresh}.
+ */
+class TokenService {
+  constructor() {
+    /** @type {{accessToken: string|null, sessionExpiresAt: number}|null} */
+    this._session = null;
+    /** @type {Promise<SessionData>|null} The refresh currently in flight */
+    this._refreshing = null;
+    /** @type {Set<Function>} Called when the session ends because a refresh failed */
+    this._sessionEndedListeners = new Set();
+    /** @type {Set<Function>} Called with the {@link SessionData} of every login or refresh */
+    this._sessionStartedListeners = new Set();
+  }
+
+  /**
+   * Stores the access token issued by a login or refresh.
+   * @param {SessionData} data
+   */
+  setSession(data) {
+    this._session = {
+      accessToken: data.accessToken,
+      sessionExpiresAt: Date.parse(data.sessionExpiresAt),
+    };
+    this._sessionStartedListeners.forEach(listener => listener(data));
+  }
+
+  /**
+   * Forgets the access token (logout or failed refresh).
+   */
+  clear() {
+    this._session = null;
+  }
+
+  /** @returns {boolean} Whether there is a session in this tab */
+  hasSession() {
+    return this._session !== null;
+  }
+
+  /** @returns {number|null} When the session ends unless it is refreshed before (epoch ms) */
+  getSessionExpiresAt() {
+    return this._session ? this._session.sessionExpiresAt : null;
+  }
+
+  /**
+   * Marks the current access token as unusable so the next caller refreshes it.
+   * Used after the server answers 401 to a token that has not expired yet.
+   */
+  invalidateAccessToken() {
+    if (this._session) this._session = { ...this._session, accessToken: null };
+  }
+
+  /**
+   * Registers a callback for when the session ends because the refresh token was rejected.
+   * @param {Function} listener
+   * @returns {Function} Unsubscribes the listener
+   */
+  onSessionEnded(listener) {
+    this._sessionEndedListeners.add(listener);
+    return () => this._sessionEndedListeners.delete(listener);
+  }
+
+  /**
+   * Registers a callback for every login or refresh, e.g. to track the new session expiry.
+   * @param {function(SessionData): void} listener
+   * @returns {Function} Unsubscribes the listener
+   */
+  onSessionStarted(listener) {
+    this._sessionStartedListeners.add(listener);
+    return () => this._sessionStartedListeners.delete(listener);
+  }
+
+  /**
+   * Returns an access token that is valid for at least a little while, refreshing it first if
+   * needed. Waits for a refresh already in flight, such as the session restore on boot.
+   * @returns {Promise<string|null>} The token, or null if there is no session
+   */
+  async getValidAccessToken() {
+    if (this._refreshing) {
+      try {
+        return (await this._refreshing).accessToken;
+      } catch {
+        return null;
+      }
+    }
+    if (!this._session) return null;
+    const { accessToken } = this._session;
+    const payload = accessToken && decodePayload(accessToken);
+    if (payload && payload.exp * 1000 - Date.now() > EXPIRY_MARGIN) {
+      return accessToken;
+    }
+    try {
+      return (await this.refresh()).accessToken;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Exchanges the refresh cookie for a new access token (and a rotated cookie).
+   * Also used on boot to restore the session of a previous page load.
+   * @returns {Promise<SessionData>}
+   * @throws {Error} 'SESSION_EXPIRED' if there is no session cookie or it was rejected
+   */
+  refresh() {
+    if (!this._refreshing) {
+      this._refreshing = this._refresh().finally(() => {
+        this._refreshing = null;
+      });
+    }
+    return this._refreshing;
+  }
+
+  /**
+   * @returns {Promise<SessionData>}
+   * @private
+   */
+  async _refresh() {
+    let response;
+    try {
+      response = await fetch(`${AUTH_URL}/refresh`, { method: 'POST', credentials: 'include' });
+    } catch (err) {
+      // Offline or server down: keep the session and let the caller fail this request
+      console.warn('[TokenService] Token refresh failed, server unreachable:', err);
+      throw err;
+    }
+
+    if (!response.ok) {
+      // Only a session that existed in this tab can end; a failed restore on boot is silent
+      if (this._session) {
+        console.warn('[TokenService] Refresh token rejected, ending session');
+        this.clear();
+        this._sessionEndedListeners.forEach(listener => listener());
+      }
+      throw new Error('SESSION_EXPIRED');
+    }
+
+    const data = await response.json();
+    this.setSession(data);
+    return data;
+  }
+
+  /**
+   * Performs a fetch with the access token attached, refreshing and retrying once if the server
+   * answers 401.
+   * @param {string} url - The URL to fetch
+   * @param {RequestInit} [options={}] - Standard fetch options
+   * @returns {Promise<Response>}
+   */
+  async authorizedFetch(url, options = {}) {
+    const send = token =>
+      fetch(url, {
+        ...options,
+        headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      });
+
+    const response = await send(await this.getValidAccessToken());
+    if (response.status !== 401 || !this._session) return response;
+
+    this.invalidateAccessToken();
+    return send(await this.getValidAccessToken());
+  }
+}
+
+export default new TokenService();
@@ -0,0 +1,115 @@
+const DB_NAME = 'resumable-file-ms';
+const DB_VERSION = 2;
+const STORES = ['uploads', 'downloads', 'handles'];
+
+/**
+ * Service for persisting transfer state to IndexedDB so that in-flight transfers survive a page reload.
+ * Each transfer kind ('uploads' or 'downloads') lives in its own object store keyed by transfer ID.
+ * Records must be structured-cloneable, which allows download FileSystemFileHandles to be stored as-is.
+ * File system handles chosen for later sessions (e.g. the download folder) are kept in `handles`.
+ */
+class TransferPersistenceService {
+  constructor() {
+    /** @type {Promise<IDBDatabase>|null} Lazily opened database connection */
+    this._db = null;
+  }
+
+  /**
+   * Opens the database, creating the object stores on first use.
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          for (const name of STORES) {
+            if (!db.objectStoreNames.contains(name)) {
+              db.createObjectStore(name, { keyPath: 'id' });
+            }
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._db = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * Runs a single request inside a transaction and resolves once the transaction commits.
+   * @param {string} storeName - The object store to operate on
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request to execute
+   * @returns {Promise<any>} The result of the request
+   * @private
+   */
+  async _run(storeName, mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Inserts or replaces a transfer record.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {Object} record - The serializable transfer state (must contain an `id`)
+   * @returns {Promise<void>}
+   */
+  async save(kind, record) {
+    await this._run(kind, 'readwrite', store => store.put(record));
+  }
+
+  /**
+   * Removes a transfer record.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   * @returns {Promise<void>}
+   */
+  async remove(kind, id) {
+    await this._run(kind, 'readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Reads every persisted transfer record of a kind.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @returns {Promise<Object[]>} The stored records
+   */
+  async getAll(kind) {
+    return await this._run(kind, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Remembers a file system handle, or forgets it when `handle` is null.
+   * @param {string} name - What the handle is for, e.g. 'downloadDirectory'
+   * @param {FileSystemHandle|null} handle - The handle
+   * @returns {Promise<void>}
+   */
+  async saveHandle(name, handle) {
+    await this._run('handles', 'readwrite', store =>
+      handle ? store.put({ id: name, handle }) : store.delete(name)
+    );
+  }
+
+  /**
+   * Reads a remembered file system handle.
+   * @param {string} name - What the handle is for
+   * @returns {Promise<FileSystemHandle|null>} The handle, or null if none was saved
+   */
+  async getHandle(name) {
+    const record = await this._run('handles', 'readonly', store => store.get(name));
+    return record ? record.handle : null;
+  }
+}
+
+export default new TransferPersistenceService();
@@ -0,0 +1,39 @@
+import ApiService from '@/api/ApiService';
+
+/**
+ * Service for the /trash API endpoints: listing, restoring and purging deleted cases,
+ * collections and files.
+ */
+class TrashService {
+  /**
+   * Fetches the deleted items the current user may restore or purge.
+   * @returns {Promise<{data: Array}>} Entries of `{ resource, record, caseName }`, newest first
+   */
+  async getTrash() {
+    return await ApiService.get('/trash');
+  }
+
+  /**
+   * Restores a deleted item, together with everything that was deleted along with it.
+   * @param {('cases'|'collections'|'files')} resource - The kind of item
+   * @param {string} id - The unique ID of the item
+   * @returns {Promise<{data: Object}>} The restored record
+   */
+  async restore(resource, id) {
+    return await ApiService.post(`/trash/${resource}/${id}/restore`);
+  }
+
+  /**
+   * Permanently deletes an item and everything inside it, including the stored files. Works on
+   * items that are not in the trash too.
+   * @param {('cases'|'collections'|'files')} resource - The kind of item
+   * @param {string} id - The unique ID of the item
+   * @returns {Promise<{data: {purged: {cases: string[], collections: string[], files: string[]}}}>}
+   *   The IDs of every record that was deleted
+   */
+  async purge(resource, id) {
+    return await ApiService.delete(`/trash/${resource}/${id}`);
+  }
+}
+
+export default new TrashService();
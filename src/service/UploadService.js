@@ -1,27 +1,85 @@
+import BandwidthService from '@/service/BandwidthService';
+import TokenService from '@/service/TokenService';
 import { Upload } from 'tus-js-client';
 
+const UPLOAD_URL = 'http://localhost:4000/uploads/';
+const FILES_URL = 'http://localhost:4000/files';
+const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks
+
+/**
+ * Attaches the current access token to every TUS request.
+ * @param {import('tus-js-client').HttpRequest} req
+ */
+const authorize = async req => {
+  const token = await TokenService.getValidAccessToken();
+  if (token) req.setHeader('Authorization', `Bearer ${token}`);
+};
+
+/**
+ * Mirrors tus-js-client's default retry rule, but also retries a 401 once the rejected access
+ * token has been dropped, so the next attempt goes out with a refreshed one.
+ * @param {import('tus-js-client').DetailedError} err
+ * @returns {boolean}
+ */
+const shouldRetry = err => {
+  const status = err.originalResponse ? err.originalResponse.getStatus() : 0;
+  if (status === 401) {
+    TokenService.invalidateAccessToken();
+    return true;
+  }
+  return (!(status >= 400 && status < 500) || status === 409 || status === 423) && navigator.onLine;
+};
+
 class UploadService {
   /**
    * Starts an upload using tus-js-client.
+   * The server stores the bytes under the file record ID, which is what downloads address later.
    *
+   * Chunks are paced to the bandwidth limits (see `BandwidthService`): each waits until the limits
+   * allow it, and chunks shrink to about a second's worth while a limit applies.
+   *
+   * @param {string} fileId - The ID of the file record the bytes belong to
    * @param {File} file
-   * @param {Object} callbacks - { onProgress, onSuccess, onError }
+   * @param {Object} callbacks - { onProgress, onSuccess, onError, onUploadUrl, onChunkComplete }
+   * @param {Object} [options={}] - Resume and pacing options
+   * @param {string} [options.uploadUrl] - The TUS upload URL recorded before a page reload, to
+   *   re-attach the file to its existing upload
+   * @param {import('@/service/BandwidthService').RateLimiter} [options.limiter] - This upload's own
+   *   bandwidth limit
    * @returns {Object} A resumable upload instance with abort, start, cancel methods
    */
-  startUpload(file, callbacks) {
+  startUpload(fileId, file, callbacks, options = {}) {
     console.log(`[UploadService] Starting background upload for ${file.name}`);
 
     let lastBytes = 0;
     let lastTime = performance.now();
     let computedSpeed = 0; // bytes per second
+    let pacing = new AbortController(); // Stops waiting for the bandwidth limit on pause
+
+    // Authorizes each request and holds each chunk back until the bandwidth limits allow it
+    const beforeRequest = async req => {
+      await authorize(req);
+      if (req.getMethod() !== 'PATCH') return;
+
+      const offset = Number(req.getHeader('Upload-Offset')) || 0;
+      const bytes = Math.min(upload.options.chunkSize, file.size - offset);
+      if (!(await BandwidthService.throttle('uploads', options.limiter, bytes, pacing.signal))) {
+        throw new Error('Upload paused'); // Ignored by tus-js-client once aborted
+      }
+      // Sizes the next chunk to the limits as they are now
+      upload.options.chunkSize = BandwidthService.chunkSize('uploads', options.limiter, CHUNK_SIZE);
+    };
 
     const upload = new Upload(file, {
-      endpoint: 'http://localhost:1080/files/',
+      endpoint: UPLOAD_URL,
       retryDelays: [0, 1000, 3000, 5000], // Fail fast: max 9 seconds before throwing onError
-      chunkSize: 5 * 1024 * 1024, // 5MB chunks
+      chunkSize: BandwidthService.chunkSize('uploads', options.limiter, CHUNK_SIZE),
       //   parallelUploads: 4, // 4 concurrent chunks
       // Removed parallelUploads due to tus-js-client infinite retry bug when server is down
+      onBeforeRequest: beforeRequest,
+      onShouldRetry: shouldRetry,
       metadata: {
+        fileId,
         filename: file.name,
         filetype: file.type || 'application/octet-stream', // octet-stream is internet media type (MIME type) used to indicate arbitrary binary data with an unknown or unspecified file type
       },
@@ -48,6 +106,12 @@ class UploadService {
 
         if (callbacks.onProgress) callbacks.onProgress(parseFloat(percentage), computedSpeed);
       },
+      onChunkComplete: function (chunkSize, bytesAccepted, bytesTotal) {
+        if (callbacks.onChunkComplete) callbacks.onChunkComplete(bytesAccepted, bytesTotal);
+      },
+      onUploadUrlAvailable: function () {
+        if (callbacks.onUploadUrl) callbacks.onUploadUrl(upload.url);
+      },
       onSuccess: function () {
         console.log(
           `[UploadService] Download ${upload.file.name} successfully uploaded to ${upload.url}`
@@ -56,25 +120,99 @@ class UploadService {
       },
     });
 
-    upload.start();
+    if (options.uploadUrl) {
+      this._resumeUpload(upload, options.uploadUrl);
+    } else {
+      upload.start();
+    }
 
     return {
       file,
       abort: () => {
+        pacing.abort();
         if (upload) upload.abort();
         console.log(`[UploadService] Paused upload for ${file.name}`);
       },
       start: () => {
+        pacing = new AbortController();
         if (upload) upload.start();
         console.log(`[UploadService] Resumed upload for ${file.name}`);
       },
       cancel: () => {
         // Passing true to abort() will terminate the upload and send a DELETE request
+        pacing.abort();
         if (upload) upload.abort(true);
         console.log(`[UploadService] Cancelled and terminated upload for ${file.name}`);
       },
     };
   }
+
+  /**
+   * Re-attaches a reselected file to the upload it belonged to before a page reload.
+   * Prefers the fingerprint entry tus-js-client stored for the file, and falls back to the
+   * recorded URL when that entry is gone (e.g. the browser storage was cleared).
+   *
+   * @param {Upload} upload - The freshly constructed TUS upload
+   * @param {string} uploadUrl - The TUS upload URL recorded for this transfer
+   * @private
+   */
+  async _resumeUpload(upload, uploadUrl) {
+    try {
+      const previousUploads = await upload.findPreviousUploads();
+      const match = previousUploads.find(prev => prev.uploadUrl === uploadUrl);
+      if (match) {
+        upload.resumeFromPreviousUpload(match);
+      } else {
+        upload.options.uploadUrl = uploadUrl;
+      }
+    } catch (err) {
+      console.warn('[UploadService] Could not look up previous uploads, using stored URL', err);
+      upload.options.uploadUrl = uploadUrl;
+    }
+    upload.start();
+  }
+
+  /**
+   * Asks the file server to store a file by reusing content it already has, e.g. the same video
+   * uploaded into another collection, so that no bytes need to be sent.
+   *
+   * @param {string} fileId - The ID of the file record the content belongs to
+   * @param {File} file
+   * @param {string} sha256 - The SHA-256 of the file as lowercase hex
+   * @param {Object} [options]
+   * @param {boolean} [options.staged=false] - Whether sending the bytes has started; the server
+   *   then declines if that upload has finished meanwhile, instead of storing the file twice
+   * @returns {Promise<boolean>} true if the file is stored now, false if it has to be uploaded
+   */
+  async deduplicate(fileId, file, sha256, { staged = false } = {}) {
+    const response = await TokenService.authorizedFetch(`${FILES_URL}/${fileId}/deduplicate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sha256,
+        size: file.size,
+        filename: file.name,
+        filetype: file.type || 'application/octet-stream',
+        staged,
+      }),
+    });
+    if (response.status === 404) return false;
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+    console.log(`[UploadService] ${file.name} is stored already, nothing to upload`);
+    return true;
+  }
+
+  /**
+   * Terminates an upload on the TUS server without needing the original file.
+   * Used for transfers restored after a reload that the user decides to cancel.
+   *
+   * @param {string} uploadUrl - The TUS upload URL to terminate
+   * @returns {Promise<void>}
+   */
+  async terminateUpload(uploadUrl) {
+    await Upload.terminate(uploadUrl, { retryDelays: [0, 1000], onBeforeRequest: authorize });
+    console.log(`[UploadService] Terminated upload at ${uploadUrl}`);
+  }
 }
 
 export default new UploadService();
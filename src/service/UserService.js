@@ -0,0 +1,17 @@
+import ApiService from '@/api/ApiService';
+
+/**
+ * Service for reading user accounts from the /users API endpoint.
+ * Accounts are read-only through the API; they are managed in db.json.
+ */
+class UserService {
+  /**
+   * Fetches all users (without credentials).
+   * @returns {Promise<{data: Array}>} List of user objects
+   */
+  async getUsers() {
+    return await ApiService.get('/users');
+  }
+}
+
+export default new UserService();
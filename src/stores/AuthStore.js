@@ -1,5 +1,7 @@
 import AuthService from '@/service/AuthService';
+import TokenService from '@/service/TokenService';
 import { defineStore } from 'pinia';
+import { useTransferStore } from '@/stores/TransferStore';
 import { ref } from 'vue';
 
 /**
@@ -7,12 +9,36 @@ import { ref } from 'vue';
  * @property {string} id - Unique ID of the user
  * @property {string} email - User's email
  * @property {string} name - User's name
- * @property {string} role - User's role for conditional rendering
+ * @property {string} role - User's role
+ * @property {string[]} permissions - What the role allows, e.g. `file:delete` (see {@link can})
+ */
+
+/** Log out after this long without user activity (ms) */
+const IDLE_TIMEOUT = 30 * 60 * 1000;
+
+/** Show the session warning this long before an automatic logout (ms) */
+const WARNING_PERIOD = 60 * 1000;
+
+/** Minimum time between activity broadcasts to other tabs (ms) */
+const ACTIVITY_BROADCAST_INTERVAL = 10 * 1000;
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * @typedef {Object} SessionWarning
+ * @property {('idle'|'expiry')} reason - Why the session is about to end
+ * @property {number} secondsLeft - Seconds until the automatic logout
  */
 
 /**
  * Store for managing authentication state and actions.
  * Coordinates with AuthService to authenticate users.
+ *
+ * Besides logging in and out it keeps the session alive across reloads (restored from the
+ * refresh token cookie on boot), ends it after a period of inactivity or when the refresh token
+ * is about to expire (warning the user first), and keeps all open tabs in sync through a
+ * BroadcastChannel: logging in or out in one tab does the same in the others, and activity in any
+ * tab keeps the whole session from idling out.
  */
 export const useAuthStore = defineStore('auth', () => {
   /** @type {import('vue').Ref<boolean>} State indicating if the user is authenticated */
@@ -27,6 +53,163 @@ export const useAuthStore = defineStore('auth', () => {
   /** @type {import('vue').Ref<string|null>} Authentication error message */
   const error = ref(null);
 
+  /** @type {import('vue').Ref<SessionWarning|null>} Set while an automatic logout is imminent */
+  const sessionWarning = ref(null);
+
+  /**
+   * @type {import('vue').Ref<('idle'|'expired'|'remote'|null)>} Why the session last ended
+   * without the user logging out here, shown on the login page
+   */
+  const logoutReason = ref(null);
+
+  /** @type {Promise<boolean>|null} The session restore started by the first navigation */
+  let restoring = null;
+
+  /** Timestamp of the last user activity in any tab */
+  let lastActivity = Date.now();
+  let lastActivityBroadcast = 0;
+
+  /** @type {number|null} Interval checking the idle and expiry deadlines */
+  let sessionTimer = null;
+
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('auth') : null;
+
+  const broadcast = message => {
+    if (channel) channel.postMessage(message);
+  };
+
+  // Long uploads and downloads need no clicking; they count as activity so they are not cut off
+  const hasRunningTransfers = () => {
+    const transferStore = useTransferStore();
+    return (
+      Object.values(transferStore.uploads).some(upload => upload.status === 'uploading') ||
+      Object.values(transferStore.downloads).some(download =>
+        ['downloading', 'verifying'].includes(download.status)
+      )
+    );
+  };
+
+  /**
+   * Records user activity, postponing the idle logout.
+   * Ignored while the idle warning is shown, which has to be dismissed explicitly.
+   * @param {boolean} [force=false] - Record the activity even while the idle warning is shown
+   */
+  const markActivity = (force = false) => {
+    if (!force && sessionWarning.value?.reason === 'idle') return;
+    lastActivity = Date.now();
+    if (lastActivity - lastActivityBroadcast > ACTIVITY_BROADCAST_INTERVAL) {
+      lastActivityBroadcast = lastActivity;
+      broadcast({ type: 'activity', at: lastActivity });
+    }
+  };
+
+  const onUserActivity = () => markActivity();
+
+  // Logs out once the idle or expiry deadline passes and raises the warning shortly before
+  const checkSession = () => {
+    if (hasRunningTransfers()) markActivity(true);
+
+    const now = Date.now();
+    const idleDeadline = lastActivity + IDLE_TIMEOUT;
+    const expiryDeadline = TokenService.getSessionExpiresAt() ?? Infinity;
+    const reason = idleDeadline <= expiryDeadline ? 'idle' : 'expiry';
+    const deadline = Math.min(idleDeadline, expiryDeadline);
+
+    if (now >= deadline) {
+      console.log(`[AuthStore] Session ended (${reason})`);
+      stopSessionTimers();
+      logout(reason === 'idle' ? 'idle' : 'expired');
+    } else if (deadline - now <= WARNING_PERIOD) {
+      sessionWarning.value = { reason, secondsLeft: Math.ceil((deadline - now) / 1000) };
+    } else {
+      sessionWarning.value = null;
+    }
+  };
+
+  const startSessionTimers = () => {
+    if (sessionTimer) return;
+    lastActivity = Date.now();
+    ACTIVITY_EVENTS.forEach(event =>
+      window.addEventListener(event, onUserActivity, { passive: true })
+    );
+    sessionTimer = setInterval(checkSession, 1000);
+  };
+
+  const stopSessionTimers = () => {
+    ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, onUserActivity));
+    clearInterval(sessionTimer);
+    sessionTimer = null;
+    sessionWarning.value = null;
+  };
+
+  /**
+   * Enters the authenticated state for the given user.
+   * @param {UserRecord} sessionUser
+   */
+  const setAuthenticated = sessionUser => {
+    user.value = sessionUser;
+    isAuthenticated.value = true;
+    logoutReason.value = null;
+    startSessionTimers();
+  };
+
+  /**
+   * Leaves the authenticated state without contacting the server.
+   * @param {('idle'|'expired'|'remote'|null)} reason - Why the session ended
+   */
+  const endSession = reason => {
+    TokenService.clear();
+    stopSessionTimers();
+    user.value = null;
+    isAuthenticated.value = false;
+    logoutReason.value = reason;
+  };
+
+  // The refresh token was rejected (expired or revoked): drop the local session too
+  TokenService.onSessionEnded(() => endSession('expired'));
+
+  // Every refresh returns the current user record, keeping its role up to date
+  TokenService.onSessionStarted(data => {
+    if (isAuthenticated.value) user.value = data.user;
+  });
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (data.type === 'logout' && isAuthenticated.value) {
+        console.log('[AuthStore] Logged out in another tab');
+        endSession('remote');
+      } else if (data.type === 'login' && !isAuthenticated.value) {
+        console.log('[AuthStore] Logged in in another tab');
+        restoring = null;
+        restoreSession();
+      } else if (data.type === 'activity') {
+        lastActivity = Math.max(lastActivity, data.at);
+      }
+    };
+  }
+
+  /**
+   * Restores the session of a previous page load, once per page load (or per login in another
+   * tab). Awaited by the router before the first navigation.
+   * @returns {Promise<boolean>} Whether a session was restored
+   */
+  const restoreSession = () => {
+    if (!restoring) {
+      restoring = (async () => {
+        if (isAuthenticated.value) return true;
+        try {
+          const response = await AuthService.restoreSession();
+          setAuthenticated(response.data.user);
+          console.log('[AuthStore] Session restored');
+          return true;
+        } catch {
+          return false;
+        }
+      })();
+    }
+    return restoring;
+  };
+
   /**
    * Logs in a user.
    * @param {string} email - The user's email address
@@ -39,8 +222,8 @@ export const useAuthStore = defineStore('auth', () => {
     try {
       const response = await AuthService.login(email, password);
       // Determine user object based on standard API formats
-      user.value = response?.data?.user || response?.data || response || {};
-      isAuthenticated.value = true;
+      setAuthenticated(response?.data?.user || response?.data || response || {});
+      broadcast({ type: 'login' });
       return user.value;
     } catch (e) {
       console.error('Login failed:', e);
@@ -52,10 +235,42 @@ export const useAuthStore = defineStore('auth', () => {
   };
 
   /**
-   * Logs out the current user.
+   * Tells whether the current user may do something. The server enforces the same permissions;
+   * this only decides what the UI offers.
+   *
+   * Within a case (and its collections and files) what counts is the user's role in that case,
+   * which the server sends along with each case record as its `permissions`.
+   * @param {string|string[]} permissions - Permissions such as `case:create` or `file:download`
+   * @param {{permissions?: string[]}|null} [caseRecord] - The case the action concerns
+   * @returns {boolean} True if the user has all of them
+   */
+  const can = (permissions, caseRecord = null) => {
+    const granted = caseRecord ? caseRecord.permissions || [] : user.value?.permissions || [];
+    return [].concat(permissions).every(permission => granted.includes(permission));
+  };
+
+  /**
+   * Keeps the session going after a warning: counts as activity and refreshes the tokens, which
+   * also extends the refresh token's expiry.
+   * @returns {Promise<void>}
+   */
+  const staySignedIn = async () => {
+    markActivity(true);
+    sessionWarning.value = null;
+    try {
+      await TokenService.refresh();
+    } catch (e) {
+      console.error('Session refresh failed:', e);
+    }
+  };
+
+  /**
+   * Logs out the current user, here and in every other open tab.
+   * @param {('idle'|'expired'|null)} [reason=null] - Set when the logout was not requested by
+   *   the user, so the login page can explain it
    * @returns {Promise<void>}
    */
-  const logout = async () => {
+  const logout = async (reason = null) => {
     loading.value = true;
     try {
       await AuthService.logout();
@@ -63,8 +278,8 @@ export const useAuthStore = defineStore('auth', () => {
       console.error('Logout failed:', e);
       // We might still want to clear local state even if server logout fails
     } finally {
-      user.value = null;
-      isAuthenticated.value = false;
+      endSession(reason);
+      broadcast({ type: 'logout' });
       loading.value = false;
     }
   };
@@ -74,7 +289,12 @@ export const useAuthStore = defineStore('auth', () => {
     user,
     loading,
     error,
+    sessionWarning,
+    logoutReason,
+    restoreSession,
+    can,
     login,
+    staySignedIn,
     logout,
   };
 });
@@ -9,6 +9,16 @@ import { ref } from 'vue';
  * @property {Date|null} created - Date when the case was created
  * @property {Date|null} updated - Date when the case was last updated
  * @property {string} type - Resource type (e.g., 'Case')
+ * @property {string} ownerId - ID of the user who created the case
+ * @property {CaseMember[]} members - Users the case is shared with
+ * @property {string[]} permissions - What the current user may do in this case (set by the server)
+ */
+
+/**
+ * @typedef {Object} CaseMember
+ * @property {string} userId - ID of the user
+ * @property {('viewer'|'editor')} role - Viewers can browse and download, editors can also manage
+ *   collections and files
  */
 
 /**
@@ -16,29 +26,40 @@ import { ref } from 'vue';
  * Coordinates with CaseService to persist changes to the backend.
  */
 export const useCaseStore = defineStore('case', () => {
-  /** @type {import('vue').Ref<CaseRecord[]>} List of all available cases */
+  /** @type {import('vue').Ref<CaseRecord[]>} Cases the current user can access */
   const cases = ref([]);
 
-  /** @type {import('vue').Ref<number>} Total number of cases found */
+  /** @type {import('vue').Ref<number>} Total number of cases matching the current filters */
   const totalRecords = ref(0);
 
   /** @type {import('vue').Ref<boolean>} Loading state for case-related operations */
   const loading = ref(false);
 
   /**
-   * Loads all cases from the backend.
+   * @type {import('vue').Ref<CaseRecord|null>} The case whose collections or files are being
+   * viewed, used to check what the user may do there
+   */
+  const activeCase = ref(null);
+
+  // Converts the date strings of a case from the API into Date objects
+  const toCaseRecord = item => ({
+    ...item,
+    created: item.created ? new Date(item.created) : null,
+    updated: item.updated ? new Date(item.updated) : null,
+  });
+
+  /**
+   * Loads the cases the current user owns or is a member of (all cases for admins); the server
+   * leaves out the others. Only the page described by the table event is loaded.
+   * @param {Object} [event={}] - Table event for filtering/sorting/pagination
    * @returns {Promise<void>}
    */
-  const loadCases = async () => {
+  const loadCases = async (event = {}) => {
     loading.value = true;
     try {
-      const response = await CaseService.getCases();
-      cases.value = response.data.map(item => ({
-        ...item,
-        created: item.created ? new Date(item.created) : null,
-        updated: item.updated ? new Date(item.updated) : null,
-      }));
-      totalRecords.value = response.totalCount || response.data.length;
+      const response = await CaseService.getCases(event);
+      cases.value = response.data.map(toCaseRecord);
+      totalRecords.value = response.totalCount ?? response.data.length;
     } catch (error) {
       console.error('Failed to load cases:', error);
     } finally {
@@ -46,6 +67,22 @@ export const useCaseStore = defineStore('case', () => {
     }
   };
 
+  /**
+   * Loads a single case as the active case.
+   * @param {string} id - The ID of the case
+   * @returns {Promise<CaseRecord|null>} The case, or null if it cannot be accessed
+   */
+  const loadActiveCase = async id => {
+    if (activeCase.value?.id !== id) activeCase.value = null;
+    try {
+      const response = await CaseService.getCase(id);
+      activeCase.value = toCaseRecord(response.data);
+    } catch (error) {
+      console.error('Failed to load case:', error);
+    }
+    return activeCase.value;
+  };
+
   /**
    * Creates a new case record.
    * @param {Partial<CaseRecord>} data - The case metadata
@@ -93,7 +130,26 @@ export const useCaseStore = defineStore('case', () => {
   };
 
   /**
-   * Deletes a case record by ID.
+   * Replaces the members a case is shared with.
+   * @param {string} id - The ID of the case
+   * @param {CaseMember[]} members - The new member list
+   * @returns {Promise<CaseRecord>} The updated case record
+   */
+  const shareCase = async (id, members) => {
+    try {
+      const response = await CaseService.shareCase(id, members);
+      const updated = toCaseRecord(response.data);
+      cases.value = cases.value.map(c => (c.id === id ? updated : c));
+      if (activeCase.value?.id === id) activeCase.value = updated;
+      return updated;
+    } catch (e) {
+      console.error('Failed to share case:', e);
+      throw e;
+    }
+  };
+
+  /**
+   * Moves a case, with its collections and files, to the trash.
    * @param {string} id - The ID of the case to delete
    * @returns {Promise<void>}
    */
@@ -112,9 +168,12 @@ export const useCaseStore = defineStore('case', () => {
     cases,
     totalRecords,
     loading,
+    activeCase,
     loadCases,
+    loadActiveCase,
     createCase,
     updateCase,
+    shareCase,
     deleteCase,
   };
 });
@@ -21,27 +21,28 @@ export const useCollectionStore = defineStore('collection', () => {
   /** @type {import('vue').Ref<CollectionRecord[]>} List of collections for the active case */
   const collections = ref([]);
 
-  /** @type {import('vue').Ref<number>} Total number of collections found */
+  /** @type {import('vue').Ref<number>} Total number of collections matching the current filters */
   const totalRecords = ref(0);
 
   /** @type {import('vue').Ref<boolean>} Loading state for collection-related operations */
   const loading = ref(false);
 
   /**
-   * Loads all collections associated with a specific case.
+   * Loads the page of collections of a case described by the table event.
    * @param {string} caseId - The ID of the case to fetch collections for
+   * @param {Object} [event={}] - Table event for filtering/sorting/pagination
    * @returns {Promise<void>}
    */
-  const loadCollections = async caseId => {
+  const loadCollections = async (caseId, event = {}) => {
     loading.value = true;
     try {
-      const response = await CollectionService.getCollectionsByCase(caseId);
+      const response = await CollectionService.getCollectionsByCase(caseId, event);
       collections.value = response.data.map(item => ({
         ...item,
         created: item.created ? new Date(item.created) : null,
         updated: item.updated ? new Date(item.updated) : null,
       }));
-      totalRecords.value = response.totalCount || response.data.length;
+      totalRecords.value = response.totalCount ?? response.data.length;
     } catch (error) {
       console.error('Failed to load collections:', error);
     } finally {
@@ -49,6 +50,21 @@ export const useCollectionStore = defineStore('collection', () => {
     }
   };
 
+  /**
+   * Fetches a single collection, e.g. to find the case it belongs to.
+   * @param {string} id - The ID of the collection
+   * @returns {Promise<CollectionRecord|null>} The collection, or null if it cannot be accessed
+   */
+  const getCollection = async id => {
+    try {
+      const response = await CollectionService.getCollection(id);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to load collection:', error);
+      return null;
+    }
+  };
+
   /**
    * Creates a new collection record.
    * @param {string} caseId - The case ID to associate this collection with
@@ -98,7 +114,7 @@ export const useCollectionStore = defineStore('collection', () => {
   };
 
   /**
-   * Deletes a collection record by ID.
+   * Moves a collection, with its files, to the trash.
    * @param {string} id - The ID of the collection to delete
    * @returns {Promise<void>}
    */
@@ -118,6 +134,7 @@ export const useCollectionStore = defineStore('collection', () => {
     totalRecords,
     loading,
     loadCollections,
+    getCollection,
     createCollection,
     updateCollection,
     deleteCollection,
@@ -1,15 +1,47 @@
 import FileService from '@/service/FileService';
+import TrashService from '@/service/TrashService';
 import { defineStore } from 'pinia';
 import { ref } from 'vue';
 
+/** Names looked up per request when checking many files at once */
+const LOOKUP_BATCH = 50;
+
+/**
+ * Identifies a file within its collection: files with the same name in different folders of an
+ * uploaded folder are different files.
+ * @param {{name: string, path?: string}} file - A file record or a file about to be uploaded
+ * @returns {string}
+ */
+export const fileKey = ({ name, path }) => (path ? `${path}/${name}` : name);
+
 /**
  * @typedef {Object} FileRecord
  * @property {string} id - Unique ID of the file
  * @property {string} name - Name of the file
+ * @property {string} [path] - Folder the file was uploaded from, relative to the uploaded folder
+ *   (e.g. `photos/2024`); empty or missing for single files
  * @property {string} collectionId - ID of the collection this file belongs to
  * @property {Date|null} uploaded - Date when the file was uploaded
- * @property {string} type - File type (e.g., 'File')
+ * @property {string} type - MIME type of the content, or 'File' when unknown
  * @property {number} size - File size in bytes
+ * @property {string} [sha256] - Hex SHA-256 of the uploaded content, used to verify downloads
+ * @property {number} version - Number of the current version, starting at 1
+ * @property {{id: string, email: string}} [uploadedBy] - Who uploaded the current version
+ * @property {number|null} [restoredFrom] - The earlier version the current one was restored from
+ * @property {FileVersion[]} versions - The earlier versions, oldest first
+ * @property {{version: number, created: string}|null} [thumbnail] - When the server made the
+ *   thumbnail of the current version, if it has one
+ */
+
+/**
+ * @typedef {Object} FileVersion
+ * @property {number} version - The version number
+ * @property {number} size - Size in bytes
+ * @property {string} type - MIME type of the content
+ * @property {Date|null} uploaded - When it was uploaded
+ * @property {{id: string, email: string}|null} uploadedBy - Who uploaded it
+ * @property {string|null} sha256 - Hex SHA-256 of the content, when it was known
+ * @property {number|null} restoredFrom - The version it was a restore of, if any
  */
 
 /**
@@ -20,26 +52,43 @@ export const useFileStore = defineStore('file', () => {
   /** @type {import('vue').Ref<FileRecord[]>} List of files in the currently active collection */
   const files = ref([]);
 
-  /** @type {import('vue').Ref<number>} Total number of records available for the collection */
+  /** @type {import('vue').Ref<number>} Total number of files matching the current filters */
   const totalRecords = ref(0);
 
   /** @type {import('vue').Ref<boolean>} Loading state for file operations */
   const loading = ref(false);
 
+  // Converts the date strings of a file and its versions from the API into Date objects
+  const toFileRecord = item => ({
+    ...item,
+    uploaded: item.uploaded ? new Date(item.uploaded) : null,
+    versions: (item.versions || []).map(version => ({
+      ...version,
+      uploaded: version.uploaded ? new Date(version.uploaded) : null,
+    })),
+  });
+
+  // Replaces a file in the loaded list with its updated record
+  const replaceFile = record => {
+    const index = files.value.findIndex(f => f.id === record.id);
+    if (index !== -1) {
+      files.value[index] = record;
+      files.value = [...files.value];
+    }
+  };
+
   /**
-   * Loads files for a specific collection.
+   * Loads the page of files of a collection described by the table event.
    * @param {string} collectionId - The ID of the collection to fetch files for
+   * @param {Object} [event={}] - Table event for filtering/sorting/pagination
    * @returns {Promise<void>}
    */
-  const loadFiles = async collectionId => {
+  const loadFiles = async (collectionId, event = {}) => {
     loading.value = true;
     try {
-      const response = await FileService.getFilesByCollection(collectionId);
-      files.value = response.data.map(item => ({
-        ...item,
-        uploaded: item.uploaded ? new Date(item.uploaded) : null,
-      }));
-      totalRecords.value = response.totalCount || response.data.length;
+      const response = await FileService.getFilesByCollection(collectionId, event);
+      files.value = response.data.map(toFileRecord);
+      totalRecords.value = response.totalCount ?? response.data.length;
     } catch (error) {
       console.error('Failed to load files:', error);
     } finally {
@@ -47,6 +96,56 @@ export const useFileStore = defineStore('file', () => {
     }
   };
 
+  /**
+   * Lists every file of a collection, without touching the loaded page (e.g. to download them all).
+   * @param {string} collectionId - The ID of the collection
+   * @returns {Promise<FileRecord[]>}
+   */
+  const listAllFiles = async collectionId => {
+    const response = await FileService.getFilesByCollection(collectionId);
+    return response.data.map(toFileRecord);
+  };
+
+  /**
+   * Finds the file of a collection with exactly the given name and folder path, e.g. to upload a
+   * new version of it instead of a second file.
+   * @param {string} collectionId - The ID of the collection
+   * @param {string} name - The file name
+   * @param {string} [path=''] - The folder path of the file
+   * @returns {Promise<FileRecord|null>} The file, or null if there is none
+   */
+  const findFileByName = async (collectionId, name, path = '') => {
+    const response = await FileService.findFileByName(collectionId, name);
+    const match = response.data.find(item => (item.path || '') === path);
+    return match ? toFileRecord(match) : null;
+  };
+
+  /**
+   * Finds which of many files already exist in a collection, matching name and folder path.
+   * @param {string} collectionId - The ID of the collection
+   * @param {Array<{name: string, path?: string}>} wanted - The files looked for
+   * @returns {Promise<Map<string, FileRecord>>} The existing files by `fileKey`
+   */
+  const findFiles = async (collectionId, wanted) => {
+    const names = [...new Set(wanted.map(item => item.name))];
+    // The `in` filter separates names with commas, so names containing one are looked up alone
+    const listable = names.filter(name => !name.includes(','));
+    const requests = names
+      .filter(name => name.includes(','))
+      .map(name => FileService.findFileByName(collectionId, name));
+    for (let i = 0; i < listable.length; i += LOOKUP_BATCH) {
+      requests.push(
+        FileService.findFilesByNames(collectionId, listable.slice(i, i + LOOKUP_BATCH))
+      );
+    }
+
+    const found = new Map();
+    for (const response of await Promise.all(requests)) {
+      for (const item of response.data) found.set(fileKey(item), toFileRecord(item));
+    }
+    return found;
+  };
+
   /**
    * Creates a new file record in a collection.
    * @param {string} collectionId - The ID of the collection to add the file to
@@ -56,14 +155,14 @@ export const useFileStore = defineStore('file', () => {
   const createFile = async (collectionId, data) => {
     data.uploaded = new Date().toISOString();
     data.collectionId = collectionId;
-    data.type = 'File';
+    data.type = data.type || 'File';
     data.size = data.size || 1048576; // Default size if not provided
     try {
       const response = await FileService.createFile(data);
-      if (response.data.uploaded) response.data.uploaded = new Date(response.data.uploaded);
-      files.value = [response.data, ...files.value];
+      const record = toFileRecord(response.data);
+      files.value = [record, ...files.value];
       totalRecords.value++;
-      return response.data;
+      return record;
     } catch (e) {
       console.error('Failed to create file:', e);
       throw e;
@@ -79,13 +178,9 @@ export const useFileStore = defineStore('file', () => {
   const updateFile = async (id, data) => {
     try {
       const response = await FileService.updateFile(id, data);
-      if (response.data.uploaded) response.data.uploaded = new Date(response.data.uploaded);
-      const index = files.value.findIndex(f => f.id === id);
-      if (index !== -1) {
-        files.value[index] = response.data;
-        files.value = [...files.value];
-      }
-      return response.data;
+      const record = toFileRecord(response.data);
+      replaceFile(record);
+      return record;
     } catch (e) {
       console.error('Failed to update file:', e);
       throw e;
@@ -93,13 +188,36 @@ export const useFileStore = defineStore('file', () => {
   };
 
   /**
-   * Deletes a file record by ID.
+   * Makes an earlier version of a file its current content again. The restored content becomes a
+   * new version, so the current one stays in the history.
+   * @param {string} id - The ID of the file
+   * @param {number} version - The number of the version to restore
+   * @returns {Promise<FileRecord>} The updated file record
+   */
+  const restoreVersion = async (id, version) => {
+    try {
+      const response = await FileService.restoreVersion(id, version);
+      const record = toFileRecord(response.data);
+      replaceFile(record);
+      return record;
+    } catch (e) {
+      console.error('Failed to restore version:', e);
+      throw e;
+    }
+  };
+
+  /**
+   * Deletes a file record by ID, moving it to the trash unless `permanent` is set.
    * @param {string} id - The ID of the file to delete
+   * @param {Object} [options]
+   * @param {boolean} [options.permanent=false] - Delete the record and its stored content for good,
+   *   e.g. for an upload that was cancelled
    * @returns {Promise<void>}
    */
-  const deleteFile = async id => {
+  const deleteFile = async (id, { permanent = false } = {}) => {
     try {
-      await FileService.deleteFile(id);
+      if (permanent) await TrashService.purge('files', id);
+      else await FileService.deleteFile(id);
       files.value = files.value.filter(f => f.id !== id);
       totalRecords.value--;
     } catch (e) {
@@ -113,8 +231,12 @@ export const useFileStore = defineStore('file', () => {
     totalRecords,
     loading,
     loadFiles,
+    listAllFiles,
+    findFileByName,
+    findFiles,
     createFile,
     updateFile,
+    restoreVersion,
     deleteFile,
   };
 });
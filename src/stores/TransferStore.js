@@ -1,16 +1,146 @@
-import DownloadService from '@/service/DownloadService';
+import BandwidthService from '@/service/BandwidthService';
+import ChecksumService from '@/service/ChecksumService';
+import DownloadService, { CONFLICT_ACTIONS } from '@/service/DownloadService';
+import TransferPersistenceService from '@/service/TransferPersistenceService';
 import UploadService from '@/service/UploadService';
 import { useFileStore } from '@/stores/FileStore';
 import { defineStore } from 'pinia';
-import { ref } from 'vue';
+import { ref, toRaw } from 'vue';
+
+/** Transfer fields written to IndexedDB; everything else is runtime-only state */
+const PERSISTED_FIELDS = [
+  'id',
+  'fileName',
+  'fileRecord',
+  'status',
+  'progress',
+  'bytesTransferred',
+  'totalBytes',
+  'uploadUrl',
+  'newVersion',
+  'fileHandle',
+  'chunkMap',
+  'etag',
+  'speedLimit',
+  'schedule',
+  'deduplicationChecked',
+];
+
+/** localStorage key holding the user's transfer settings */
+const SETTINGS_KEY = 'transfer-settings';
+
+/** Default number of transfers of each kind allowed to run at the same time */
+const DEFAULT_MAX_ACTIVE = 3;
+
+/** Bytes in a KB, the unit speed limits are set in */
+const KB = 1024;
+
+/** How often schedules are checked, in milliseconds */
+const SCHEDULE_INTERVAL = 30 * 1000;
+
+/** Statuses that occupy a transfer slot, per kind */
+const ACTIVE_STATUSES = {
+  uploads: ['uploading', 'network_paused'],
+  downloads: ['downloading', 'network_paused'],
+};
+
+/** The status a transfer enters once it is promoted out of the queue, per kind */
+const RUNNING_STATUS = {
+  uploads: 'uploading',
+  downloads: 'downloading',
+};
+
+/**
+ * Reads the saved transfer settings, ignoring malformed values.
+ * @returns {Object} The stored settings, or an empty object
+ */
+const loadSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Converts an `HH:MM` time of day to minutes after midnight.
+ * @param {string} time
+ * @returns {number|null} The minutes, or null if the time is malformed
+ */
+const minutesOf = time => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Checks a schedule and brings it into the stored form, with `startAt` as a timestamp.
+ * @param {TransferSchedule|null|undefined} schedule - The schedule, with `startAt` as anything
+ *   `Date` accepts
+ * @returns {TransferSchedule|null} The schedule, or null for none
+ * @throws {Error} If the schedule is malformed
+ */
+const normalizeSchedule = schedule => {
+  if (!schedule) return null;
+  if (schedule.startAt !== undefined) {
+    const startAt = new Date(schedule.startAt).getTime();
+    if (Number.isNaN(startAt)) throw new Error('Invalid start time');
+    return { startAt };
+  }
+  const { start, end } = schedule.window || {};
+  if (minutesOf(start) === null || minutesOf(end) === null) {
+    throw new Error('Invalid time window');
+  }
+  return { window: { start, end } };
+};
+
+/**
+ * Whether a transfer may run at the given moment. A window whose end is before its start spans
+ * midnight; one that starts and ends at the same time is open all day.
+ * @param {TransferSchedule|null} schedule - The transfer's schedule, if any
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+const isWithinSchedule = (schedule, now = new Date()) => {
+  if (!schedule) return true;
+  if (schedule.startAt) return now.getTime() >= schedule.startAt;
+
+  const start = minutesOf(schedule.window.start);
+  const end = minutesOf(schedule.window.end);
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  if (start === end) return true;
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+/**
+ * When a transfer may run: from a given moment on, or every day within a window of local time.
+ * @typedef {Object} TransferSchedule
+ * @property {number} [startAt] - Timestamp the transfer starts at; used up once it has started
+ * @property {{start: string, end: string}} [window] - Daily window as `HH:MM` times, e.g.
+ *   20:00–06:00; the transfer is paused while it is closed
+ */
 
 /**
  * @typedef {Object} UploadItem
  * @property {string} id - Unique ID of the upload
  * @property {string} fileName - Name of the file
+ * @property {Object} fileRecord - The file metadata record ({ id, name, size, type })
  * @property {number} progress - Progress percentage (0-100)
  * @property {number} speed - Upload speed in bytes per second
- * @property {('uploading'|'paused'|'completed'|'error')} status - Current upload status
+ * @property {boolean} hashing - Whether the file is being hashed to look for it on the server
+ * @property {number} hashedBytes - Bytes of the file hashed so far
+ * @property {boolean} deduplicationChecked - Whether the server was asked for the file's content
+ *   already, so a resumed upload knows not to ask again
+ * @property {boolean} deduplicated - Whether the server reused content it had instead of
+ *   receiving the file's bytes
+ * @property {number} bytesTransferred - Bytes acknowledged by the TUS server
+ * @property {number} totalBytes - Total size of the file in bytes
+ * @property {number} speedLimit - This transfer's own speed limit in KB/s, 0 for none
+ * @property {TransferSchedule|null} schedule - When the transfer may run, null for any time
+ * @property {string|null} uploadUrl - The TUS upload URL, used to resume after a reload
+ * @property {boolean} newVersion - Whether this replaces the content of an existing file, whose
+ *   record must then survive a cancelled or failed upload
+ * @property {('queued'|'scheduled'|'uploading'|'paused'|'network_paused'|'interrupted'|'completed'|'error')} status - Current upload status
  * @property {any} uploadInstance - The TUS/Upload instance for controlling the transfer
  */
 
@@ -18,15 +148,34 @@ import { ref } from 'vue';
  * @typedef {Object} DownloadItem
  * @property {string} id - Unique ID of the download
  * @property {string} fileName - Name of the file
+ * @property {Object} fileRecord - The file metadata record being downloaded
  * @property {number} progress - Progress percentage (0-100)
  * @property {number} speed - Download speed in bytes per second
- * @property {('downloading'|'paused'|'completed'|'error')} status - Current download status
+ * @property {number} bytesTransferred - Bytes written to disk
+ * @property {number} totalBytes - Total size of the file in bytes
+ * @property {number} speedLimit - This transfer's own speed limit in KB/s, 0 for none
+ * @property {TransferSchedule|null} schedule - When the transfer may run, null for any time
+ * @property {FileSystemFileHandle|null} fileHandle - The save location, used to resume after a reload
+ * @property {{blockSize: number, bits: Uint8Array}|null} chunkMap - Bitmap of blocks committed to disk
+ * @property {string|null} etag - Entity tag of the server's file the blocks on disk came from
+ * @property {{attempt: number, maxRetries: number, retryAt: number}|null} retryInfo - Set while a failed chunk waits to be retried
+ * @property {('queued'|'scheduled'|'downloading'|'paused'|'network_paused'|'interrupted'|'verifying'|'completed'|'corrupt'|'error')} status - Current download status
  * @property {any} abortController - The controller for pausing/resuming/aborting the download
  */
 
 /**
  * Store for managing background file transfers (uploads and downloads).
  * Provides state tracking and control methods for resumable transfers.
+ * Unfinished transfers are persisted to IndexedDB and restored as 'interrupted' after a reload.
+ * Transfers wait in a per-kind FIFO queue and are promoted automatically while fewer than the
+ * configured maximum are active.
+ * Uploaded files are hashed so finished downloads can be checked against the original bytes.
+ * Uploads are hashed while they queue and run, and content the server already has is reused
+ * instead of sent again.
+ * Many files can be downloaded at once into a folder chosen once and remembered across sessions.
+ * Bandwidth can be capped for all uploads, all downloads and single transfers, live.
+ * Transfers can be scheduled to start later or to run only within a daily window; they wait as
+ * 'scheduled' and are paused and resumed as their window closes and reopens.
  */
 export const useTransferStore = defineStore('transfer', () => {
   /** @type {import('vue').Ref<Object.<string, UploadItem>>} List of active/recent uploads indexed by ID */
@@ -38,6 +187,78 @@ export const useTransferStore = defineStore('transfer', () => {
   /** @type {import('vue').Ref<boolean>} Whether the transfer management panel is visible */
   const panelVisible = ref(false);
 
+  const savedSettings = loadSettings();
+
+  /** @type {import('vue').Ref<number>} Maximum number of uploads running at the same time */
+  const maxActiveUploads = ref(savedSettings.maxActiveUploads || DEFAULT_MAX_ACTIVE);
+
+  /** @type {import('vue').Ref<number>} Maximum number of downloads running at the same time */
+  const maxActiveDownloads = ref(savedSettings.maxActiveDownloads || DEFAULT_MAX_ACTIVE);
+
+  /** @type {import('vue').Ref<number>} Speed limit shared by all uploads in KB/s, 0 for none */
+  const uploadSpeedLimit = ref(savedSettings.uploadSpeedLimit || 0);
+
+  /** @type {import('vue').Ref<number>} Speed limit shared by all downloads in KB/s, 0 for none */
+  const downloadSpeedLimit = ref(savedSettings.downloadSpeedLimit || 0);
+
+  BandwidthService.setLimit('uploads', uploadSpeedLimit.value * KB);
+  BandwidthService.setLimit('downloads', downloadSpeedLimit.value * KB);
+
+  /**
+   * @type {import('vue').Ref<FileSystemDirectoryHandle|null>} Folder batch downloads are saved
+   *   to, remembered across sessions
+   */
+  const downloadDirectory = ref(null);
+
+  /** @type {import('vue').Ref<('skip'|'overwrite'|'rename')>} What batch downloads do with files that already exist */
+  const downloadConflict = ref(
+    CONFLICT_ACTIONS.includes(savedSettings.downloadConflict)
+      ? savedSettings.downloadConflict
+      : 'rename'
+  );
+
+  /** @type {import('vue').Ref<string[]>} IDs of queued uploads, in the order they will start */
+  const uploadQueue = ref([]);
+
+  /** @type {import('vue').Ref<string[]>} IDs of queued downloads, in the order they will start */
+  const downloadQueue = ref([]);
+
+  /**
+   * Functions that start a queued transfer once it is promoted, keyed by `${kind}:${id}`.
+   * Kept outside of reactive state since they close over File objects and service instances.
+   * @type {Map<string, Function>}
+   */
+  const launchers = new Map();
+
+  /**
+   * Bandwidth limits of single transfers, keyed by `${kind}:${id}`; the services read them with
+   * every chunk, so changing one takes effect on a running transfer.
+   * @type {Map<string, import('@/service/BandwidthService').RateLimiter>}
+   */
+  const limiters = new Map();
+
+  /**
+   * Hashing of uploads looking for their content on the server, keyed by upload ID, so cancelling
+   * an upload stops it.
+   * @type {Map<string, AbortController>}
+   */
+  const hashers = new Map();
+
+  /**
+   * Returns the bandwidth limit of a transfer, set up from its `speedLimit` on first use.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   * @returns {import('@/service/BandwidthService').RateLimiter}
+   */
+  const limiterOf = (kind, id) => {
+    const key = `${kind}:${id}`;
+    if (!limiters.has(key)) {
+      const item = (kind === 'uploads' ? uploads : downloads).value[id];
+      limiters.set(key, BandwidthService.createLimiter(((item && item.speedLimit) || 0) * KB));
+    }
+    return limiters.get(key);
+  };
+
   /**
    * Toggles the visibility of the transfer management panel.
    */
@@ -45,13 +266,437 @@ export const useTransferStore = defineStore('transfer', () => {
     panelVisible.value = !panelVisible.value;
   };
 
+  // ---- PERSISTENCE ----
+
+  /**
+   * Writes the serializable part of a transfer to IndexedDB.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   */
+  const persist = (kind, id) => {
+    const item = (kind === 'uploads' ? uploads : downloads).value[id];
+    if (!item) return;
+
+    // IndexedDB cannot clone Vue proxies, so unwrap before saving
+    const raw = toRaw(item);
+    const record = {};
+    for (const field of PERSISTED_FIELDS) {
+      if (raw[field] !== undefined) record[field] = toRaw(raw[field]);
+    }
+    record.fileRecord = { ...record.fileRecord };
+
+    TransferPersistenceService.save(kind, record).catch(err =>
+      console.error(`[TransferStore] Failed to persist ${kind} ${id}:`, err)
+    );
+  };
+
+  /**
+   * Removes a transfer from IndexedDB once there is nothing left to resume.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   */
+  const forget = (kind, id) => {
+    TransferPersistenceService.remove(kind, id).catch(err =>
+      console.error(`[TransferStore] Failed to remove persisted ${kind} ${id}:`, err)
+    );
+  };
+
+  /**
+   * Rehydrates unfinished transfers saved before the last page unload.
+   * Restored transfers are marked 'interrupted' until the user explicitly resumes them, since
+   * uploads need the file reselected and downloads need disk permission granted again.
+   * @returns {Promise<void>}
+   */
+  const restoreTransfers = async () => {
+    try {
+      const [savedUploads, savedDownloads, savedDirectory] = await Promise.all([
+        TransferPersistenceService.getAll('uploads'),
+        TransferPersistenceService.getAll('downloads'),
+        TransferPersistenceService.getHandle('downloadDirectory'),
+      ]);
+      downloadDirectory.value = savedDirectory;
+
+      for (const record of savedUploads) {
+        uploads.value[record.id] = {
+          ...record,
+          speed: 0,
+          status: 'interrupted',
+          uploadInstance: null,
+        };
+      }
+      for (const record of savedDownloads) {
+        downloads.value[record.id] = {
+          ...record,
+          speed: 0,
+          retryInfo: null,
+          status: 'interrupted',
+          abortController: null,
+        };
+      }
+
+      if (savedUploads.length || savedDownloads.length) {
+        console.log(
+          `[TransferStore] Restored ${savedUploads.length} upload(s) and ${savedDownloads.length} download(s)`
+        );
+        panelVisible.value = true;
+      }
+
+      uploads.value = { ...uploads.value };
+      downloads.value = { ...downloads.value };
+    } catch (e) {
+      console.error('[TransferStore] Failed to restore persisted transfers:', e);
+    }
+  };
+
+  // ---- QUEUE ----
+
+  /**
+   * Resolves the reactive collections backing a transfer kind.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @returns {{ items: import('vue').Ref<Object>, queue: import('vue').Ref<string[]>, limit: import('vue').Ref<number> }}
+   */
+  const stateOf = kind =>
+    kind === 'uploads'
+      ? { items: uploads, queue: uploadQueue, limit: maxActiveUploads }
+      : { items: downloads, queue: downloadQueue, limit: maxActiveDownloads };
+
+  /**
+   * Counts the transfers of a kind currently holding a slot.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @returns {number}
+   */
+  const activeCount = kind =>
+    Object.values(stateOf(kind).items.value).filter(item =>
+      ACTIVE_STATUSES[kind].includes(item.status)
+    ).length;
+
+  /**
+   * Starts queued transfers in order until the concurrency limit is reached. Transfers outside
+   * their schedule keep their place and let the ones behind them go first.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   */
+  const processQueue = kind => {
+    const { items, queue, limit } = stateOf(kind);
+    const held = [];
+    let pending = queue.value;
+
+    while (pending.length > 0 && activeCount(kind) < limit.value) {
+      const [id, ...rest] = pending;
+      pending = rest;
+
+      const launch = launchers.get(`${kind}:${id}`);
+      if (!items.value[id] || !launch) {
+        launchers.delete(`${kind}:${id}`);
+        continue;
+      }
+      if (!isWithinSchedule(items.value[id].schedule)) {
+        held.push(id);
+        continue;
+      }
+
+      launchers.delete(`${kind}:${id}`);
+      const item = items.value[id];
+      if (item.schedule && item.schedule.startAt) item.schedule = null;
+      item.status = RUNNING_STATUS[kind];
+      launch();
+      persist(kind, id);
+    }
+    queue.value = [...held, ...pending];
+
+    // Tell transfers waiting for their schedule apart from those waiting for a slot
+    for (const id of queue.value) {
+      const item = items.value[id];
+      if (!item) continue;
+      const status = isWithinSchedule(item.schedule) ? 'queued' : 'scheduled';
+      if (item.status !== status) {
+        item.status = status;
+        persist(kind, id);
+      }
+    }
+
+    items.value = { ...items.value };
+  };
+
+  /**
+   * Puts a transfer in the queue and promotes queued transfers if a slot is free.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   * @param {Function} launch - Starts the network transfer once the item is promoted
+   * @param {Object} [options]
+   * @param {boolean} [options.front=false] - Queue ahead of everything else (used when resuming)
+   */
+  const enqueue = (kind, id, launch, { front = false } = {}) => {
+    const { items, queue } = stateOf(kind);
+    launchers.set(`${kind}:${id}`, launch);
+    items.value[id].status = 'queued';
+
+    const rest = queue.value.filter(queuedId => queuedId !== id);
+    queue.value = front ? [id, ...rest] : [...rest, id];
+
+    persist(kind, id);
+    processQueue(kind);
+  };
+
+  /**
+   * Drops a transfer from the queue without starting it.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   */
+  const dequeue = (kind, id) => {
+    const { queue } = stateOf(kind);
+    queue.value = queue.value.filter(queuedId => queuedId !== id);
+    launchers.delete(`${kind}:${id}`);
+  };
+
+  /**
+   * Returns the 1-based position of a transfer in its queue.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   * @returns {number|null} The queue position, or null if the transfer is not queued
+   */
+  const queuePosition = (kind, id) => {
+    const index = stateOf(kind).queue.value.indexOf(id);
+    return index === -1 ? null : index + 1;
+  };
+
+  /**
+   * Moves a queued transfer one place up or down.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   * @param {(-1|1)} direction - -1 to move towards the front, 1 to move towards the back
+   */
+  const moveInQueue = (kind, id, direction) => {
+    const { queue } = stateOf(kind);
+    const index = queue.value.indexOf(id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= queue.value.length) return;
+
+    const reordered = [...queue.value];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    queue.value = reordered;
+  };
+
+  /**
+   * Moves a queued transfer to the front so it starts as soon as a slot frees.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   */
+  const startNext = (kind, id) => {
+    const { queue } = stateOf(kind);
+    if (!queue.value.includes(id)) return;
+    queue.value = [id, ...queue.value.filter(queuedId => queuedId !== id)];
+  };
+
+  /**
+   * Changes how many transfers of a kind may run at once and saves the setting.
+   * Raising the limit promotes queued transfers immediately; lowering it lets running
+   * transfers finish and only affects what starts next.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {number} limit - The new maximum (at least 1)
+   */
+  const setMaxActive = (kind, limit) => {
+    stateOf(kind).limit.value = Math.max(1, Math.floor(limit) || 1);
+    localStorage.setItem(
+      SETTINGS_KEY,
+      JSON.stringify({
+        ...loadSettings(),
+        maxActiveUploads: maxActiveUploads.value,
+        maxActiveDownloads: maxActiveDownloads.value,
+      })
+    );
+    processQueue(kind);
+  };
+
+  /**
+   * Changes the speed limit shared by all transfers of a kind and saves the setting. Running
+   * transfers slow down or speed up with their next chunk.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {number} limit - The new limit in KB/s, 0 for none
+   */
+  const setSpeedLimit = (kind, limit) => {
+    const speedLimit = kind === 'uploads' ? uploadSpeedLimit : downloadSpeedLimit;
+    speedLimit.value = Math.max(0, Math.floor(limit) || 0);
+    BandwidthService.setLimit(kind, speedLimit.value * KB);
+    localStorage.setItem(
+      SETTINGS_KEY,
+      JSON.stringify({
+        ...loadSettings(),
+        uploadSpeedLimit: uploadSpeedLimit.value,
+        downloadSpeedLimit: downloadSpeedLimit.value,
+      })
+    );
+  };
+
+  /**
+   * Changes the speed limit of a single transfer, on top of the limit shared by its kind.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   * @param {number} limit - The new limit in KB/s, 0 for none
+   */
+  const setTransferSpeedLimit = (kind, id, limit) => {
+    const item = stateOf(kind).items.value[id];
+    if (!item) return;
+    item.speedLimit = Math.max(0, Math.floor(limit) || 0);
+    limiterOf(kind, id).setRate(item.speedLimit * KB);
+    if (item.status !== 'completed') persist(kind, id);
+  };
+
   // ---- UPLOADS ----
 
+  /**
+   * Stores the digest of an upload's content on its file record, so later downloads of the file
+   * can be verified end to end. Only done once the upload is stored: until then the record still
+   * describes the previous version of the file, if there is one.
+   * @param {string} id - The upload ID (also the file record ID)
+   */
+  const saveChecksum = id => {
+    const upload = uploads.value[id];
+    if (!upload || upload.status !== 'completed' || !upload.fileRecord.sha256) return;
+    useFileStore()
+      .updateFile(id, { sha256: upload.fileRecord.sha256 })
+      .catch(err => console.error(`[TransferStore] Failed to record checksum for ${id}:`, err));
+  };
+
+  /**
+   * Hands a file to UploadService and wires its callbacks into the upload state.
+   * @param {string} id - The upload ID
+   * @param {File} file - The file object to upload
+   * @param {Object} [options] - Optional callbacks and resume settings
+   * @param {string} [options.uploadUrl] - Existing TUS upload URL to resume
+   */
+  const launchUpload = (id, file, options = {}) => {
+    const instance = UploadService.startUpload(
+      id,
+      file,
+      {
+        onProgress: (p, speed = 0) => {
+          if (uploads.value[id]) {
+            uploads.value[id].progress = p;
+            uploads.value[id].speed = speed;
+          }
+        },
+        onChunkComplete: bytesAccepted => {
+          if (uploads.value[id]) {
+            uploads.value[id].bytesTransferred = bytesAccepted;
+            persist('uploads', id);
+          }
+        },
+        onUploadUrl: url => {
+          if (uploads.value[id]) {
+            uploads.value[id].uploadUrl = url;
+            persist('uploads', id);
+          }
+        },
+        onSuccess: () => {
+          if (uploads.value[id]) uploads.value[id].status = 'completed';
+          saveChecksum(id);
+          forget('uploads', id);
+          processQueue('uploads');
+          if (options && options.onSuccess) options.onSuccess();
+        },
+        onError: () => {
+          const newVersion = uploads.value[id]?.newVersion;
+          if (uploads.value[id]) uploads.value[id].status = 'error';
+          forget('uploads', id);
+          processQueue('uploads');
+          // The file keeps its current version when a new one fails
+          if (newVersion) return;
+          // Automatically purge the DB record if the TUS protocol entirely fails
+          useFileStore()
+            .deleteFile(id, { permanent: true })
+            .catch(err => console.error('Failed to cleanup DB on error:', err));
+        },
+      },
+      { uploadUrl: options.uploadUrl, limiter: limiterOf('uploads', id) }
+    );
+
+    uploads.value[id].uploadInstance = instance;
+  };
+
+  /**
+   * Looks for an upload's content on the file server while the upload queues or runs: hashes the
+   * file, then asks the server to store it with content it already has. If it could, the upload
+   * completes without sending the rest of its bytes; otherwise it carries on. A running upload is
+   * paused while the server is asked, so it cannot finish meanwhile and be stored twice. Hashing or
+   * asking failing just means the bytes are sent. The digest is kept for the file record either way.
+   * @param {string} id - The upload ID
+   * @param {File} file - The file object to upload
+   * @param {Object} [options] - The options the upload was started with
+   * @returns {Promise<void>}
+   */
+  const deduplicateUpload = async (id, file, options = {}) => {
+    let sha256 = uploads.value[id].fileRecord.sha256 || null;
+    if (!sha256) {
+      const hasher = new AbortController();
+      hashers.set(id, hasher);
+      uploads.value[id].hashing = true;
+      try {
+        sha256 = await ChecksumService.computeSha256(
+          file,
+          bytesHashed => {
+            if (uploads.value[id]) uploads.value[id].hashedBytes = bytesHashed;
+          },
+          hasher.signal
+        );
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error(`[TransferStore] Failed to hash ${id}:`, err);
+      } finally {
+        if (hashers.get(id) === hasher) hashers.delete(id);
+        if (uploads.value[id]) uploads.value[id].hashing = false;
+      }
+    }
+
+    const upload = uploads.value[id];
+    if (!upload || !sha256) return; // Cancelled while hashing, or hashing failed
+    upload.fileRecord = { ...upload.fileRecord, sha256 };
+    // Finished (or failed) first: the digest is all that is left to keep
+    if (upload.status === 'completed' || upload.status === 'error') {
+      saveChecksum(id);
+      return;
+    }
+    persist('uploads', id);
+
+    const sending = upload.status === 'uploading' && upload.uploadInstance;
+    if (sending) upload.uploadInstance.abort();
+    let deduplicated = false;
+    try {
+      deduplicated = await UploadService.deduplicate(id, file, sha256, {
+        staged: Boolean(upload.uploadUrl),
+      });
+    } catch (err) {
+      console.warn(`[TransferStore] Could not check whether ${id} is stored already:`, err);
+    }
+
+    if (uploads.value[id] !== upload) return; // Cancelled meanwhile
+    upload.deduplicationChecked = true;
+    if (!deduplicated) {
+      // Carry on unless the user paused it meanwhile
+      if (sending && upload.status === 'uploading') upload.uploadInstance.start();
+      persist('uploads', id);
+      return;
+    }
+
+    // The server has recorded the content's checksum on the file record itself
+    if (upload.uploadInstance) upload.uploadInstance.abort();
+    dequeue('uploads', id);
+    upload.deduplicated = true;
+    upload.progress = 100;
+    upload.speed = 0;
+    upload.bytesTransferred = upload.totalBytes;
+    upload.status = 'completed';
+    forget('uploads', id);
+    processQueue('uploads');
+    if (options.onSuccess) options.onSuccess();
+  };
+
   /**
    * Starts a new resumable upload.
    * @param {File} file - The file object to upload
    * @param {string} [fileId] - Optional predefined ID for the file
    * @param {Object} [options] - Optional configurations and callbacks
+   * @param {Object} [options.fileRecord] - The file metadata record created for this upload
+   * @param {boolean} [options.newVersion=false] - Upload a new version of an existing file record
+   * @param {TransferSchedule} [options.schedule] - When the upload may run; any time by default
    */
   const startUpload = (file, fileId, options = {}) => {
     const id = fileId || Date.now().toString(); // unique ID
@@ -60,40 +705,54 @@ export const useTransferStore = defineStore('transfer', () => {
     uploads.value[id] = {
       id,
       fileName: file.name,
+      fileRecord: options.fileRecord || { id, name: file.name, size: file.size, type: file.type },
       progress: 0,
       speed: 0,
-      status: 'uploading',
+      hashing: false,
+      hashedBytes: 0,
+      deduplicationChecked: false,
+      deduplicated: false,
+      bytesTransferred: 0,
+      totalBytes: file.size,
+      uploadUrl: null,
+      newVersion: Boolean(options.newVersion),
+      speedLimit: 0,
+      schedule: normalizeSchedule(options.schedule),
+      status: 'queued',
       uploadInstance: null,
     };
 
-    // Trigger network logic
-    const instance = UploadService.startUpload(file, {
-      onProgress: (p, speed = 0) => {
-        if (uploads.value[id]) {
-          uploads.value[id].progress = p;
-          uploads.value[id].speed = speed;
-        }
-      },
-      onSuccess: () => {
-        if (uploads.value[id]) uploads.value[id].status = 'completed';
-        if (options && options.onSuccess) options.onSuccess();
-      },
-      onError: () => {
-        if (uploads.value[id]) uploads.value[id].status = 'error';
-        // Automatically purge the DB record if the TUS protocol entirely fails
-        useFileStore()
-          .deleteFile(id)
-          .catch(err => console.error('Failed to cleanup DB on error:', err));
-      },
-    });
-
-    uploads.value[id].uploadInstance = instance;
+    // Trigger network logic (starts immediately if a slot is free), and look for the content on
+    // the server meanwhile
+    enqueue('uploads', id, () => launchUpload(id, file, options));
+    deduplicateUpload(id, file, options);
 
     // Automatically show panel to user when a transfer starts
     panelVisible.value = true;
+  };
 
-    // Trigger reactivity
-    uploads.value = { ...uploads.value };
+  /**
+   * Resumes an upload restored after a page reload by re-attaching the reselected file
+   * to the TUS upload URL recorded before the reload.
+   * @param {string} id - The ID of the interrupted upload
+   * @param {File} file - The file reselected by the user
+   * @throws {Error} If the reselected file does not match the interrupted upload
+   */
+  const resumeInterruptedUpload = (id, file) => {
+    const upload = uploads.value[id];
+    if (!upload || upload.status !== 'interrupted') return;
+
+    if (file.size !== upload.totalBytes) {
+      throw new Error(
+        `"${file.name}" does not match the interrupted upload of "${upload.fileName}" (size differs)`
+      );
+    }
+
+    enqueue('uploads', id, () => launchUpload(id, file, { uploadUrl: upload.uploadUrl }), {
+      front: true,
+    });
+    // The page may have been reloaded before the server was asked for the content
+    if (!upload.deduplicationChecked) deduplicateUpload(id, file);
   };
 
   /**
@@ -107,7 +766,8 @@ export const useTransferStore = defineStore('transfer', () => {
         upload.uploadInstance.abort();
       }
       upload.status = 'paused';
-      uploads.value = { ...uploads.value };
+      persist('uploads', id);
+      processQueue('uploads');
     }
   };
 
@@ -118,28 +778,53 @@ export const useTransferStore = defineStore('transfer', () => {
   const resumeUpload = id => {
     const upload = uploads.value[id];
     if (upload && upload.status === 'paused') {
-      if (upload.uploadInstance && upload.uploadInstance.start) {
-        upload.uploadInstance.start();
-      }
-      upload.status = 'uploading';
-      uploads.value = { ...uploads.value };
+      enqueue(
+        'uploads',
+        id,
+        () => {
+          if (upload.uploadInstance && upload.uploadInstance.start) {
+            upload.uploadInstance.start();
+          }
+        },
+        { front: true }
+      );
     }
   };
 
   /**
-   * Cancels and removes an upload.
+   * Stops an upload, terminates it on the server and removes it, leaving the file record alone.
+   * @param {string} id - The ID of the upload
+   */
+  const discardUpload = id => {
+    const upload = uploads.value[id];
+    if (upload.uploadInstance && upload.uploadInstance.cancel) {
+      upload.uploadInstance.cancel();
+    } else if (upload.uploadUrl) {
+      // Restored uploads have no live instance; terminate them on the server by URL
+      UploadService.terminateUpload(upload.uploadUrl).catch(err =>
+        console.error('Failed to terminate interrupted upload:', err)
+      );
+    }
+    if (hashers.has(id)) hashers.get(id).abort();
+    dequeue('uploads', id);
+    limiters.delete(`uploads:${id}`);
+    delete uploads.value[id];
+    forget('uploads', id);
+    processQueue('uploads');
+  };
+
+  /**
+   * Cancels and removes an upload, deleting its file record for good unless the upload was a new
+   * version of an existing file.
    * @param {string} id - The ID of the upload to cancel
    */
   const cancelUpload = id => {
-    const upload = uploads.value[id];
-    if (upload) {
-      if (upload.uploadInstance && upload.uploadInstance.cancel) {
-        upload.uploadInstance.cancel();
-      }
-      delete uploads.value[id];
-      uploads.value = { ...uploads.value };
+    if (uploads.value[id]) {
+      const { newVersion } = uploads.value[id];
+      discardUpload(id);
+      if (newVersion) return;
       useFileStore()
-        .deleteFile(id)
+        .deleteFile(id, { permanent: true })
         .catch(err => console.error('Failed to cleanup DB on cancel:', err));
     }
   };
@@ -147,63 +832,361 @@ export const useTransferStore = defineStore('transfer', () => {
   // ---- DOWNLOADS ----
 
   /**
-   * Starts a new resumable download.
+   * Hands a file record to DownloadService and wires its callbacks into the download state.
+   * @param {string} id - The download ID
    * @param {Object} fileRecord - The file metadata record
-   * @param {string} fileRecord.id - File ID
-   * @param {string} [fileRecord.name] - File name
+   * @param {Object} [resume] - Options forwarded to DownloadService (file handle, chunk map)
    */
-  const startDownload = async fileRecord => {
-    const id = fileRecord.id || Date.now().toString();
+  const launchDownload = async (id, fileRecord, resume = {}) => {
+    try {
+      const controller = await DownloadService.startDownload(
+        id,
+        fileRecord,
+        {
+          onProgress: (p, speed = 0, downloadedBytes) => {
+            if (downloads.value[id] && downloads.value[id].status !== 'error') {
+              downloads.value[id].progress = p;
+              downloads.value[id].speed = speed;
+              downloads.value[id].retryInfo = null;
+              if (downloadedBytes !== undefined) {
+                downloads.value[id].bytesTransferred = downloadedBytes;
+              }
+            }
+          },
+          onRetry: ({ attempt, maxRetries, delay }) => {
+            if (downloads.value[id]) {
+              downloads.value[id].retryInfo = { attempt, maxRetries, retryAt: Date.now() + delay };
+            }
+          },
+          onCheckpoint: ({ chunkMap, downloadedBytes }) => {
+            // Only persist what has actually been committed to disk
+            if (downloads.value[id] && downloads.value[id].status !== 'completed') {
+              downloads.value[id].chunkMap = chunkMap;
+              downloads.value[id].bytesTransferred = downloadedBytes;
+              persist('downloads', id);
+            }
+          },
+          onRestart: ({ totalSize, etag }) => {
+            // The file changed on the server; what was saved so far has been thrown away
+            if (downloads.value[id]) {
+              downloads.value[id].progress = 0;
+              downloads.value[id].bytesTransferred = 0;
+              downloads.value[id].totalBytes = totalSize;
+              downloads.value[id].chunkMap = null;
+              downloads.value[id].etag = etag;
+              persist('downloads', id);
+            }
+          },
+          onVerify: () => {
+            // Hashing the saved file needs no network, so hand the slot to the next download
+            if (downloads.value[id]) {
+              downloads.value[id].status = 'verifying';
+              downloads.value[id].retryInfo = null;
+            }
+            processQueue('downloads');
+          },
+          onCorrupt: () => {
+            if (downloads.value[id]) downloads.value[id].status = 'corrupt';
+            forget('downloads', id);
+            processQueue('downloads');
+          },
+          onSuccess: () => {
+            if (downloads.value[id]) {
+              downloads.value[id].status = 'completed';
+              downloads.value[id].progress = 100;
+            }
+            forget('downloads', id);
+            processQueue('downloads');
+          },
+          onError: () => {
+            if (downloads.value[id]) {
+              downloads.value[id].status = 'error';
+              downloads.value[id].retryInfo = null;
+              persist('downloads', id);
+            }
+            processQueue('downloads');
+          },
+        },
+        { ...resume, limiter: limiterOf('downloads', id) }
+      );
 
-    if (downloads.value[id] && ['downloading', 'paused'].includes(downloads.value[id].status)) {
-      console.warn(`[TransferStore] Download for ${id} is already in progress or paused.`);
-      return;
+      // It's possible the download was cancelled or finished very fast before we got the controller assigned
+      if (downloads.value[id]) {
+        downloads.value[id].abortController = controller;
+        downloads.value[id].fileHandle = controller.fileHandle;
+        downloads.value[id].totalBytes = controller.totalSize;
+        downloads.value[id].etag = controller.etag;
+        if (downloads.value[id].status !== 'completed') persist('downloads', id);
+      }
+    } catch (e) {
+      if (downloads.value[id]) downloads.value[id].status = 'error';
+      processQueue('downloads');
     }
+  };
+
+  // One download per file, or per earlier version of it
+  const downloadId = fileRecord =>
+    fileRecord.archivedVersion
+      ? `${fileRecord.id}@v${fileRecord.archivedVersion}`
+      : fileRecord.id || Date.now().toString();
+
+  // Whether a download has not finished yet, and so must not be started a second time
+  const isDownloadUnderway = id =>
+    Boolean(downloads.value[id]) &&
+    [
+      'queued',
+      'scheduled',
+      'downloading',
+      'paused',
+      'network_paused',
+      'interrupted',
+      'verifying',
+    ].includes(downloads.value[id].status);
 
+  /**
+   * Adds a download whose save location is known and puts it in the queue.
+   * @param {string} id - The download ID
+   * @param {Object} fileRecord - The file metadata record, without Vue's proxies
+   * @param {FileSystemFileHandle} fileHandle - Where it is saved
+   * @param {Object} [options]
+   * @param {string} [options.fileName] - Name shown for it; the file's name by default
+   * @param {TransferSchedule} [options.schedule] - When it may run; any time by default
+   */
+  const queueDownload = (id, fileRecord, fileHandle, { fileName, schedule } = {}) => {
     downloads.value[id] = {
       id,
-      fileName: fileRecord.name || 'Unknown File',
+      fileName: fileName || fileRecord.name || 'Unknown File',
+      fileRecord: { ...fileRecord },
       progress: 0,
       speed: 0,
-      status: 'downloading',
+      bytesTransferred: 0,
+      totalBytes: fileRecord.size || 0,
+      fileHandle,
+      chunkMap: null,
+      etag: null,
+      speedLimit: 0,
+      schedule: normalizeSchedule(schedule),
+      retryInfo: null,
+      status: 'queued',
       abortController: null,
     };
 
-    // Reactivity
-    downloads.value = { ...downloads.value };
+    enqueue('downloads', id, () => launchDownload(id, fileRecord, { fileHandle }));
+  };
 
-    try {
-      const controller = await DownloadService.startDownload(id, fileRecord, {
-        onProgress: (p, speed = 0) => {
-          if (downloads.value[id] && downloads.value[id].status !== 'error') {
-            downloads.value[id].progress = p;
-            downloads.value[id].speed = speed;
-          }
-        },
-        onSuccess: () => {
-          if (downloads.value[id]) {
-            downloads.value[id].status = 'completed';
-            downloads.value[id].progress = 100;
-          }
-        },
-        onError: () => {
-          if (downloads.value[id]) downloads.value[id].status = 'error';
-        },
-      });
+  /**
+   * Starts a new resumable download.
+   * The save location is chosen right away (it needs the user's click), while the transfer itself
+   * waits in the queue until a download slot is free.
+   * @param {Object} fileRecord - The file metadata record
+   * @param {string} fileRecord.id - File ID
+   * @param {string} [fileRecord.name] - File name
+   * @param {number} [fileRecord.archivedVersion] - Download this earlier version of the file
+   *   instead of the current one
+   * @param {Object} [options]
+   * @param {TransferSchedule} [options.schedule] - When the download may run; any time by default
+   */
+  const startDownload = async (fileRecord, { schedule } = {}) => {
+    // Copied without Vue's proxies, which IndexedDB cannot store
+    fileRecord = { ...toRaw(fileRecord) };
+    const id = downloadId(fileRecord);
 
-      // It's possible the download was cancelled or finished very fast before we got the controller assigned
-      if (downloads.value[id]) {
-        downloads.value[id].abortController = controller;
-        panelVisible.value = true;
+    if (isDownloadUnderway(id)) {
+      console.warn(`[TransferStore] Download for ${id} is already in progress or paused.`);
+      return;
+    }
+
+    let fileHandle;
+    try {
+      fileHandle = await DownloadService.chooseSaveLocation(fileRecord);
+    } catch (e) {
+      if (e.message !== 'USER_CANCELLED') {
+        console.error(`[TransferStore] Could not start download for ${id}:`, e);
       }
+      return;
+    }
+
+    queueDownload(id, fileRecord, fileHandle, { schedule });
+    panelVisible.value = true;
+  };
+
+  /**
+   * Chooses a new download folder for batch downloads and remembers it for later sessions.
+   * Must be called from a user gesture.
+   * @returns {Promise<FileSystemDirectoryHandle|null>} The folder, or null if the user cancelled
+   */
+  const chooseDownloadDirectory = async () => {
+    try {
+      downloadDirectory.value = await DownloadService.chooseDirectory();
     } catch (e) {
-      if (e.message === 'USER_CANCELLED') {
-        delete downloads.value[id];
-        downloads.value = { ...downloads.value };
-      } else {
-        if (downloads.value[id]) downloads.value[id].status = 'error';
+      if (e.message !== 'USER_CANCELLED') {
+        console.error('[TransferStore] Could not choose a download folder:', e);
       }
+      return null;
+    }
+    TransferPersistenceService.saveHandle(
+      'downloadDirectory',
+      toRaw(downloadDirectory.value)
+    ).catch(err => console.error('[TransferStore] Failed to remember the download folder:', err));
+    return downloadDirectory.value;
+  };
+
+  /**
+   * Downloads many files into the download folder without asking where to save each one. Files
+   * go into a subfolder per collection, keeping the folder path they were uploaded with.
+   * Must be called from a user gesture: without a remembered folder the user picks one, and a
+   * remembered folder needs write permission again in each browsing session.
+   * @param {Array<{collection: {id: string, name: string}, files: Object[]}>} groups - The files
+   *   to download, by collection
+   * @param {Object} [options]
+   * @param {('skip'|'overwrite'|'rename')} [options.conflict] - What to do with files that are
+   *   already in the folder; defaults to the last choice
+   * @param {TransferSchedule} [options.schedule] - When the downloads may run; any time by default
+   * @returns {Promise<{started: number, skipped: number, failed: number}|null>} What happened to
+   *   the files, or null if no folder could be used
+   */
+  const startBatchDownload = async (
+    groups,
+    { conflict = downloadConflict.value, schedule } = {}
+  ) => {
+    const directory = downloadDirectory.value || (await chooseDownloadDirectory());
+    if (!directory) return null;
+    if (!(await DownloadService.requestWriteAccess(toRaw(directory)))) {
+      console.warn(`[TransferStore] Write permission denied for the folder ${directory.name}`);
+      return null;
+    }
+    setDownloadConflict(conflict);
+
+    const result = { started: 0, skipped: 0, failed: 0 };
+    for (const { collection, files } of groups) {
+      for (const file of files) {
+        const fileRecord = { ...toRaw(file) };
+        const id = downloadId(fileRecord);
+        if (isDownloadUnderway(id)) {
+          result.skipped++;
+          continue;
+        }
+        try {
+          const location = await DownloadService.saveLocationIn(
+            toRaw(directory),
+            [collection.name || collection.id, fileRecord.path || ''],
+            fileRecord.name || id,
+            conflict
+          );
+          if (!location) {
+            result.skipped++;
+            continue;
+          }
+          queueDownload(id, fileRecord, location.fileHandle, {
+            fileName: `${directory.name}/${location.path}`,
+            schedule,
+          });
+          result.started++;
+        } catch (e) {
+          console.error(`[TransferStore] Could not prepare the download of ${id}:`, e);
+          result.failed++;
+        }
+      }
+    }
+
+    console.log(
+      `[TransferStore] Batch download into ${directory.name}: ${result.started} started, ` +
+        `${result.skipped} skipped, ${result.failed} failed`
+    );
+    if (result.started) panelVisible.value = true;
+    return result;
+  };
+
+  /**
+   * Sets what batch downloads do with files that already exist, and remembers it.
+   * @param {('skip'|'overwrite'|'rename')} conflict
+   */
+  const setDownloadConflict = conflict => {
+    if (!CONFLICT_ACTIONS.includes(conflict)) return;
+    downloadConflict.value = conflict;
+    localStorage.setItem(
+      SETTINGS_KEY,
+      JSON.stringify({ ...loadSettings(), downloadConflict: conflict })
+    );
+  };
+
+  /**
+   * Downloads files of a collection as one ZIP archive, saved as `<collection name>.zip`. The
+   * archive is a single download, resumable like any other.
+   * @param {{id: string, name: string}} collection - The collection
+   * @param {string[]} [fileIds] - The files to include; all files of the collection by default
+   */
+  const startArchiveDownload = (collection, fileIds) => {
+    const selection = fileIds ? [...fileIds].sort() : null;
+    return startDownload({
+      // One download per collection or selection, so starting the same one twice is caught
+      id: selection
+        ? `archive-${collection.id}-${selection.join('-')}`
+        : `archive-${collection.id}`,
+      name: `${collection.name || collection.id}.zip`,
+      type: 'application/zip',
+      archive: { collectionId: collection.id, fileIds: selection },
+    });
+  };
+
+  /**
+   * Resumes a download restored after a page reload.
+   * Must be called from a user gesture, since write permission to the stored file handle
+   * has to be requested again in a new browsing session.
+   * @param {string} id - The ID of the interrupted download
+   * @returns {Promise<void>}
+   */
+  const resumeInterruptedDownload = async id => {
+    const download = downloads.value[id];
+    if (!download || download.status !== 'interrupted') return;
+
+    if (!download.fileHandle) {
+      // The save location was never chosen; start over from the picker
+      delete downloads.value[id];
+      forget('downloads', id);
+      await startDownload(download.fileRecord);
+      return;
+    }
+
+    const permissionOptions = { mode: 'readwrite' };
+    let permission = await download.fileHandle.queryPermission(permissionOptions);
+    if (permission !== 'granted') {
+      permission = await download.fileHandle.requestPermission(permissionOptions);
+    }
+    if (permission !== 'granted') {
+      console.warn(`[TransferStore] Write permission denied for ${download.fileName}`);
+      return;
     }
+
+    enqueue(
+      'downloads',
+      id,
+      () =>
+        launchDownload(id, download.fileRecord, {
+          fileHandle: download.fileHandle,
+          chunkMap: download.chunkMap,
+          downloadedBytes: download.bytesTransferred,
+          etag: download.etag,
+        }),
+      { front: true }
+    );
+  };
+
+  /**
+   * Downloads a file that failed checksum verification again from scratch, overwriting the
+   * corrupt copy at the same save location.
+   * @param {string} id - The ID of the corrupt download
+   */
+  const retryCorruptDownload = id => {
+    const download = downloads.value[id];
+    if (!download || download.status !== 'corrupt') return;
+
+    download.progress = 0;
+    download.bytesTransferred = 0;
+    download.chunkMap = null;
+    enqueue('downloads', id, () =>
+      launchDownload(id, download.fileRecord, { fileHandle: download.fileHandle })
+    );
   };
 
   /**
@@ -217,7 +1200,9 @@ export const useTransferStore = defineStore('transfer', () => {
         download.abortController.pause();
       }
       download.status = 'paused';
-      downloads.value = { ...downloads.value };
+      download.retryInfo = null;
+      persist('downloads', id);
+      processQueue('downloads');
     }
   };
 
@@ -228,11 +1213,16 @@ export const useTransferStore = defineStore('transfer', () => {
   const resumeDownload = id => {
     const download = downloads.value[id];
     if (download && download.status === 'paused') {
-      if (download.abortController && download.abortController.start) {
-        download.abortController.start();
-      }
-      download.status = 'downloading';
-      downloads.value = { ...downloads.value };
+      enqueue(
+        'downloads',
+        id,
+        () => {
+          if (download.abortController && download.abortController.start) {
+            download.abortController.start();
+          }
+        },
+        { front: true }
+      );
     }
   };
 
@@ -246,29 +1236,92 @@ export const useTransferStore = defineStore('transfer', () => {
       if (download.abortController && download.abortController.abort) {
         download.abortController.abort();
       }
+      dequeue('downloads', id);
+      limiters.delete(`downloads:${id}`);
       delete downloads.value[id];
-      downloads.value = { ...downloads.value };
+      forget('downloads', id);
+      processQueue('downloads');
     }
   };
 
   /**
-   * Clears all completed and failed transfers from the UI map.
+   * Drops every transfer of the given files, e.g. once they were purged from the trash. Running
+   * uploads are terminated and running downloads aborted.
+   * @param {string[]} fileIds - IDs of the file records
+   */
+  const discardTransfers = fileIds => {
+    for (const id of fileIds) {
+      if (uploads.value[id]) discardUpload(id);
+      if (downloads.value[id]) cancelDownload(id);
+    }
+  };
+
+  /**
+   * Clears all completed, failed and corrupt transfers from the UI map.
    */
   const clearTransfers = () => {
     for (const id in uploads.value) {
       if (uploads.value[id].status === 'completed' || uploads.value[id].status === 'error') {
+        limiters.delete(`uploads:${id}`);
         delete uploads.value[id];
       }
     }
     for (const id in downloads.value) {
-      if (downloads.value[id].status === 'completed' || downloads.value[id].status === 'error') {
+      if (['completed', 'corrupt', 'error'].includes(downloads.value[id].status)) {
+        limiters.delete(`downloads:${id}`);
         delete downloads.value[id];
+        forget('downloads', id);
       }
     }
     uploads.value = { ...uploads.value };
     downloads.value = { ...downloads.value };
   };
 
+  // ---- SCHEDULES ----
+
+  /**
+   * Pauses running transfers whose window has closed, putting them back in the queue at the front
+   * until it reopens, and starts queued transfers whose time has come.
+   */
+  const applySchedules = () => {
+    for (const id in uploads.value) {
+      const upload = uploads.value[id];
+      if (upload.status === 'uploading' && !isWithinSchedule(upload.schedule)) {
+        console.log(`[TransferStore] Window of upload ${id} closed, pausing until it reopens`);
+        pauseUpload(id);
+        resumeUpload(id);
+      }
+    }
+    for (const id in downloads.value) {
+      const download = downloads.value[id];
+      if (download.status === 'downloading' && !isWithinSchedule(download.schedule)) {
+        console.log(`[TransferStore] Window of download ${id} closed, pausing until it reopens`);
+        pauseDownload(id);
+        resumeDownload(id);
+      }
+    }
+    processQueue('uploads');
+    processQueue('downloads');
+  };
+
+  /**
+   * Changes when a transfer may run. Takes effect right away: a transfer outside its new schedule
+   * is paused or held in the queue, one within it starts as soon as a slot is free.
+   * @param {('uploads'|'downloads')} kind - The transfer kind
+   * @param {string} id - The transfer ID
+   * @param {TransferSchedule|null} schedule - The new schedule, null to run any time
+   * @throws {Error} If the schedule is malformed
+   */
+  const setSchedule = (kind, id, schedule) => {
+    const item = stateOf(kind).items.value[id];
+    if (!item) return;
+    item.schedule = normalizeSchedule(schedule);
+    if (item.status !== 'completed') persist(kind, id);
+    applySchedules();
+  };
+
+  setInterval(applySchedules, SCHEDULE_INTERVAL);
+
   // --- Network State Handling ---
   window.addEventListener('offline', () => {
     // When offline is detected, forcefully abort the uploads to prevent hung network states
@@ -295,23 +1348,33 @@ export const useTransferStore = defineStore('transfer', () => {
 
   window.addEventListener('online', () => {
     // When back online, automatically resume anything that was paused due to the network drop, or crashed out completely
+    // Network-paused transfers still hold their slot; failed ones have to queue for one again
     for (const id in uploads.value) {
-      if (uploads.value[id].status === 'network_paused' || uploads.value[id].status === 'error') {
-        if (uploads.value[id].uploadInstance && uploads.value[id].uploadInstance.start) {
-          uploads.value[id].uploadInstance.start();
+      const upload = uploads.value[id];
+      const restart = () => {
+        if (upload.uploadInstance && upload.uploadInstance.start) {
+          upload.uploadInstance.start();
         }
-        uploads.value[id].status = 'uploading';
+      };
+      if (upload.status === 'network_paused') {
+        restart();
+        upload.status = 'uploading';
+      } else if (upload.status === 'error') {
+        enqueue('uploads', id, restart, { front: true });
       }
     }
     for (const id in downloads.value) {
-      if (
-        downloads.value[id].status === 'network_paused' ||
-        downloads.value[id].status === 'error'
-      ) {
-        if (downloads.value[id].abortController && downloads.value[id].abortController.start) {
-          downloads.value[id].abortController.start();
+      const download = downloads.value[id];
+      const restart = () => {
+        if (download.abortController && download.abortController.start) {
+          download.abortController.start();
         }
-        downloads.value[id].status = 'downloading';
+      };
+      if (download.status === 'network_paused') {
+        restart();
+        download.status = 'downloading';
+      } else if (download.status === 'error') {
+        enqueue('downloads', id, restart, { front: true });
       }
     }
     uploads.value = { ...uploads.value };
@@ -322,15 +1385,39 @@ export const useTransferStore = defineStore('transfer', () => {
     uploads,
     downloads,
     panelVisible,
+    maxActiveUploads,
+    maxActiveDownloads,
+    uploadSpeedLimit,
+    downloadSpeedLimit,
+    uploadQueue,
+    downloadQueue,
+    downloadDirectory,
+    downloadConflict,
     togglePanel,
+    queuePosition,
+    moveInQueue,
+    startNext,
+    setMaxActive,
+    setSpeedLimit,
+    setTransferSpeedLimit,
+    setSchedule,
+    restoreTransfers,
     startUpload,
+    resumeInterruptedUpload,
     pauseUpload,
     resumeUpload,
     cancelUpload,
     startDownload,
+    startArchiveDownload,
+    startBatchDownload,
+    chooseDownloadDirectory,
+    setDownloadConflict,
+    resumeInterruptedDownload,
+    retryCorruptDownload,
     pauseDownload,
     resumeDownload,
     cancelDownload,
+    discardTransfers,
     clearTransfers,
   };
 });
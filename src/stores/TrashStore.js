@@ -0,0 +1,89 @@
+import TrashService from '@/service/TrashService';
+import { useTransferStore } from '@/stores/TransferStore';
+import { defineStore } from 'pinia';
+import { ref } from 'vue';
+
+/**
+ * @typedef {Object} TrashItem
+ * @property {('cases'|'collections'|'files')} resource - The kind of item
+ * @property {Object} record - The deleted case, collection or file record
+ * @property {string} caseName - Name of the case the item belongs to (its own name for cases)
+ * @property {Date} deletedAt - When the item was deleted
+ */
+
+/**
+ * Store for the trash: items deleted by the user or others in the cases they can manage.
+ * Deleting a case or collection takes everything inside it along; only the item that was deleted
+ * is listed, and restoring it brings the rest back too.
+ */
+export const useTrashStore = defineStore('trash', () => {
+  /** @type {import('vue').Ref<TrashItem[]>} Deleted items, most recently deleted first */
+  const items = ref([]);
+
+  /** @type {import('vue').Ref<boolean>} Loading state for the trash */
+  const loading = ref(false);
+
+  /**
+   * Loads the deleted items the current user may restore or purge.
+   * @returns {Promise<void>}
+   */
+  const loadTrash = async () => {
+    loading.value = true;
+    try {
+      const response = await TrashService.getTrash();
+      items.value = response.data.map(item => ({
+        ...item,
+        deletedAt: new Date(item.record.deletedAt),
+      }));
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+    } finally {
+      loading.value = false;
+    }
+  };
+
+  const removeItem = item => {
+    items.value = items.value.filter(
+      entry => entry.resource !== item.resource || entry.record.id !== item.record.id
+    );
+  };
+
+  /**
+   * Restores an item, along with everything deleted with it.
+   * @param {TrashItem} item - The item to restore
+   * @returns {Promise<void>}
+   */
+  const restoreItem = async item => {
+    try {
+      await TrashService.restore(item.resource, item.record.id);
+      removeItem(item);
+    } catch (e) {
+      console.error('Failed to restore item:', e);
+      throw e;
+    }
+  };
+
+  /**
+   * Deletes an item and everything inside it for good, stopping any transfer of its files.
+   * @param {TrashItem} item - The item to purge
+   * @returns {Promise<void>}
+   */
+  const purgeItem = async item => {
+    try {
+      const response = await TrashService.purge(item.resource, item.record.id);
+      useTransferStore().discardTransfers(response.data.purged.files);
+      removeItem(item);
+    } catch (e) {
+      console.error('Failed to purge item:', e);
+      throw e;
+    }
+  };
+
+  return {
+    items,
+    loading,
+    loadTrash,
+    restoreItem,
+    purgeItem,
+  };
+});
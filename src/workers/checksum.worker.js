@@ -0,0 +1,54 @@
+/* eslint-env worker */
+/**
+ * Checksum Worker
+ *
+ * Computes SHA-256 digests of Blobs/Files off the main thread. The file is streamed through an
+ * incremental hasher so memory use stays flat regardless of file size (WebCrypto's
+ * `crypto.subtle.digest` only accepts a single buffer).
+ *
+ * Messages in:  { id, blob }
+ *               { id, cancel: true }  (stops hashing that blob; nothing is sent back)
+ * Messages out: { id, type: 'progress', bytesHashed }
+ *               { id, type: 'done', digest }   (lowercase hex)
+ *               { id, type: 'error', message }
+ */
+import { createSHA256 } from 'hash-wasm';
+
+const PROGRESS_INTERVAL = 16 * 1024 * 1024; // Report progress every 16MB
+
+// Requests cancelled by the page; hashing them stops before the next chunk
+const cancelled = new Set();
+
+self.onmessage = async event => {
+  const { id, blob, cancel } = event.data;
+  if (cancel) {
+    cancelled.add(id);
+    return;
+  }
+  try {
+    const hasher = await createSHA256();
+    hasher.init();
+
+    const reader = blob.stream().getReader();
+    let bytesHashed = 0;
+    let lastReported = 0;
+    for (;;) {
+      if (cancelled.delete(id)) {
+        await reader.cancel();
+        return;
+      }
+      const { done, value } = await reader.read();
+      if (done) break;
+      hasher.update(value);
+      bytesHashed += value.byteLength;
+      if (bytesHashed - lastReported >= PROGRESS_INTERVAL) {
+        lastReported = bytesHashed;
+        self.postMessage({ id, type: 'progress', bytesHashed });
+      }
+    }
+
+    self.postMessage({ id, type: 'done', digest: hasher.digest('hex') });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};